@@ -0,0 +1,64 @@
+// Script to mark existing event receipts as already counted in A2AR
+// Run once right after deploying per-receipt A2AR markers. Safe to re-run.
+//
+// A2AR jobs now record on the receipt when they counted it (a2arCountedAt / a2arDwellCountedAt),
+// and voids only reverse what is marked. Receipts from before the release were counted
+// without a marker, so they are marked here using the rules the old jobs followed:
+// - pause impressions not quarantined (campaignAuthorized != false), and their dwell time if set
+// - conversions still billable (released or never held, successful, inside the attribution window)
+//
+// Usage:
+//   node migrate-a2ar-markers.js
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const EventReceipt = require('./src/models/EventReceipt');
+
+async function run() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    const pauses = await EventReceipt.collection.updateMany(
+      {
+        eventType: 'pause_impression',
+        campaignAuthorized: { $ne: false },
+        billingStatus: { $ne: 'voided' },
+        a2arCountedAt: { $exists: false }
+      },
+      [{ $set: { a2arCountedAt: { $ifNull: ['$processedAt', '$$NOW'] } } }]
+    );
+    console.log(`Pause impressions: ${pauses.modifiedCount} marked as counted`);
+
+    const dwell = await EventReceipt.collection.updateMany(
+      {
+        eventType: 'pause_impression',
+        campaignAuthorized: { $ne: false },
+        billingStatus: { $ne: 'voided' },
+        dwellSeconds: { $ne: null },
+        a2arDwellCountedAt: { $exists: false }
+      },
+      [{ $set: { a2arDwellCountedAt: { $ifNull: ['$pauseEndedAt', '$$NOW'] } } }]
+    );
+    console.log(`Pause dwell times: ${dwell.modifiedCount} marked as counted`);
+
+    const conversions = await EventReceipt.collection.updateMany(
+      {
+        eventType: 'qr_conversion',
+        billingStatus: 'billable',
+        a2arCountedAt: { $exists: false }
+      },
+      [{ $set: { a2arCountedAt: { $ifNull: ['$matchedAt', '$$NOW'] } } }]
+    );
+    console.log(`Conversions: ${conversions.modifiedCount} marked as counted`);
+
+    console.log('\n✅ Migration complete');
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (err) {
+    console.error('Error:', err.message || err);
+    process.exit(1);
+  }
+}
+
+run();
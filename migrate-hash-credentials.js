@@ -0,0 +1,163 @@
+// Script to convert plaintext publisher credentials to hashed / encrypted storage
+// Run once after deploying hashed credentials. Existing keys and secrets keep working unchanged;
+// only how they are stored changes. Safe to re-run.
+//
+// - Drops the old unique indexes on the plaintext key fields
+// - API keys (primary, sandbox and named keys): stores a salted hash and prefix, removes the plaintext
+// - Webhook secrets (current and grace-period): encrypts them with CREDENTIALS_ENCRYPTION_KEY
+// - Advertiser webhook subscription signing secrets: encrypts them the same way
+// - Key history: replaces recorded keys with their prefixes
+//
+// Usage:
+//   CREDENTIALS_ENCRYPTION_KEY=... node migrate-hash-credentials.js
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const PublisherApiKey = require('./src/models/PublisherApiKey');
+const PublisherKey = require('./src/models/PublisherKey');
+const PublisherKeyHistory = require('./src/models/PublisherKeyHistory');
+const WebhookSubscription = require('./src/models/WebhookSubscription');
+const {
+  credentialPrefix,
+  hashApiKey,
+  isEncrypted,
+  encryptSecret
+} = require('./src/utils/credentials');
+
+async function dropIndexIfExists(model, name) {
+  const indexes = await model.collection.indexes();
+
+  if (indexes.some(index => index.name === name)) {
+    await model.collection.dropIndex(name);
+    console.log(`Dropped ${model.collection.name}.${name}`);
+  }
+}
+
+async function migratePublishers() {
+  const publishers = await PublisherApiKey.collection.find({
+    $or: [
+      { apiKey: { $type: 'string' } },
+      { sandboxApiKey: { $type: 'string' } },
+      { webhookSecret: { $type: 'string', $not: /^enc:/ } },
+      { previousWebhookSecret: { $type: 'string', $not: /^enc:/ } }
+    ]
+  }).toArray();
+
+  for (const publisher of publishers) {
+    const set = {};
+    const unset = {};
+
+    if (publisher.apiKey) {
+      set.apiKeyHash = hashApiKey(publisher.apiKey);
+      set.apiKeyPrefix = credentialPrefix(publisher.apiKey);
+      unset.apiKey = '';
+    }
+    if (publisher.sandboxApiKey) {
+      set.sandboxApiKeyHash = hashApiKey(publisher.sandboxApiKey);
+      set.sandboxApiKeyPrefix = credentialPrefix(publisher.sandboxApiKey);
+      unset.sandboxApiKey = '';
+    }
+    if (publisher.webhookSecret && !isEncrypted(publisher.webhookSecret)) {
+      set.webhookSecret = encryptSecret(publisher.webhookSecret);
+    }
+    if (publisher.previousWebhookSecret && !isEncrypted(publisher.previousWebhookSecret)) {
+      set.previousWebhookSecret = encryptSecret(publisher.previousWebhookSecret);
+    }
+
+    const update = { $set: set };
+    if (Object.keys(unset).length > 0) update.$unset = unset;
+
+    await PublisherApiKey.collection.updateOne({ _id: publisher._id }, update);
+  }
+
+  console.log(`Publishers: ${publishers.length} converted`);
+}
+
+async function migrateNamedKeys() {
+  const keys = await PublisherKey.collection
+    .find({ key: { $type: 'string' } }, { projection: { key: 1 } })
+    .toArray();
+
+  for (const key of keys) {
+    await PublisherKey.collection.updateOne(
+      { _id: key._id },
+      {
+        $set: { keyHash: hashApiKey(key.key), keyPrefix: credentialPrefix(key.key) },
+        $unset: { key: '' }
+      }
+    );
+  }
+
+  console.log(`Named keys: ${keys.length} converted`);
+}
+
+async function migrateHistory() {
+  const entries = await PublisherKeyHistory.collection
+    .find(
+      { $or: [{ oldApiKey: { $exists: true } }, { newApiKey: { $exists: true } }] },
+      { projection: { oldApiKey: 1, newApiKey: 1 } }
+    )
+    .toArray();
+
+  for (const entry of entries) {
+    const set = {};
+    if (entry.oldApiKey) set.oldKeyPrefix = credentialPrefix(entry.oldApiKey);
+    if (entry.newApiKey) set.newKeyPrefix = credentialPrefix(entry.newApiKey);
+
+    await PublisherKeyHistory.collection.updateOne(
+      { _id: entry._id },
+      { $set: set, $unset: { oldApiKey: '', newApiKey: '' } }
+    );
+  }
+
+  console.log(`History entries: ${entries.length} reduced to key prefixes`);
+}
+
+async function migrateSubscriptionSecrets() {
+  const subscriptions = await WebhookSubscription.collection
+    .find({ secret: { $type: 'string', $not: /^enc:/ } }, { projection: { secret: 1 } })
+    .toArray();
+
+  for (const subscription of subscriptions) {
+    await WebhookSubscription.collection.updateOne(
+      { _id: subscription._id },
+      { $set: { secret: encryptSecret(subscription.secret) } }
+    );
+  }
+
+  console.log(`Webhook subscription secrets: ${subscriptions.length} encrypted`);
+}
+
+async function run() {
+  try {
+    if (!process.env.CREDENTIALS_ENCRYPTION_KEY) {
+      throw new Error('CREDENTIALS_ENCRYPTION_KEY must be set (the same value the server uses)');
+    }
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    // Unique on the plaintext fields; removing them from every record would collide on null
+    await dropIndexIfExists(PublisherApiKey, 'apiKey_1');
+    await dropIndexIfExists(PublisherApiKey, 'sandboxApiKey_1');
+    await dropIndexIfExists(PublisherKey, 'key_1');
+
+    await migratePublishers();
+    await migrateNamedKeys();
+    await migrateHistory();
+    await migrateSubscriptionSecrets();
+
+    await PublisherApiKey.createIndexes();
+    await PublisherKey.createIndexes();
+    console.log('Credential prefix indexes built');
+
+    console.log('\n✅ Migration complete');
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (err) {
+    console.error('Error:', err.message || err);
+    process.exit(1);
+  }
+}
+
+run();
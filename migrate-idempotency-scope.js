@@ -0,0 +1,77 @@
+// Script to move idempotency keys from global to per-publisher uniqueness
+// Run once after deploying publisher-scoped idempotency, before publishers reuse keys.
+//
+// - Drops the old global unique indexes on idempotencyKey
+// - Backfills publisherId on cached responses from their receipts (unmatched entries are removed)
+// - Builds the new { publisherId, idempotencyKey } unique indexes
+//
+// Usage:
+//   node migrate-idempotency-scope.js
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const EventReceipt = require('./src/models/EventReceipt');
+const IdempotencyCache = require('./src/models/IdempotencyCache');
+
+async function dropIndexIfExists(model, name) {
+  const indexes = await model.collection.indexes();
+
+  if (indexes.some(index => index.name === name)) {
+    await model.collection.dropIndex(name);
+    console.log(`Dropped ${model.collection.name}.${name}`);
+  }
+}
+
+async function backfillCachePublishers() {
+  const entries = await IdempotencyCache.collection
+    .find({ publisherId: { $exists: false } }, { projection: { receiptId: 1 } })
+    .toArray();
+
+  let updated = 0;
+  let removed = 0;
+
+  for (const entry of entries) {
+    const receiptId = String(entry.receiptId || '').replace('rct_', '');
+    const receipt = mongoose.isValidObjectId(receiptId)
+      ? await EventReceipt.findById(receiptId).select('publisherId').lean()
+      : null;
+
+    if (receipt) {
+      await IdempotencyCache.collection.updateOne(
+        { _id: entry._id },
+        { $set: { publisherId: receipt.publisherId, status: 'completed', requestHash: null } }
+      );
+      updated++;
+    } else {
+      await IdempotencyCache.collection.deleteOne({ _id: entry._id });
+      removed++;
+    }
+  }
+
+  console.log(`Cached responses: ${updated} backfilled, ${removed} removed`);
+}
+
+async function run() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    await dropIndexIfExists(EventReceipt, 'idempotencyKey_1');
+    await dropIndexIfExists(IdempotencyCache, 'idempotencyKey_1');
+
+    await backfillCachePublishers();
+
+    await EventReceipt.createIndexes();
+    await IdempotencyCache.createIndexes();
+    console.log('Per-publisher idempotency indexes built');
+
+    console.log('\n✅ Migration complete');
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (err) {
+    console.error('Error:', err.message || err);
+    process.exit(1);
+  }
+}
+
+run();
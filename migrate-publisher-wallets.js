@@ -0,0 +1,56 @@
+// Script to prepare the wallets collection for publisher earnings wallets
+// Run once after deploying the publisher earnings ledger. Safe to re-run.
+//
+// - Drops the old unique index on wallets.user (publisher wallets have no user and would collide on null)
+// - Builds the partial unique indexes on user (advertiser wallets) and publisherId (publisher wallets)
+// - Builds the PublisherLedgerEntry and PayoutStatement indexes
+//
+// Usage:
+//   node migrate-publisher-wallets.js
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Wallet = require('./src/models/Wallet');
+const PublisherLedgerEntry = require('./src/models/PublisherLedgerEntry');
+const PayoutStatement = require('./src/models/PayoutStatement');
+
+async function dropIndexIfExists(model, name) {
+  const indexes = await model.collection.indexes();
+  const index = indexes.find(index => index.name === name);
+
+  // Already replaced by the partial index
+  if (index && !index.partialFilterExpression) {
+    await model.collection.dropIndex(name);
+    console.log(`Dropped ${model.collection.name}.${name}`);
+  }
+}
+
+async function run() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    await dropIndexIfExists(Wallet, 'user_1');
+
+    // Existing wallets all belong to advertisers
+    const result = await Wallet.collection.updateMany(
+      { ownerType: { $exists: false } },
+      { $set: { ownerType: 'advertiser' } }
+    );
+    console.log(`Wallets: ${result.modifiedCount} marked as advertiser wallets`);
+
+    await Wallet.createIndexes();
+    await PublisherLedgerEntry.createIndexes();
+    await PayoutStatement.createIndexes();
+    console.log('Wallet, ledger and payout statement indexes built');
+
+    console.log('\n✅ Migration complete');
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (err) {
+    console.error('Error:', err.message || err);
+    process.exit(1);
+  }
+}
+
+run();
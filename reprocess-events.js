@@ -0,0 +1,101 @@
+// Script to re-derive v1 event receipts from their stored rawPayload
+// Dry run by default; pass --apply to write the changes.
+//
+// Usage:
+//   node reprocess-events.js --publisher pub_hulu --from 2024-12-01 --to 2024-12-31
+//   node reprocess-events.js --campaign cmp_456 --apply
+//   node reprocess-events.js --publisher pub_hulu --json > diff.json
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { reprocessEvents, MAX_OPPORTUNITIES } = require('./src/utils/eventReprocess');
+
+function parseArgs(argv) {
+  const args = { apply: false, json: false, max: MAX_OPPORTUNITIES };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--publisher': args.publisherId = argv[++i]; break;
+      case '--campaign': args.campaignId = argv[++i]; break;
+      case '--from': args.startDate = new Date(argv[++i]); break;
+      case '--to': args.endDate = new Date(argv[++i]); break;
+      case '--max': args.max = parseInt(argv[++i]); break;
+      case '--apply': args.apply = true; break;
+      case '--json': args.json = true; break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  if (!args.publisherId && !args.campaignId && !args.startDate && !args.endDate) {
+    throw new Error('Provide at least one of --publisher, --campaign, --from or --to');
+  }
+
+  for (const date of [args.startDate, args.endDate]) {
+    if (date && isNaN(date.getTime())) {
+      throw new Error('--from and --to must be ISO 8601 dates');
+    }
+  }
+
+  return args;
+}
+
+function printSummary(summary) {
+  for (const entry of summary.changes) {
+    console.log(`\n${entry.receipt_id} (${entry.event_type}, ${entry.ipause_opportunity_id})`);
+    for (const [field, { from, to }] of Object.entries(entry.changes)) {
+      console.log(`  ${field}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`);
+    }
+  }
+
+  for (const conflict of summary.conflicts) {
+    console.log(`\n⚠️  ${conflict.receipt_id}: ${conflict.reason} - ${conflict.message}`);
+  }
+
+  for (const skip of summary.skipped) {
+    console.log(`\n⚠️  ${skip.receipt_id} skipped: ${skip.reason}`);
+  }
+
+  console.log(`\n${summary.dry_run ? 'Dry run' : 'Applied'}: ${summary.receipts_changed} of ${summary.receipts_scanned} receipt(s) changed`);
+  console.log(`Opportunities: ${summary.opportunities_processed} of ${summary.opportunities_matched}${summary.truncated ? ' (truncated, raise --max)' : ''}`);
+  console.log(`Billing ${summary.dry_run ? 'to queue' : 'queued'}: ${summary.billing_queued}`);
+  console.log(`A2AR counts ${summary.dry_run ? 'to queue' : 'queued'}: ${summary.a2ar_queued}, ${summary.dry_run ? 'to remove' : 'removed'}: ${summary.a2ar_reversed}`);
+  console.log(`Conflicts: ${summary.conflicts.length}, skipped: ${summary.skipped.length}`);
+
+  if (summary.dry_run && summary.receipts_changed > 0) {
+    console.log('\nRun again with --apply to write these changes.');
+  }
+}
+
+async function run() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+
+    await mongoose.connect(process.env.MONGO_URI);
+    if (!args.json) console.log('Connected to MongoDB');
+
+    const summary = await reprocessEvents(
+      {
+        publisherId: args.publisherId,
+        campaignId: args.campaignId,
+        startDate: args.startDate,
+        endDate: args.endDate
+      },
+      { dryRun: !args.apply, maxOpportunities: args.max }
+    );
+
+    if (args.json) {
+      console.log(JSON.stringify(summary, null, 2));
+    } else {
+      printSummary(summary);
+    }
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (err) {
+    console.error('Error:', err.message || err);
+    process.exit(1);
+  }
+}
+
+run();
@@ -5,6 +5,7 @@ const helmet = require('helmet');
 const mongoose = require('mongoose');
 const dotenv = require('dotenv');
 const rateLimit = require('express-rate-limit');
+const { authFailureRateLimit } = require('./middleware/publisherRateLimit');
 
 dotenv.config();
 
@@ -20,8 +21,25 @@ const a2arRoutes = require('./routes/a2ar');
 // Import v1 API routes
 const v1EventsRoutes = require('./routes/v1/events');
 const v1PublishersRoutes = require('./routes/v1/publishers');
+const v1SchemasRoutes = require('./routes/v1/schemas');
+const v1JobsRoutes = require('./routes/v1/jobs');
+const v1AdminEventsRoutes = require('./routes/v1/adminEvents');
+const v1StatsRoutes = require('./routes/v1/stats');
+const v1WebhooksRoutes = require('./routes/v1/webhooks');
+const v1SandboxRoutes = require('./routes/v1/sandbox');
+const v1ReconciliationRoutes = require('./routes/v1/reconciliation');
+const v1PortalRoutes = require('./routes/v1/portal');
+const v1PayoutsRoutes = require('./routes/v1/payouts');
 const v1TestRoutes = require('./routes/v1/test');
 
+// Background tasks
+const EventReceipt = require('./models/EventReceipt');
+const SandboxEventReceipt = require('./models/SandboxEventReceipt');
+const jobQueue = require('./jobs/queue');
+const { generateStatements, previousPeriod } = require('./utils/payouts');
+const { requeueLostBillingJobs } = require('./jobs/eventJobs'); // also registers billing + A2AR job handlers
+require('./jobs/webhookJobs'); // registers webhook delivery handler
+
 const app = express();
 
 // =====================
@@ -34,8 +52,14 @@ app.set('trust proxy', 1);
 // Security headers
 app.use(helmet());
 
-// JSON parsing
-app.use(express.json());
+// JSON parsing (raised limit for /v1/events/batch payloads)
+// The raw body is kept so signed webhook requests can be verified byte-for-byte
+app.use(express.json({
+  limit: process.env.JSON_BODY_LIMIT || '1mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 
 // CORS configuration
 app.use(
@@ -48,16 +72,25 @@ app.use(
 // =====================
 // Rate Limiter
 // =====================
+// Publisher API routes: each authenticates a publisher (API key, signature, pixel token or
+// portal login) and is then limited per publisher by publisherRateLimit
+const PUBLISHER_RATE_LIMITED_PATHS = /^\/v1\/(events|px|stats|webhooks|sandbox|reconciliation|portal)(\/|$)/;
+
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000'), // default 1 minute
   max: parseInt(process.env.RATE_LIMIT_MAX || '100'),              // default 100 requests per window
   standardHeaders: true,
   legacyHeaders: false,
   keyGenerator: (req) => req.ip,  // important for proxies
+  // Publisher API traffic is limited per publisher instead (see publisherRateLimit)
+  skip: (req) => PUBLISHER_RATE_LIMITED_PATHS.test(req.path),
 });
 
 app.use(limiter);
 
+// Per IP, publisher API routes only limit failed authentications (bad keys, signatures, tokens)
+app.use(PUBLISHER_RATE_LIMITED_PATHS, authFailureRateLimit);
+
 // =====================
 // Routes
 // =====================
@@ -76,6 +109,15 @@ app.use('/api/a2ar', a2arRoutes);
 // =====================
 app.use('/v1', v1EventsRoutes);
 app.use('/v1', v1PublishersRoutes);
+app.use('/v1', v1SchemasRoutes);
+app.use('/v1', v1JobsRoutes);
+app.use('/v1', v1AdminEventsRoutes);
+app.use('/v1', v1StatsRoutes);
+app.use('/v1', v1WebhooksRoutes);
+app.use('/v1', v1SandboxRoutes);
+app.use('/v1', v1ReconciliationRoutes);
+app.use('/v1', v1PortalRoutes);
+app.use('/v1', v1PayoutsRoutes);
 app.use('/v1', v1TestRoutes);
 
 // Health check
@@ -110,6 +152,26 @@ mongoose
   .then(() => {
     console.log('Connected to MongoDB Atlas');
     app.listen(PORT, () => console.log(`Server listening on port ${PORT}`));
+
+    // Process queued billing / A2AR jobs
+    jobQueue.startWorker();
+
+    // Periodically close out pending events whose match window expired,
+    // and re-queue billing whose job was never created
+    setInterval(() => {
+      EventReceipt.markOrphanedEvents()
+        .catch(err => console.error('Orphan sweep error:', err));
+      SandboxEventReceipt.markOrphanedEvents()
+        .catch(err => console.error('Sandbox orphan sweep error:', err));
+      requeueLostBillingJobs()
+        .catch(err => console.error('Lost billing job sweep error:', err));
+    }, parseInt(process.env.ORPHAN_SWEEP_INTERVAL_MS || '60000'));
+
+    // Generate last month's publisher payout statements (skips publishers that already have one)
+    setInterval(() => {
+      generateStatements(previousPeriod())
+        .catch(err => console.error('Payout statement run error:', err));
+    }, parseInt(process.env.PAYOUT_STATEMENT_INTERVAL_MS || '3600000'));
   })
   .catch((err) => {
     console.error('MongoDB connection error:', err);
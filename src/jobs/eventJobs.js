@@ -0,0 +1,325 @@
+// src/jobs/eventJobs.js
+// Billing and A2AR side effects of v1 event ingestion, run through the job queue
+const mongoose = require('mongoose');
+
+const EventReceipt = require('../models/EventReceipt');
+const A2ARMetric = require('../models/A2ARMetric');
+const A2ARLiveMetric = require('../models/A2ARLiveMetric');
+const QrCode = require('../models/QrCode');
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+const BillingRecord = require('../models/BillingRecord');
+const PublisherLedgerEntry = require('../models/PublisherLedgerEntry');
+const Job = require('../models/Job');
+const DeadLetterJob = require('../models/DeadLetterJob');
+const queue = require('./queue');
+const { emitWebhookEvent, emitConversionEvent } = require('./webhookJobs');
+
+const JOB_TYPES = {
+  BILLING: 'billing.process',
+  A2AR_METRICS: 'a2ar.update'
+};
+
+// How long a billable pause may go without a billing job before the sweep re-queues it
+const LOST_JOB_GRACE_MS = parseInt(process.env.LOST_JOB_GRACE_MS || '300000');
+
+// =====================
+// Process billing for successful conversion
+// =====================
+async function processBilling({ pauseEventId, conversionId }) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const pauseEvent = await EventReceipt.findById(pauseEventId).session(session);
+
+    if (!pauseEvent) {
+      throw new Error(`Pause receipt ${pauseEventId} not found`);
+    }
+
+    // Already billed (e.g. a retry after the commit succeeded) - nothing to do
+    if (pauseEvent.billingStatus !== 'billable') {
+      await session.abortTransaction();
+      session.endSession();
+      return;
+    }
+
+    // Get campaign/QR code details to find advertiser
+    const qrCode = await QrCode.findOne({ id: pauseEvent.campaignId });
+
+    if (!qrCode) {
+      throw new Error(`Campaign/QR code not found: ${pauseEvent.campaignId}`);
+    }
+
+    const advertiserId = qrCode.advertiser;
+    const conversionFee = qrCode.conversionFee || 5.00;
+    const publisherShare = qrCode.publisherShare || (conversionFee * 0.6);
+    const ipauseCut = conversionFee - publisherShare;
+
+    // Get advertiser's wallet
+    let wallet = await Wallet.findOne({ user: advertiserId }).session(session);
+
+    if (!wallet) {
+      // Create wallet if doesn't exist
+      wallet = await Wallet.create([{
+        user: advertiserId,
+        balance: 0
+      }], { session });
+      wallet = wallet[0];
+    }
+
+    if (wallet.balance < conversionFee) {
+      console.warn('Insufficient wallet balance for advertiser:', advertiserId);
+      await session.abortTransaction();
+      session.endSession();
+      await EventReceipt.findByIdAndUpdate(pauseEvent._id, { billingStatus: 'non_billable', billingReason: 'insufficient_balance' });
+
+      const conversion = await EventReceipt.findById(conversionId);
+      if (conversion) {
+        await emitConversionEvent('conversion.non_billable', conversion, pauseEvent, {
+          billing_status: 'non_billable',
+          billing_reason: 'insufficient_balance'
+        });
+      }
+      return;
+    }
+
+    const balanceBefore = wallet.balance;
+    const balanceAfter = balanceBefore - conversionFee;
+
+    // Deduct from wallet
+    wallet.balance = balanceAfter;
+    await wallet.save({ session });
+
+    // Record wallet transaction
+    await WalletTransaction.create([{
+      wallet: wallet._id,
+      type: 'conversion_fee',
+      amount: -conversionFee,
+      balanceBefore,
+      balanceAfter,
+      description: `Conversion from ${pauseEvent.contentTitle} (${pauseEvent.publisherName})`,
+      referenceId: conversionId,
+      referenceType: 'event_receipt'
+    }], { session });
+
+    // Create billing record
+    const [billingRecord] = await BillingRecord.create([{
+      user: advertiserId,
+      scan: conversionId,
+      qrCodeId: pauseEvent.campaignId,
+      publisher: pauseEvent.publisherName,
+      publisherId: pauseEvent.publisherId,
+      creativeId: pauseEvent.creativeId,
+      conversionFee,
+      publisherShare,
+      ipauseCut,
+      verified: true,
+      billedAt: new Date()
+    }], { session });
+
+    // Credit the publisher's revenue share to its earnings ledger
+    await PublisherLedgerEntry.creditConversion(billingRecord, session);
+
+    // Mark pause event as billed
+    await EventReceipt.findByIdAndUpdate(pauseEvent._id, { billingStatus: 'billed' }, { session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    console.log(`Billing processed: $${conversionFee} charged for opportunity ${pauseEvent.ipauseOpportunityId}`);
+
+    const conversion = await EventReceipt.findById(conversionId);
+    if (conversion) {
+      await emitConversionEvent('conversion.billed', conversion, pauseEvent, {
+        billing_status: 'billed',
+        conversion_fee: conversionFee,
+        publisher_share: publisherShare,
+        billed_at: new Date().toISOString()
+      });
+    }
+
+    // Warn the advertiser once, when this charge takes the wallet below its threshold
+    if (balanceBefore >= wallet.lowBalanceThreshold && balanceAfter < wallet.lowBalanceThreshold) {
+      await emitWebhookEvent('wallet.low_balance', {
+        advertiser_id: String(advertiserId),
+        balance: balanceAfter,
+        currency: wallet.currency,
+        low_balance_threshold: wallet.lowBalanceThreshold
+      }, { advertiserId });
+    }
+
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    session.endSession();
+    throw error;
+  }
+}
+
+// =====================
+// Update A2AR metrics
+// receiptId is the receipt being counted: the pause (opportunity, or dwell when dwellSeconds is set)
+// or the conversion. Its marker is set in the same transaction as the counters, so a retry after a
+// crash or a stale-lock reclaim finds it set and counts nothing twice.
+// =====================
+async function updateA2ARMetrics({ receiptId = null, date, publisherId, programTitle, campaignId, pauseOpportunity, conversion, asvSeconds = null, dwellSeconds = null, isLive = false }) {
+  // Try to find advertiser from campaign
+  let advertiserId = null;
+  if (campaignId) {
+    const qrCode = await QrCode.findOne({ id: campaignId });
+    if (qrCode) {
+      advertiserId = qrCode.advertiser;
+    }
+  }
+
+  if (!advertiserId) {
+    console.warn('No advertiser found for campaign:', campaignId);
+    return;
+  }
+
+  const metrics = {
+    date: new Date(date),
+    advertiser: advertiserId,
+    publisher: publisherId,
+    programTitle: programTitle || 'Unknown',
+    pauseOpportunity: !!pauseOpportunity,
+    conversion: !!conversion,
+    asvSeconds: asvSeconds,
+    dwellSeconds: dwellSeconds
+  };
+
+  // Live content is also rolled up into 5-minute and hourly buckets
+  const live = isLive ? {
+    date: new Date(date),
+    advertiser: advertiserId,
+    publisher: publisherId,
+    programTitle: programTitle || 'Unknown',
+    campaignId,
+    pauseOpportunity: !!pauseOpportunity,
+    conversion: !!conversion,
+    asvSeconds
+  } : null;
+
+  // Jobs queued before receipts carried A2AR markers
+  if (!receiptId) {
+    await A2ARMetric.updateMetrics(metrics);
+    if (live) await A2ARLiveMetric.recordLive(live);
+    return;
+  }
+
+  const marker = dwellSeconds !== null ? 'a2arDwellCountedAt' : 'a2arCountedAt';
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    // Conversions count only while billable (reprocessing or review may have changed that since)
+    const claimed = await EventReceipt.findOneAndUpdate(
+      { _id: receiptId, [marker]: null, billingStatus: conversion ? 'billable' : { $ne: 'voided' } },
+      { $set: { [marker]: new Date() } },
+      { session }
+    );
+
+    // Already counted by an earlier attempt, or voided / no longer billable before it was counted
+    // (voids and reprocessing only reverse what the receipt is marked as having counted)
+    if (!claimed) {
+      await session.abortTransaction();
+      session.endSession();
+      return;
+    }
+
+    await A2ARMetric.updateMetrics(metrics, { session });
+    if (live) {
+      await A2ARLiveMetric.recordLive(live, { session });
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    session.endSession();
+    throw error;
+  }
+}
+
+queue.registerHandler(JOB_TYPES.BILLING, processBilling);
+queue.registerHandler(JOB_TYPES.A2AR_METRICS, updateA2ARMetrics);
+
+/**
+ * Queue billing for a matched, successful conversion
+ */
+function enqueueBilling(pauseEvent, conversionId) {
+  return queue.enqueue(JOB_TYPES.BILLING, {
+    pauseEventId: pauseEvent._id,
+    conversionId
+  });
+}
+
+/**
+ * Queue an A2AR metrics update
+ * Pass receiptId (the pause or conversion being counted) so the update is applied once.
+ */
+function enqueueA2ARUpdate(params) {
+  return queue.enqueue(JOB_TYPES.A2AR_METRICS, params);
+}
+
+/**
+ * Re-queue billing (and the conversion's A2AR count) for billable pauses that have no job
+ * The receipt is written before its jobs are enqueued, so a failed enqueue would otherwise
+ * leave the conversion unbilled while a client retry only gets "duplicate". Dead-lettered
+ * jobs are left for an admin to replay.
+ * @returns {number} Pauses re-queued
+ */
+async function requeueLostBillingJobs() {
+  const pauses = await EventReceipt.find({
+    eventType: 'pause_impression',
+    billingStatus: 'billable',
+    matchedConversionId: { $ne: null },
+    updatedAt: { $lte: new Date(Date.now() - LOST_JOB_GRACE_MS) }
+  });
+
+  let requeued = 0;
+
+  for (const pause of pauses) {
+    const [queued, deadLettered] = await Promise.all([
+      Job.exists({ type: JOB_TYPES.BILLING, 'payload.pauseEventId': pause._id }),
+      DeadLetterJob.exists({ type: JOB_TYPES.BILLING, 'payload.pauseEventId': pause._id, replayedAt: null })
+    ]);
+    if (queued || deadLettered) continue;
+
+    const conversion = await EventReceipt.findById(pause.matchedConversionId);
+    if (!conversion) continue;
+
+    await enqueueBilling(pause, conversion._id);
+
+    // Queued right after billing at ingestion, so it was lost with it (the marker stops a double count)
+    if (!conversion.a2arCountedAt && !(await Job.exists({ type: JOB_TYPES.A2AR_METRICS, 'payload.receiptId': conversion._id }))) {
+      await enqueueA2ARUpdate({
+        receiptId: conversion._id,
+        date: conversion.eventTimeUtc,
+        publisherId: conversion.publisherId,
+        programTitle: pause.contentTitle || pause.series,
+        campaignId: pause.campaignId,
+        conversion: true,
+        asvSeconds: conversion.asvSeconds ?? null,
+        isLive: pause.isLive
+      });
+    }
+
+    console.warn(`Re-queued lost billing job for pause ${pause._id} (conversion ${conversion._id})`);
+    requeued += 1;
+  }
+
+  return requeued;
+}
+
+module.exports = {
+  JOB_TYPES,
+  enqueueBilling,
+  enqueueA2ARUpdate,
+  requeueLostBillingJobs
+};
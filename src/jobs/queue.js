@@ -0,0 +1,225 @@
+// src/jobs/queue.js
+// Durable MongoDB-backed job queue with retries, exponential backoff and a dead-letter collection
+const os = require('os');
+const Job = require('../models/Job');
+const DeadLetterJob = require('../models/DeadLetterJob');
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || '1000');
+const BACKOFF_BASE_MS = parseInt(process.env.JOB_BACKOFF_BASE_MS || '5000');
+const BACKOFF_MAX_MS = parseInt(process.env.JOB_BACKOFF_MAX_MS || '3600000');
+const LOCK_TIMEOUT_MS = parseInt(process.env.JOB_LOCK_TIMEOUT_MS || '300000');
+const COMPLETED_RETENTION_HOURS = parseInt(process.env.JOB_COMPLETED_RETENTION_HOURS || '168');
+
+const workerId = `${os.hostname()}:${process.pid}`;
+const handlers = {};
+let pollTimer = null;
+
+/**
+ * Register the function that runs jobs of a given type
+ * Handlers must throw on failure so the job is retried.
+ */
+function registerHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+/**
+ * Add a job to the queue
+ */
+async function enqueue(type, payload = {}, { maxAttempts = 5, delayMs = 0, replayOf = null } = {}) {
+  return Job.create({
+    type,
+    payload,
+    maxAttempts,
+    runAt: new Date(Date.now() + delayMs),
+    replayOf
+  });
+}
+
+/**
+ * Delay before the next attempt: base * 2^(attempt - 1), capped, with jitter
+ */
+function backoffDelay(attempts) {
+  const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * Math.pow(2, attempts - 1));
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Claim the next runnable job (queued and due, or processing with a stale lock)
+ */
+async function claimNextJob() {
+  const now = new Date();
+
+  return Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'processing', lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    {
+      $set: { status: 'processing', lockedAt: now, lockedBy: workerId },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Record a failed attempt: retry with backoff or move to the dead-letter collection
+ */
+async function handleFailure(job, error) {
+  const lastError = error?.stack || String(error);
+
+  if (job.attempts < job.maxAttempts) {
+    await Job.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: 'queued',
+          runAt: new Date(Date.now() + backoffDelay(job.attempts)),
+          lastError
+        },
+        $unset: { lockedAt: 1, lockedBy: 1 }
+      }
+    );
+    return;
+  }
+
+  await DeadLetterJob.create({
+    originalJobId: job._id,
+    type: job.type,
+    payload: job.payload,
+    attempts: job.attempts,
+    lastError
+  });
+  await Job.deleteOne({ _id: job._id });
+
+  console.error(`Job ${job._id} (${job.type}) moved to dead-letter after ${job.attempts} attempts:`, error);
+}
+
+/**
+ * Run one job if any is due
+ * @returns {boolean} true if a job was processed
+ */
+async function processNext() {
+  const job = await claimNextJob();
+  if (!job) return false;
+
+  const handler = handlers[job.type];
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type "${job.type}"`);
+    }
+
+    await handler(job.payload, job);
+
+    await Job.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: 'completed',
+          completedAt: new Date(),
+          purgeAt: new Date(Date.now() + COMPLETED_RETENTION_HOURS * 60 * 60 * 1000)
+        },
+        $unset: { lockedAt: 1, lockedBy: 1, lastError: 1 }
+      }
+    );
+  } catch (error) {
+    await handleFailure(job, error);
+  }
+
+  return true;
+}
+
+/**
+ * Start polling for jobs; drains everything due before waiting again
+ */
+function startWorker() {
+  if (pollTimer) return;
+
+  const tick = async () => {
+    try {
+      while (await processNext()) {
+        // keep draining
+      }
+    } catch (error) {
+      console.error('Job worker error:', error);
+    }
+    pollTimer = setTimeout(tick, POLL_INTERVAL_MS);
+  };
+
+  pollTimer = setTimeout(tick, 0);
+  console.log(`Job worker started (${workerId})`);
+}
+
+/**
+ * Stop polling (used on shutdown)
+ */
+function stopWorker() {
+  if (pollTimer) clearTimeout(pollTimer);
+  pollTimer = null;
+}
+
+/**
+ * Queue depth by type and status
+ */
+async function getStats() {
+  const [byStatus, deadLetters] = await Promise.all([
+    Job.aggregate([
+      { $match: { status: { $ne: 'completed' } } },
+      {
+        $group: {
+          _id: { type: '$type', status: '$status' },
+          count: { $sum: 1 },
+          oldestRunAt: { $min: '$runAt' }
+        }
+      },
+      { $sort: { '_id.type': 1, '_id.status': 1 } }
+    ]),
+    DeadLetterJob.aggregate([
+      { $match: { replayedAt: null } },
+      { $group: { _id: '$type', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  return { byStatus, deadLetters };
+}
+
+/**
+ * Re-enqueue a dead-lettered job
+ * The dead letter is claimed before the job is created, so concurrent replays create one job.
+ * @returns {Object|null} The new job, or null if the dead letter was already replayed
+ */
+async function replayDeadLetter(deadLetter, replayedBy = null) {
+  const claimed = await DeadLetterJob.findOneAndUpdate(
+    { _id: deadLetter._id, replayedAt: null },
+    { $set: { replayedAt: new Date(), replayedBy } },
+    { new: true }
+  );
+
+  if (!claimed) return null;
+
+  let job;
+  try {
+    job = await enqueue(claimed.type, claimed.payload, { replayOf: claimed._id });
+  } catch (error) {
+    // Release the claim so the replay can be tried again
+    await DeadLetterJob.updateOne({ _id: claimed._id }, { $set: { replayedAt: null, replayedBy: null } });
+    throw error;
+  }
+
+  await DeadLetterJob.updateOne({ _id: claimed._id }, { $set: { replayJobId: job._id } });
+
+  return job;
+}
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  processNext,
+  startWorker,
+  stopWorker,
+  getStats,
+  replayDeadLetter
+};
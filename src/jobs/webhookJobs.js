@@ -0,0 +1,235 @@
+// src/jobs/webhookJobs.js
+// Signed outbound webhooks to publishers and advertisers, delivered through the job queue
+const crypto = require('crypto');
+
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const PublisherApiKey = require('../models/PublisherApiKey');
+const QrCode = require('../models/QrCode');
+const { checkWebhookTarget } = require('../utils/webhookTargets');
+const queue = require('./queue');
+
+const JOB_TYPES = {
+  DELIVER: 'webhook.deliver'
+};
+
+// Attempts per delivery before it is marked failed (retries use the queue's exponential backoff)
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8');
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000');
+
+/**
+ * Sign a webhook body the same way publishers sign requests to us (v1 scheme)
+ * @returns {string} X-iPause-Signature header value
+ */
+function signWebhookPayload(secret, timestamp, body) {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+  return `v1=${signature}`;
+}
+
+/**
+ * Current signing secret for a subscription
+ */
+async function getSigningSecret(subscription) {
+  if (subscription.ownerType === 'advertiser') {
+    return subscription.getSecret();
+  }
+
+  const publisher = await PublisherApiKey.findOne({ publisherId: subscription.publisherId }).select('webhookSecret');
+  return publisher ? publisher.getWebhookSecret() : null;
+}
+
+// =====================
+// Deliver one webhook
+// =====================
+async function deliverWebhook({ deliveryId }, job) {
+  const delivery = await WebhookDelivery.findById(deliveryId);
+
+  // Gone, or a retry after the delivery already succeeded
+  if (!delivery || delivery.status !== 'pending') return;
+
+  const subscription = await WebhookSubscription.findById(delivery.subscription);
+  const secret = subscription?.active ? await getSigningSecret(subscription) : null;
+
+  if (!secret) {
+    delivery.status = 'failed';
+    delivery.lastError = subscription?.active ? 'No signing secret available' : 'Subscription inactive or deleted';
+    await delivery.save();
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const startedAt = Date.now();
+  let statusCode = null;
+  let error = null;
+
+  try {
+    // Re-checked on every attempt: the hostname may have been repointed since the subscription was saved
+    const target = await checkWebhookTarget(delivery.url);
+    if (target.error) {
+      throw new Error(target.message);
+    }
+
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'iPauseAds-Webhooks/1.0',
+        'X-iPause-Event': delivery.eventType,
+        'X-iPause-Delivery': String(delivery._id),
+        'X-iPause-Timestamp': timestamp,
+        'X-iPause-Signature': signWebhookPayload(secret, timestamp, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+
+    statusCode = response.status;
+    if (!response.ok) {
+      error = `HTTP ${response.status}`;
+    }
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? `Timed out after ${WEBHOOK_TIMEOUT_MS}ms` : err.message;
+  }
+
+  const succeeded = !error;
+  const finalAttempt = !job || job.attempts >= job.maxAttempts;
+
+  delivery.attempts.push({
+    attemptedAt: new Date(startedAt),
+    statusCode,
+    error,
+    durationMs: Date.now() - startedAt
+  });
+  delivery.lastStatusCode = statusCode;
+  delivery.lastError = error;
+  if (succeeded) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+  } else if (finalAttempt) {
+    delivery.status = 'failed';
+  }
+  await delivery.save();
+
+  await WebhookSubscription.updateOne(
+    { _id: subscription._id },
+    { $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: succeeded ? 'succeeded' : 'failed' } }
+  );
+
+  if (!succeeded) {
+    if (finalAttempt) {
+      console.error(`Webhook delivery ${delivery._id} (${delivery.eventType}) failed after ${delivery.attempts.length} attempts: ${error}`);
+      return;
+    }
+    // Throw so the queue retries with backoff
+    throw new Error(`Webhook delivery ${delivery._id} to ${delivery.url} failed: ${error}`);
+  }
+}
+
+queue.registerHandler(JOB_TYPES.DELIVER, deliverWebhook);
+
+/**
+ * Create a delivery and queue it
+ */
+async function queueDelivery(subscription, { eventId, eventType, payload }, redeliveryOf = null) {
+  const delivery = await WebhookDelivery.create({
+    subscription: subscription._id,
+    eventId,
+    eventType,
+    payload,
+    url: subscription.url,
+    redeliveryOf
+  });
+
+  await queue.enqueue(JOB_TYPES.DELIVER, { deliveryId: delivery._id }, { maxAttempts: WEBHOOK_MAX_ATTEMPTS });
+
+  return delivery;
+}
+
+/**
+ * Send an event to every active subscription of the publisher and/or advertiser it concerns
+ * Never throws: webhook fan-out must not fail the billing or ingestion work that triggered it.
+ * @param {string} eventType - One of WebhookSubscription.WEBHOOK_EVENT_TYPES
+ * @param {Object} data - Event body sent as payload.data
+ * @param {Object} owners - { publisherId, advertiserId }
+ */
+async function emitWebhookEvent(eventType, data, owners) {
+  try {
+    const subscriptions = await WebhookSubscription.findForEvent(eventType, owners);
+    if (subscriptions.length === 0) return;
+
+    const eventId = 'whevt_' + crypto.randomBytes(12).toString('hex');
+    const payload = {
+      id: eventId,
+      type: eventType,
+      created_at: new Date().toISOString(),
+      data
+    };
+
+    for (const subscription of subscriptions) {
+      await queueDelivery(subscription, { eventId, eventType, payload });
+    }
+  } catch (error) {
+    console.error(`Webhook emit error (${eventType}):`, error);
+  }
+}
+
+/**
+ * Emit a conversion.* event to the conversion's publisher and the campaign's advertiser
+ * @param {string} eventType - 'conversion.billed' or 'conversion.non_billable'
+ * @param {Object} conversion - qr_conversion receipt
+ * @param {Object|null} pause - Its matched pause_impression receipt, if any
+ * @param {Object} details - Extra fields merged into the event data (billing_status, billing_reason, fees)
+ */
+async function emitConversionEvent(eventType, conversion, pause, details = {}) {
+  let advertiserId = null;
+
+  try {
+    const qrCode = pause?.campaignId ? await QrCode.findOne({ id: pause.campaignId }).select('advertiser').lean() : null;
+    advertiserId = qrCode?.advertiser || null;
+  } catch (error) {
+    console.error(`Webhook advertiser lookup error (${eventType}):`, error);
+  }
+
+  return emitWebhookEvent(eventType, {
+    receipt_id: `rct_${conversion._id}`,
+    event_id: conversion.eventId,
+    publisher_id: conversion.publisherId,
+    ipause_opportunity_id: conversion.ipauseOpportunityId,
+    campaign_id: pause?.campaignId || null,
+    matched_pause_id: pause ? `rct_${pause._id}` : null,
+    converted_at: conversion.eventTimeUtc,
+    billing_status: conversion.billingStatus,
+    billing_reason: conversion.billingReason || null,
+    ...details
+  }, {
+    publisherId: conversion.publisherId,
+    advertiserId
+  });
+}
+
+/**
+ * Send a past delivery's payload again as a new delivery
+ */
+async function redeliverWebhook(delivery) {
+  const subscription = await WebhookSubscription.findById(delivery.subscription);
+
+  if (!subscription) {
+    throw new Error(`Subscription ${delivery.subscription} not found`);
+  }
+
+  return queueDelivery(subscription, delivery, delivery._id);
+}
+
+module.exports = {
+  JOB_TYPES,
+  signWebhookPayload,
+  emitWebhookEvent,
+  emitConversionEvent,
+  redeliverWebhook
+};
@@ -2,7 +2,12 @@
 const jwt = require('jsonwebtoken');
 
 
-function authMiddleware(req, res, next) {
+/**
+ * Verify the Bearer JWT and set req.user
+ * Publisher portal users (role "publisher") are refused unless the route opts in
+ * with auth.allowPublisherUsers; everything else behind auth faces advertisers and admins.
+ */
+function verifyToken(req, res, next, { allowPublisherUsers = false } = {}) {
 const header = req.headers.authorization;
 if (!header) return res.status(401).json({ error: 'Missing Authorization header' });
 
@@ -11,14 +16,30 @@ const token = header.split(' ')[1];
 if (!token) return res.status(401).json({ error: 'Invalid token format' });
 
 
+let payload;
 try {
-const payload = jwt.verify(token, process.env.JWT_SECRET);
-req.user = payload;
-next();
+payload = jwt.verify(token, process.env.JWT_SECRET);
 } catch (err) {
 return res.status(401).json({ error: 'Invalid or expired token' });
 }
+
+if (payload.role === 'publisher' && !allowPublisherUsers) {
+return res.status(403).json({ error: 'Publisher accounts can only use the publisher portal (/v1/portal)' });
 }
 
+req.user = payload;
+next();
+}
+
+
+function authMiddleware(req, res, next) {
+return verifyToken(req, res, next);
+}
+
+// For routes shared with publisher portal users (e.g. /auth/me)
+authMiddleware.allowPublisherUsers = function(req, res, next) {
+return verifyToken(req, res, next, { allowPublisherUsers: true });
+};
+
 
-module.exports = authMiddleware;
\ No newline at end of file
+module.exports = authMiddleware;
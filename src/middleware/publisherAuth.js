@@ -0,0 +1,303 @@
+// src/middleware/publisherAuth.js
+const PublisherApiKey = require('../models/PublisherApiKey');
+const PublisherKey = require('../models/PublisherKey');
+const PublisherKeyHistory = require('../models/PublisherKeyHistory');
+const { PIXEL_TOKEN_MAX_TTL_SECONDS, sendPixel } = require('../utils/pixel');
+const { isIpAllowed } = require('../utils/ipAllowlist');
+const { credentialPrefix } = require('../utils/credentials');
+const auth = require('./auth');
+
+// A refused credential + address pair is logged to PublisherKeyHistory at most once per window,
+// so a leaked key being hammered from outside its ranges cannot flood the history
+const IP_REJECTION_LOG_WINDOW_MS = 10 * 60 * 1000;
+const ipRejectionsLogged = new Map();
+
+/**
+ * Find the publisher for a Bearer key: a primary key (every scope) or a named PublisherKey
+ * @returns {Object} { publisher, key } (key is null for primary keys), or { error, message }
+ */
+async function resolveApiKey(apiKey) {
+  const publisher = await PublisherApiKey.findByApiKey(apiKey);
+  if (publisher) return { publisher, key: null };
+  
+  const key = await PublisherKey.findByApiKey(apiKey);
+  
+  if (key && key.status === 'active' && key.expiresAt && key.expiresAt <= new Date()) {
+    return { error: 'api_key_expired', message: 'This API key has expired' };
+  }
+  
+  const keyPublisher = key?.isUsable()
+    ? await PublisherApiKey.findOne({ publisherId: key.publisherId, status: 'active' })
+    : null;
+  
+  if (!keyPublisher) {
+    return { error: 'invalid_credentials', message: 'Invalid or inactive API key' };
+  }
+  
+  return { publisher: keyPublisher, key };
+}
+
+/**
+ * Refuse a request from outside the credential's allowed CIDR ranges
+ * Checks the named key's ranges, or the publisher's for primary keys and signed requests.
+ * @returns {boolean} true if the request was refused (403 ip_not_allowed sent)
+ */
+function rejectDisallowedIp(req, res, { publisher, key, keyPrefix }) {
+  const allowedCidrs = key ? key.allowedCidrs : publisher.allowedCidrs;
+  if (isIpAllowed(req.ip, allowedCidrs)) return false;
+
+  const logKey = `${key ? key._id : publisher.publisherId}|${keyPrefix}|${req.ip}`;
+  const lastLogged = ipRejectionsLogged.get(logKey);
+
+  if (!lastLogged || Date.now() - lastLogged > IP_REJECTION_LOG_WINDOW_MS) {
+    ipRejectionsLogged.set(logKey, Date.now());
+    for (const [entry, loggedAt] of ipRejectionsLogged) {
+      if (Date.now() - loggedAt > IP_REJECTION_LOG_WINDOW_MS) ipRejectionsLogged.delete(entry);
+    }
+
+    PublisherKeyHistory.logAction({
+      publisherId: publisher.publisherId,
+      action: 'ip_not_allowed',
+      oldKeyPrefix: keyPrefix,
+      keyId: key ? key._id : null,
+      keyLabel: key ? key.label : null,
+      ipAddress: req.ip || null,
+      reason: `${req.method} ${req.originalUrl} refused: address outside the allowed CIDR ranges`
+    }).catch(err => console.error('IP rejection logging error:', err));
+  }
+
+  console.warn(`Publisher ${publisher.publisherId} request from ${req.ip} refused by CIDR allowlist`);
+
+  res.status(403).json({
+    error: 'ip_not_allowed',
+    message: `Requests with this credential are not allowed from ${req.ip}`
+  });
+  return true;
+}
+
+/**
+ * Authenticate a v1 publisher request by API key (Bearer) or signed webhook headers
+ * Sets req.publisher on success, and req.sandbox for pk_test_ keys (signed requests are always live).
+ * req.apiKey is the named PublisherKey used, or null for primary keys and signed requests (every scope).
+ * Requests from outside the credential's allowed CIDR ranges get 403 ip_not_allowed.
+ */
+async function authenticatePublisher(req, res, next) {
+  try {
+    // Option 1: API Key Authentication (Bearer token)
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      const apiKey = authHeader.substring(7);
+      
+      const resolved = await resolveApiKey(apiKey);
+      
+      if (resolved.error) {
+        return res.status(401).json({ 
+          error: resolved.error,
+          message: resolved.message
+        });
+      }
+      
+      const { publisher, key } = resolved;
+      
+      if (rejectDisallowedIp(req, res, { publisher, key, keyPrefix: key ? key.keyPrefix : credentialPrefix(apiKey) })) {
+        return;
+      }
+      
+      req.publisher = publisher;
+      req.apiKey = key;
+      req.sandbox = PublisherApiKey.isSandboxKey(apiKey);
+      
+      if (req.sandbox) {
+        res.set('X-iPause-Sandbox', 'true');
+      }
+      
+      // Update usage stats (non-blocking)
+      publisher.recordUsage().catch(err => console.error('Usage recording error:', err));
+      if (key) {
+        key.recordUsage(req.ip).catch(err => console.error('Key usage recording error:', err));
+      }
+      
+      return next();
+    }
+    
+    // Option 2: Signed Webhook Authentication
+    const timestamp = req.headers['x-ipause-timestamp'];
+    const signature = req.headers['x-ipause-signature'];
+    
+    if (timestamp && signature) {
+      const headerPublisherId = req.headers['x-ipause-publisher-id'];
+      const bodyPublisherId = req.body?.publisher?.publisher_id;
+      const publisherId = headerPublisherId || bodyPublisherId;
+      
+      if (!publisherId) {
+        return res.status(400).json({ 
+          error: 'missing_publisher_id',
+          message: 'X-iPause-Publisher-Id header or publisher.publisher_id is required for signed requests'
+        });
+      }
+      
+      // The signature is checked with the header publisher's secret, so the body must be for the same publisher
+      if (headerPublisherId && bodyPublisherId !== undefined && bodyPublisherId !== headerPublisherId) {
+        return res.status(403).json({
+          error: 'publisher_mismatch',
+          message: 'publisher.publisher_id does not match the X-iPause-Publisher-Id header'
+        });
+      }
+      
+      const publisher = await PublisherApiKey.findOne({ 
+        publisherId, 
+        status: 'active' 
+      });
+      
+      if (!publisher) {
+        return res.status(401).json({ 
+          error: 'publisher_not_found',
+          message: 'Publisher not found or inactive'
+        });
+      }
+      
+      // Verify signature against the exact bytes received
+      const rawBody = req.rawBody || '';
+      const isValid = publisher.verifySignature(timestamp, rawBody, signature, {
+        method: req.method,
+        path: req.originalUrl
+      });
+      
+      if (!isValid) {
+        return res.status(401).json({ 
+          error: 'invalid_signature',
+          message: 'Webhook signature verification failed'
+        });
+      }
+      
+      // Check timestamp freshness (within 5 minutes)
+      const now = Math.floor(Date.now() / 1000);
+      if (Math.abs(now - parseInt(timestamp)) > 300) {
+        return res.status(401).json({ 
+          error: 'timestamp_expired',
+          message: 'Request timestamp is too old (>5 minutes)'
+        });
+      }
+      
+      if (rejectDisallowedIp(req, res, { publisher, key: null, keyPrefix: null })) {
+        return;
+      }
+      
+      req.publisher = publisher;
+      req.apiKey = null;
+      req.sandbox = false;
+      publisher.recordUsage().catch(err => console.error('Usage recording error:', err));
+      
+      return next();
+    }
+    
+    return res.status(401).json({ 
+      error: 'authentication_required',
+      message: 'Provide either Authorization header (Bearer token) or signed webhook headers (x-ipause-timestamp, x-ipause-signature)'
+    });
+    
+  } catch (error) {
+    console.error('Authentication error:', error);
+    return res.status(500).json({ 
+      error: 'authentication_failed',
+      message: 'Internal authentication error'
+    });
+  }
+}
+
+/**
+ * Authenticate a tracking-pixel request by its p (publisher_id), o (opportunity) and tk (token) query parameters
+ * Failures still answer with the GIF, with the reason in X-iPause-Error. Pixel traffic is always live.
+ */
+async function authenticatePixel(req, res, next) {
+  try {
+    const { p: publisherId, o: opportunityId, tk: token } = req.query;
+    
+    if (typeof publisherId !== 'string' || typeof opportunityId !== 'string' || typeof token !== 'string' ||
+        !publisherId || !opportunityId || !token) {
+      return sendPixel(res, 400, { 'X-iPause-Error': 'missing_parameters' });
+    }
+    
+    const publisher = await PublisherApiKey.findOne({ publisherId, status: 'active' });
+    
+    if (!publisher) {
+      return sendPixel(res, 401, { 'X-iPause-Error': 'publisher_not_found' });
+    }
+    
+    const tokenStatus = publisher.verifyPixelToken(token, opportunityId, PIXEL_TOKEN_MAX_TTL_SECONDS);
+    
+    if (tokenStatus !== 'valid') {
+      return sendPixel(res, 401, { 'X-iPause-Error': tokenStatus === 'expired' ? 'token_expired' : 'invalid_token' });
+    }
+    
+    req.publisher = publisher;
+    req.apiKey = null;
+    req.sandbox = false;
+    publisher.recordUsage().catch(err => console.error('Usage recording error:', err));
+    
+    return next();
+    
+  } catch (error) {
+    console.error('Pixel authentication error:', error);
+    return sendPixel(res, 500, { 'X-iPause-Error': 'authentication_failed' });
+  }
+}
+
+/**
+ * Authenticate a publisher portal user by login token (role "publisher")
+ * Sets req.publisher to the user's own publisher so the v1 handlers can be shared.
+ * Portal users see live data only and act with every scope.
+ */
+function authenticatePublisherUser(req, res, next) {
+  auth.allowPublisherUsers(req, res, async () => {
+    try {
+      if (req.user.role !== 'publisher' || !req.user.publisherId) {
+        return res.status(403).json({
+          error: 'publisher_user_required',
+          message: 'The publisher portal is only available to publisher accounts'
+        });
+      }
+      
+      const publisher = await PublisherApiKey.findOne({ publisherId: req.user.publisherId, status: 'active' });
+      
+      if (!publisher) {
+        return res.status(403).json({
+          error: 'publisher_inactive',
+          message: 'The publisher linked to this account is suspended or revoked'
+        });
+      }
+      
+      req.publisher = publisher;
+      req.apiKey = null;
+      req.sandbox = false;
+      
+      return next();
+      
+    } catch (error) {
+      console.error('Publisher user authentication error:', error);
+      return res.status(500).json({
+        error: 'authentication_failed',
+        message: 'Internal authentication error'
+      });
+    }
+  });
+}
+
+/**
+ * Require a scope on the named key used (primary keys and signed requests have every scope)
+ * Use after authenticatePublisher
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.apiKey && !req.apiKey.hasScope(scope)) {
+      return res.status(403).json({
+        error: 'insufficient_scope',
+        message: `This API key does not have the ${scope} scope`,
+        required_scope: scope
+      });
+    }
+    next();
+  };
+}
+
+module.exports = { authenticatePublisher, authenticatePixel, authenticatePublisherUser, requireScope };
@@ -0,0 +1,119 @@
+// src/middleware/publisherRateLimit.js
+const RateLimitBucket = require('../models/RateLimitBucket');
+
+// Burst allowance when a publisher has no explicit rateLimitBurst
+const DEFAULT_BURST_MULTIPLIER = parseFloat(process.env.PUBLISHER_RATE_LIMIT_BURST_MULTIPLIER || '1.5');
+
+// Failed authentications (401) one IP may cause per window before it is refused outright
+const AUTH_FAILURE_LIMIT_MAX = parseInt(process.env.AUTH_FAILURE_LIMIT_MAX || '20');
+const AUTH_FAILURE_WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000');
+
+// ip -> { failures, resetAt } (per process, like the global express-rate-limit store)
+const authFailures = new Map();
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [ip, entry] of authFailures) {
+    if (entry.resetAt <= now) authFailures.delete(ip);
+  }
+}, AUTH_FAILURE_WINDOW_MS).unref();
+
+/**
+ * Take `cost` tokens from the authenticated publisher's bucket, or answer 429
+ */
+async function consumePublisherTokens(req, res, next, cost) {
+  if (!req.publisher) {
+    return next();
+  }
+
+  const limit = req.publisher.rateLimitPerMinute || 100;
+  const burst = req.publisher.rateLimitBurst || Math.ceil(limit * DEFAULT_BURST_MULTIPLIER);
+
+  // The bucket never holds more than the burst, so a bigger request could never be served
+  if (cost > burst) {
+    return res.status(413).json({
+      error: 'request_exceeds_burst',
+      message: `This request needs ${cost} rate limit tokens but the burst allowance is ${burst}; send at most ${burst} events per batch`,
+      max_batch_size: burst
+    });
+  }
+
+  try {
+    const result = await RateLimitBucket.consume(`publisher:${req.publisher.publisherId}`, limit, burst, cost);
+
+    res.set({
+      'X-RateLimit-Limit': String(limit),
+      'X-RateLimit-Burst': String(burst),
+      'X-RateLimit-Remaining': String(Math.max(0, result.remaining)),
+      'X-RateLimit-Reset': String(Math.ceil(result.resetAt.getTime() / 1000))
+    });
+
+    if (!result.allowed) {
+      res.set('Retry-After', String(Math.max(1, result.retryAfterSeconds)));
+      return res.status(429).json({
+        error: 'rate_limit_exceeded',
+        message: `Rate limit of ${limit} requests/minute (burst ${burst}) exceeded`,
+        retry_after_seconds: Math.max(1, result.retryAfterSeconds)
+      });
+    }
+
+    next();
+
+  } catch (error) {
+    // Fail open: never drop publisher traffic because the limiter store is unavailable
+    console.error('Publisher rate limit error:', error);
+    next();
+  }
+}
+
+/**
+ * Rate limit by authenticated publisher using PublisherApiKey.rateLimitPerMinute
+ * Use after authenticatePublisher
+ */
+function publisherRateLimit(req, res, next) {
+  return consumePublisherTokens(req, res, next, 1);
+}
+
+/**
+ * Rate limit a batch request at one token per event, so batching is not a way around the limit
+ * Use after authenticatePublisher, once req.body.events has been checked to be an array
+ */
+function publisherBatchRateLimit(req, res, next) {
+  return consumePublisherTokens(req, res, next, Math.max(1, req.body.events.length));
+}
+
+/**
+ * Per-IP limit on failed authentication for routes limited per publisher
+ * Only 401 responses count, so valid traffic is never throttled by address, but bad keys,
+ * bad signatures and bad pixel tokens (which never reach publisherRateLimit) are.
+ * Use before authenticatePublisher / authenticatePixel / authenticatePublisherUser.
+ */
+function authFailureRateLimit(req, res, next) {
+  const now = Date.now();
+  const entry = authFailures.get(req.ip);
+
+  if (entry && entry.resetAt > now && entry.failures >= AUTH_FAILURE_LIMIT_MAX) {
+    const retryAfterSeconds = Math.max(1, Math.ceil((entry.resetAt - now) / 1000));
+    res.set('Retry-After', String(retryAfterSeconds));
+    return res.status(429).json({
+      error: 'too_many_failed_attempts',
+      message: `Too many failed authentication attempts from ${req.ip}; retry later`,
+      retry_after_seconds: retryAfterSeconds
+    });
+  }
+
+  res.on('finish', () => {
+    if (res.statusCode !== 401) return;
+
+    const current = authFailures.get(req.ip);
+    if (!current || current.resetAt <= Date.now()) {
+      authFailures.set(req.ip, { failures: 1, resetAt: Date.now() + AUTH_FAILURE_WINDOW_MS });
+    } else {
+      current.failures += 1;
+    }
+  });
+
+  next();
+}
+
+module.exports = { publisherRateLimit, publisherBatchRateLimit, authFailureRateLimit };
@@ -0,0 +1,255 @@
+// src/models/A2ARLiveMetric.js
+// Intra-day A2AR buckets for live content (EventReceipt.isLive), alongside the daily A2ARMetric rollup.
+// Buckets keep counts and sums only; rates and averages are computed when read so buckets combine exactly.
+const mongoose = require('mongoose');
+const A2ARMetric = require('./A2ARMetric');
+
+// Bucket sizes, in minutes
+const LIVE_GRANULARITIES = {
+  '5m': 5,
+  '1h': 60
+};
+
+// How long buckets are kept before the TTL index removes them
+const LIVE_METRIC_RETENTION_DAYS = parseInt(process.env.LIVE_METRIC_RETENTION_DAYS || '90');
+
+const A2ARLiveMetricSchema = new mongoose.Schema({
+  granularity: {
+    type: String,
+    enum: Object.keys(LIVE_GRANULARITIES),
+    required: true
+  },
+  // UTC start of the bucket
+  bucketStart: {
+    type: Date,
+    required: true
+  },
+
+  // Grouping dimensions
+  advertiser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  publisher: {
+    type: String,
+    default: 'Unknown'
+  },
+  programTitle: {
+    type: String,
+    default: 'Unknown'
+  },
+  campaignId: {
+    type: String,
+    default: null
+  },
+
+  // Metrics
+  pauseOpportunities: {
+    type: Number,
+    default: 0
+  },
+  verifiedConversions: {
+    type: Number,
+    default: 0
+  },
+  asvSecondsTotal: {
+    type: Number,
+    default: 0
+  },
+  asvSamples: {
+    type: Number,
+    default: 0
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+A2ARLiveMetricSchema.index(
+  { granularity: 1, bucketStart: 1, advertiser: 1, publisher: 1, programTitle: 1, campaignId: 1 },
+  { unique: true }
+);
+A2ARLiveMetricSchema.index({ advertiser: 1, granularity: 1, bucketStart: 1 });
+A2ARLiveMetricSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Start of the bucket containing a date
+ */
+A2ARLiveMetricSchema.statics.bucketStart = function(date, granularity) {
+  const size = LIVE_GRANULARITIES[granularity] * 60 * 1000;
+  return new Date(Math.floor(new Date(date).getTime() / size) * size);
+};
+
+/**
+ * Bucket filters (one per granularity) for an event
+ */
+function bucketFilters(model, { date, advertiser, publisher, programTitle, campaignId }) {
+  return Object.keys(LIVE_GRANULARITIES).map(granularity => ({
+    granularity,
+    bucketStart: model.bucketStart(date, granularity),
+    advertiser,
+    publisher: publisher || 'Unknown',
+    programTitle: programTitle || 'Unknown',
+    campaignId: campaignId || null
+  }));
+}
+
+/**
+ * Add a live pause opportunity and/or verified conversion to its 5-minute and hourly buckets
+ */
+A2ARLiveMetricSchema.statics.recordLive = async function({
+  date,
+  advertiser,
+  publisher,
+  programTitle,
+  campaignId,
+  pauseOpportunity = false,
+  conversion = false,
+  asvSeconds = null
+}, { session = null } = {}) {
+  const inc = {};
+  if (pauseOpportunity) inc.pauseOpportunities = 1;
+  if (conversion) {
+    inc.verifiedConversions = 1;
+    if (asvSeconds !== null) {
+      inc.asvSecondsTotal = asvSeconds;
+      inc.asvSamples = 1;
+    }
+  }
+
+  if (Object.keys(inc).length === 0) return;
+
+  const expiresAt = new Date(new Date(date).getTime() + LIVE_METRIC_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+  for (const filter of bucketFilters(this, { date, advertiser, publisher, programTitle, campaignId })) {
+    await this.updateOne(filter, { $inc: inc, $setOnInsert: { expiresAt } }, { upsert: true, session });
+  }
+};
+
+/**
+ * Undo counters previously added by recordLive (used when an event is voided)
+ * Counters never go below zero.
+ */
+A2ARLiveMetricSchema.statics.reverseLive = async function({
+  date,
+  advertiser,
+  publisher,
+  programTitle,
+  campaignId,
+  pauseOpportunity = false,
+  conversion = false,
+  asvSeconds = null
+}, { session = null } = {}) {
+  for (const filter of bucketFilters(this, { date, advertiser, publisher, programTitle, campaignId })) {
+    const metric = await this.findOne(filter).session(session);
+    if (!metric) continue;
+
+    if (pauseOpportunity) {
+      metric.pauseOpportunities = Math.max(0, metric.pauseOpportunities - 1);
+    }
+
+    if (conversion && metric.verifiedConversions > 0) {
+      metric.verifiedConversions -= 1;
+      if (asvSeconds !== null && metric.asvSamples > 0) {
+        metric.asvSamples -= 1;
+        metric.asvSecondsTotal = metric.asvSamples > 0 ? Math.max(0, metric.asvSecondsTotal - asvSeconds) : 0;
+      }
+    }
+
+    await metric.save({ session });
+  }
+};
+
+/**
+ * Live series for an advertiser, one per program + campaign (+ publisher)
+ * @param {Object} options - { granularity, startDate, endDate, programTitle, campaignId, publisher }
+ * @returns {Array} [{ programTitle, campaignId, publisher, points: [{ bucketStart, pauseOpportunities,
+ *   verifiedConversions, a2arPercentage, a2arLabel, averageAsvSeconds, asvLabel }], totals }]
+ */
+A2ARLiveMetricSchema.statics.getLiveSeries = async function(advertiserId, {
+  granularity,
+  startDate,
+  endDate,
+  programTitle = null,
+  campaignId = null,
+  publisher = null
+}) {
+  const match = {
+    advertiser: new mongoose.Types.ObjectId(advertiserId),
+    granularity,
+    bucketStart: { $gte: this.bucketStart(startDate, granularity), $lte: endDate }
+  };
+  if (programTitle) match.programTitle = programTitle;
+  if (campaignId) match.campaignId = campaignId;
+  if (publisher) match.publisher = publisher;
+
+  const buckets = await this.find(match).sort({ bucketStart: 1 }).lean();
+
+  const rates = (counts) => {
+    const a2ar = counts.pauseOpportunities > 0
+      ? (counts.verifiedConversions / counts.pauseOpportunities) * 100
+      : 0;
+    const averageAsvSeconds = counts.asvSamples > 0
+      ? Math.round((counts.asvSecondsTotal / counts.asvSamples) * 100) / 100
+      : null;
+    const asvResult = averageAsvSeconds !== null
+      ? A2ARMetric.calculateASV(new Date(Date.now() - averageAsvSeconds * 1000), new Date())
+      : { asvLabel: 'N/A' };
+
+    return {
+      pauseOpportunities: counts.pauseOpportunities,
+      verifiedConversions: counts.verifiedConversions,
+      a2arPercentage: parseFloat(a2ar.toFixed(2)),
+      a2arLabel: counts.pauseOpportunities > 0 ? A2ARMetric.getA2ARTier(a2ar).label : 'N/A',
+      averageAsvSeconds,
+      asvLabel: asvResult.asvLabel
+    };
+  };
+
+  const series = new Map();
+  for (const bucket of buckets) {
+    const key = `${bucket.programTitle}|${bucket.campaignId ?? ''}|${bucket.publisher}`;
+    if (!series.has(key)) {
+      series.set(key, {
+        programTitle: bucket.programTitle,
+        campaignId: bucket.campaignId,
+        publisher: bucket.publisher,
+        buckets: [],
+        totals: { pauseOpportunities: 0, verifiedConversions: 0, asvSecondsTotal: 0, asvSamples: 0 }
+      });
+    }
+
+    const entry = series.get(key);
+    entry.buckets.push(bucket);
+    for (const field of Object.keys(entry.totals)) entry.totals[field] += bucket[field];
+  }
+
+  // Every bucket in the range, so quiet intervals show as zeros instead of gaps
+  const size = LIVE_GRANULARITIES[granularity] * 60 * 1000;
+  const bucketTimes = [];
+  for (let t = match.bucketStart.$gte.getTime(); t <= endDate.getTime(); t += size) {
+    bucketTimes.push(t);
+  }
+  const empty = { pauseOpportunities: 0, verifiedConversions: 0, asvSecondsTotal: 0, asvSamples: 0 };
+
+  return [...series.values()].map(entry => {
+    const byTime = new Map(entry.buckets.map(bucket => [bucket.bucketStart.getTime(), bucket]));
+
+    return {
+      programTitle: entry.programTitle,
+      campaignId: entry.campaignId,
+      publisher: entry.publisher,
+      points: bucketTimes.map(t => ({ bucketStart: new Date(t), ...rates(byTime.get(t) || empty) })),
+      totals: rates(entry.totals)
+    };
+  });
+};
+
+A2ARLiveMetricSchema.statics.LIVE_GRANULARITIES = LIVE_GRANULARITIES;
+
+module.exports = mongoose.model('A2ARLiveMetric', A2ARLiveMetricSchema);
@@ -75,6 +75,16 @@ const A2ARMetricSchema = new mongoose.Schema({
     default: 'N/A'
   },
 
+  // Dwell (how long the pause ad stayed on screen)
+  averageDwellSeconds: {
+    type: Number,
+    default: null
+  },
+  dwellSamples: {
+    type: Number,
+    default: 0
+  },
+
   // ACI (Attention Composite Index)
   aciRaw: {
     type: Number,
@@ -220,6 +230,7 @@ A2ARMetricSchema.statics.calculateACI = function(a2arTier, asvTier) {
 
 /**
  * Update or create A2AR metrics with ASV and ACI
+ * Pass a session to apply the update inside the caller's transaction.
  */
 A2ARMetricSchema.statics.updateMetrics = async function({
   date,
@@ -229,8 +240,9 @@ A2ARMetricSchema.statics.updateMetrics = async function({
   pauseOpportunity = false,
   scan = false,
   conversion = false,
-  asvSeconds = null
-}) {
+  asvSeconds = null,
+  dwellSeconds = null
+}, { session = null } = {}) {
   const dateOnly = new Date(date);
   dateOnly.setHours(0, 0, 0, 0);
 
@@ -248,6 +260,7 @@ A2ARMetricSchema.statics.updateMetrics = async function({
   if (pauseOpportunity) update.$inc.pauseOpportunities = 1;
   if (scan) update.$inc.qrScans = 1;
   if (conversion) update.$inc.verifiedConversions = 1;
+  if (dwellSeconds !== null) update.$inc.dwellSamples = 1;
 
   // Only update if there's something to increment
   if (Object.keys(update.$inc).length === 0) return null;
@@ -255,7 +268,7 @@ A2ARMetricSchema.statics.updateMetrics = async function({
   const metric = await this.findOneAndUpdate(
     filter,
     update,
-    { upsert: true, new: true, setDefaultsOnInsert: true }
+    { upsert: true, new: true, setDefaultsOnInsert: true, session }
   );
 
   // Recalculate A2AR percentage and tier
@@ -288,6 +301,15 @@ A2ARMetricSchema.statics.updateMetrics = async function({
     metric.asvLabel = asvResult.asvLabel;
   }
 
+  // Update running average dwell time if provided
+  if (dwellSeconds !== null) {
+    const currentAvg = metric.averageDwellSeconds || 0;
+    const samples = metric.dwellSamples || 1;
+    const newAvg = ((currentAvg * (samples - 1)) + dwellSeconds) / samples;
+
+    metric.averageDwellSeconds = Math.round(newAvg * 100) / 100;
+  }
+
   // Calculate ACI if both tiers are available
   if (metric.a2arTier > 0 && metric.asvTier > 0) {
     const aciResult = this.calculateACI(metric.a2arTier, metric.asvTier);
@@ -297,7 +319,84 @@ A2ARMetricSchema.statics.updateMetrics = async function({
     metric.aciLabel = aciResult.aciLabel;
   }
 
-  await metric.save();
+  await metric.save({ session });
+  return metric;
+};
+
+/**
+ * Undo counters previously added by updateMetrics (used when an event is voided)
+ * Running averages are unwound with the removed sample; counters never go below zero.
+ * @returns {Object|null} The adjusted metric, or null if no bucket exists
+ */
+A2ARMetricSchema.statics.reverseMetrics = async function({
+  date,
+  advertiser,
+  publisher,
+  programTitle,
+  pauseOpportunity = false,
+  conversion = false,
+  asvSeconds = null,
+  dwellSeconds = null
+}, { session = null } = {}) {
+  const dateOnly = new Date(date);
+  dateOnly.setHours(0, 0, 0, 0);
+
+  const metric = await this.findOne({
+    date: dateOnly,
+    advertiser,
+    publisher: publisher || 'Unknown',
+    programTitle: programTitle || 'Unknown'
+  }).session(session);
+
+  if (!metric) return null;
+
+  const removeSample = (avg, count, value) => (
+    count <= 1 ? 0 : Math.round(((avg * count - value) / (count - 1)) * 100) / 100
+  );
+
+  if (conversion && metric.verifiedConversions > 0) {
+    if (asvSeconds !== null) {
+      metric.averageAsvSeconds = removeSample(metric.averageAsvSeconds || 0, metric.verifiedConversions, asvSeconds);
+    }
+    metric.verifiedConversions -= 1;
+  }
+
+  if (dwellSeconds !== null && metric.dwellSamples > 0) {
+    metric.averageDwellSeconds = removeSample(metric.averageDwellSeconds || 0, metric.dwellSamples, dwellSeconds);
+    metric.dwellSamples -= 1;
+  }
+
+  if (pauseOpportunity && metric.pauseOpportunities > 0) {
+    metric.pauseOpportunities -= 1;
+  }
+
+  // Recalculate A2AR percentage and tier
+  const pauseOps = metric.pauseOpportunities || 1;
+  const a2ar = ((metric.verifiedConversions || 0) / pauseOps) * 100;
+  const a2arResult = this.getA2ARTier(a2ar);
+
+  metric.a2arPercentage = parseFloat(a2ar.toFixed(2));
+  metric.a2arTier = a2arResult.tier;
+  metric.tier = a2arResult.label;
+
+  if (metric.verifiedConversions > 0) {
+    const asvResult = this.calculateASV(
+      new Date(Date.now() - metric.averageAsvSeconds * 1000),
+      new Date()
+    );
+    metric.asvTier = asvResult.asvTier;
+    metric.asvLabel = asvResult.asvLabel;
+  }
+
+  if (metric.a2arTier > 0 && metric.asvTier > 0) {
+    const aciResult = this.calculateACI(metric.a2arTier, metric.asvTier);
+    metric.aciRaw = aciResult.aciRaw;
+    metric.aciScaled = aciResult.aciScaled;
+    metric.aciLevel = aciResult.aciLevel;
+    metric.aciLabel = aciResult.aciLabel;
+  }
+
+  await metric.save({ session });
   return metric;
 };
 
@@ -323,7 +422,11 @@ A2ARMetricSchema.statics.getSummary = async function(advertiserId, days = 30) {
         qrScans: { $sum: '$qrScans' },
         verifiedConversions: { $sum: '$verifiedConversions' },
         avgAsvSeconds: { $avg: '$averageAsvSeconds' },
-        avgAciScaled: { $avg: '$aciScaled' }
+        avgAciScaled: { $avg: '$aciScaled' },
+        dwellSamples: { $sum: '$dwellSamples' },
+        dwellSecondsTotal: {
+          $sum: { $multiply: [{ $ifNull: ['$averageDwellSeconds', 0] }, { $ifNull: ['$dwellSamples', 0] }] }
+        }
       }
     }
   ]);
@@ -346,6 +449,10 @@ A2ARMetricSchema.statics.getSummary = async function(advertiserId, days = 30) {
         score: 0,
         level: 0,
         label: 'N/A'
+      },
+      dwell: {
+        averageSeconds: 0,
+        samples: 0
       }
     };
   }
@@ -383,6 +490,10 @@ A2ARMetricSchema.statics.getSummary = async function(advertiserId, days = 30) {
       score: parseFloat((data.avgAciScaled || aciResult.aciScaled || 0).toFixed(2)),
       level: aciResult.aciLevel,
       label: aciResult.aciLabel
+    },
+    dwell: {
+      averageSeconds: data.dwellSamples ? parseFloat((data.dwellSecondsTotal / data.dwellSamples).toFixed(2)) : 0,
+      samples: data.dwellSamples || 0
     }
   };
 };
@@ -412,7 +523,11 @@ A2ARMetricSchema.statics.getByProgram = async function(advertiserId, days = 30)
         avgAsvSeconds: { $avg: '$averageAsvSeconds' },
         avgAsvTier: { $avg: '$asvTier' },
         avgAciScaled: { $avg: '$aciScaled' },
-        avgAciLevel: { $avg: '$aciLevel' }
+        avgAciLevel: { $avg: '$aciLevel' },
+        dwellSamples: { $sum: '$dwellSamples' },
+        dwellSecondsTotal: {
+          $sum: { $multiply: [{ $ifNull: ['$averageDwellSeconds', 0] }, { $ifNull: ['$dwellSamples', 0] }] }
+        }
       }
     },
     {
@@ -427,7 +542,15 @@ A2ARMetricSchema.statics.getByProgram = async function(advertiserId, days = 30)
         avgAsvSeconds: { $round: ['$avgAsvSeconds', 2] },
         asvTier: { $round: ['$avgAsvTier', 0] },
         aciScore: { $round: ['$avgAciScaled', 2] },
-        aciLevel: { $round: ['$avgAciLevel', 0] }
+        aciLevel: { $round: ['$avgAciLevel', 0] },
+        dwellSamples: 1,
+        avgDwellSeconds: {
+          $cond: [
+            { $gt: ['$dwellSamples', 0] },
+            { $round: [{ $divide: ['$dwellSecondsTotal', '$dwellSamples'] }, 2] },
+            null
+          ]
+        }
       }
     },
     { $sort: { aciScore: -1 } }
@@ -5,6 +5,8 @@ const BillingRecordSchema = new mongoose.Schema({
   scan: { type: mongoose.Schema.Types.ObjectId, ref: 'Scan', required: true },
   qrCodeId: { type: String, required: true },
   publisher: { type: String },
+  // PublisherApiKey.publisherId for v1 event billing (publisher holds the display name)
+  publisherId: { type: String, default: null },
   creativeId: { type: String },
   conversionFee: { type: Number, required: true },
   publisherShare: { type: Number, default: 0.0 },
@@ -12,11 +14,57 @@ const BillingRecordSchema = new mongoose.Schema({
   verified: { type: Boolean, default: true },
   orderId: { type: String },
   orderAmount: { type: Number },
-  billedAt: { type: Date, default: Date.now }
+  billedAt: { type: Date, default: Date.now },
+  // Reversal (set when the underlying event is voided and the fee refunded)
+  reversed: { type: Boolean, default: false },
+  reversedAt: { type: Date, default: null },
+  reversalReason: { type: String, default: null },
+  refundTransaction: { type: mongoose.Schema.Types.ObjectId, ref: 'WalletTransaction', default: null }
 }, {
   timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' }
 });
 
 BillingRecordSchema.index({ user: 1, billedAt: -1 });
+BillingRecordSchema.index({ scan: 1 });
+BillingRecordSchema.index({ publisherId: 1, billedAt: -1 });
+
+/**
+ * A publisher's revenue share per UTC day
+ * Records billed before publisherId was stored are matched by publisher name.
+ * @returns {Array} [{ date, conversions, publisherShare, reversedConversions, reversedShare }]
+ */
+BillingRecordSchema.statics.getPublisherEarnings = async function({ publisherId, publisherName }, { startDate, endDate }) {
+  return this.aggregate([
+    {
+      $match: {
+        $or: [
+          { publisherId },
+          { publisherId: null, publisher: publisherName }
+        ],
+        billedAt: { $gte: startDate, $lte: endDate }
+      }
+    },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$billedAt' } },
+        conversions: { $sum: 1 },
+        publisherShare: { $sum: '$publisherShare' },
+        reversedConversions: { $sum: { $cond: ['$reversed', 1, 0] } },
+        reversedShare: { $sum: { $cond: ['$reversed', '$publisherShare', 0] } }
+      }
+    },
+    { $sort: { _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        date: '$_id',
+        conversions: 1,
+        publisherShare: 1,
+        reversedConversions: 1,
+        reversedShare: 1
+      }
+    }
+  ]);
+};
 
 module.exports = mongoose.model('BillingRecord', BillingRecordSchema);
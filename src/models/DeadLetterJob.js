@@ -0,0 +1,51 @@
+// src/models/DeadLetterJob.js
+const mongoose = require('mongoose');
+
+const DeadLetterJobSchema = new mongoose.Schema({
+  originalJobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    required: true,
+    index: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  failedAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+
+  // Replay tracking
+  replayedAt: {
+    type: Date,
+    default: null
+  },
+  replayJobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    default: null
+  },
+  replayedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+DeadLetterJobSchema.index({ replayedAt: 1, failedAt: -1 });
+
+module.exports = mongoose.model('DeadLetterJob', DeadLetterJobSchema);
@@ -1,5 +1,19 @@
 // src/models/EventReceipt.js
 const mongoose = require('mongoose');
+const QrCode = require('./QrCode');
+
+// Events that describe what happened to a pause ad after it was shown
+const LIFECYCLE_EVENT_TYPES = ['qr_displayed', 'pause_resumed', 'pause_abandoned'];
+
+// Pause fields GET /v1/stats can group by
+const STATS_GROUP_FIELDS = {
+  content: 'contentId',
+  device_type: 'deviceType',
+  campaign: 'campaignId'
+};
+
+// Reason codes accepted by POST /v1/events/:receiptId/void
+const VOID_REASONS = ['test_traffic', 'duplicate_session', 'invalid_traffic', 'publisher_error', 'other'];
 
 const EventReceiptSchema = new mongoose.Schema({
   // Event Identification
@@ -11,7 +25,7 @@ const EventReceiptSchema = new mongoose.Schema({
   },
   eventType: {
     type: String,
-    enum: ['pause_impression', 'qr_conversion'],
+    enum: ['pause_impression', 'qr_conversion', 'qr_displayed', 'pause_resumed', 'pause_abandoned'],
     required: true,
     index: true
   },
@@ -68,6 +82,12 @@ const EventReceiptSchema = new mongoose.Schema({
     type: String,
     index: true
   },
+  // false = quarantined: the publisher was not authorized for campaignId at event time
+  // (see utils/campaignAuthorization). Kept for review, never counted in A2AR or billed.
+  campaignAuthorized: {
+    type: Boolean,
+    default: true
+  },
   brand: String,
   creativeId: String,
   qrEnabled: {
@@ -103,16 +123,34 @@ const EventReceiptSchema = new mongoose.Schema({
     enum: ['N/A', 'Low', 'Fair', 'Average', 'Strong', 'Exceptional']
   },
 
+  // Pause Lifecycle (from qr_displayed / pause_resumed / pause_abandoned)
+  qrDisplayedEventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EventReceipt'
+  },
+  pauseEndedAt: Date,
+  pauseEndReason: {
+    type: String,
+    enum: ['resumed', 'abandoned']
+  },
+  dwellSeconds: Number,
+  playbackPositionMs: Number,
+
   // Audit & Processing
   rawPayload: {
     type: mongoose.Schema.Types.Mixed,
     required: true
   },
+  // Unique per publisher (see index below), like IdempotencyCache
   idempotencyKey: {
     type: String,
-    required: true,
-    unique: true,
-    index: true
+    required: true
+  },
+  // Named PublisherKey that sent the event (null for primary keys, signed requests and pixels)
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PublisherKey',
+    default: null
   },
   processedAt: {
     type: Date,
@@ -126,32 +164,118 @@ const EventReceiptSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'EventReceipt'
   },
+
+  // Conversion matching (for qr_conversion that arrive before their pause)
+  matchStatus: {
+    type: String,
+    enum: ['pending', 'matched', 'orphaned', 'rejected']
+  },
+  matchExpiresAt: Date,
+  matchedAt: Date,
   billingStatus: {
     type: String,
-    enum: ['pending', 'billable', 'billed', 'non_billable'],
+    enum: ['pending', 'billable', 'held', 'billed', 'non_billable', 'voided'],
     default: 'pending',
     index: true
-  }
+  },
+  // Why billingStatus is what it is (e.g. outside_attribution_window)
+  billingReason: String,
+  // Attribution window applied when the conversion was matched
+  attributionWindowMinutes: Number,
+
+  // When the A2AR job counted this receipt (pause opportunity or verified conversion) and,
+  // for pauses, its dwell time. Set with the counters, so a retried job never counts twice.
+  a2arCountedAt: {
+    type: Date,
+    default: null
+  },
+  a2arDwellCountedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Fraud scoring (conversions held for review have billingStatus 'held')
+  fraudScore: Number,
+  fraudReasons: [String],
+  fraudReview: {
+    decision: { type: String, enum: ['released', 'rejected'] },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: Date,
+    note: String
+  },
+
+  // Void / retraction
+  voidedAt: Date,
+  voidReason: {
+    type: String,
+    enum: VOID_REASONS
+  },
+  voidNote: String,
+  billingStatusBeforeVoid: String
 }, {
   timestamps: true
 });
 
 // Compound indexes for efficient queries
 EventReceiptSchema.index({ eventType: 1, eventTimeUtc: -1 });
-EventReceiptSchema.index({ publisherId: 1, eventTimeUtc: -1 });
+EventReceiptSchema.index({ publisherId: 1, eventTimeUtc: -1, _id: -1 });
+EventReceiptSchema.index({ publisherId: 1, idempotencyKey: 1 }, { unique: true });
 EventReceiptSchema.index({ ipauseOpportunityId: 1, eventType: 1 });
 EventReceiptSchema.index({ campaignId: 1, billingStatus: 1 });
+EventReceiptSchema.index({ matchStatus: 1, matchExpiresAt: 1 });
 
 /**
- * Find matching pause impression for a conversion
+ * Find matching pause impression for a conversion or lifecycle event
+ * Voided pauses never match: a late or replayed conversion must not re-bill a refunded pause.
  */
 EventReceiptSchema.statics.findMatchingPause = async function(ipauseOpportunityId) {
   return this.findOne({
     ipauseOpportunityId,
-    eventType: 'pause_impression'
+    eventType: 'pause_impression',
+    billingStatus: { $ne: 'voided' }
   }).sort({ processedAt: -1 });
 };
 
+/**
+ * Find conversions still waiting for a pause impression with this opportunity ID
+ */
+EventReceiptSchema.statics.findPendingConversions = async function(ipauseOpportunityId) {
+  return this.find({
+    ipauseOpportunityId,
+    eventType: 'qr_conversion',
+    matchStatus: 'pending',
+    matchExpiresAt: { $gt: new Date() }
+  }).sort({ eventTimeUtc: 1 });
+};
+
+/**
+ * Find lifecycle events (qr_displayed, pause_resumed, pause_abandoned) waiting for this pause
+ */
+EventReceiptSchema.statics.findPendingLifecycleEvents = async function(ipauseOpportunityId) {
+  return this.find({
+    ipauseOpportunityId,
+    eventType: { $in: LIFECYCLE_EVENT_TYPES },
+    matchStatus: 'pending',
+    matchExpiresAt: { $gt: new Date() }
+  }).sort({ eventTimeUtc: 1 });
+};
+
+/**
+ * Mark pending conversions and lifecycle events whose match window has closed as orphans
+ */
+EventReceiptSchema.statics.markOrphanedEvents = async function() {
+  return this.updateMany(
+    {
+      eventType: { $ne: 'pause_impression' },
+      matchStatus: 'pending',
+      matchExpiresAt: { $lte: new Date() }
+    },
+    {
+      $set: { matchStatus: 'orphaned', billingStatus: 'non_billable' }
+    }
+  );
+};
+
 /**
  * Get event statistics for a publisher
  */
@@ -175,6 +299,214 @@ EventReceiptSchema.statics.getPublisherStats = async function(publisherId, days
   ]);
 };
 
+/**
+ * Daily publisher stats, optionally split by a pause attribute
+ * Conversions are attributed to their matched pause; unmatched ones have a null group.
+ * @param {string} publisherId
+ * @param {Object} options - { startDate, endDate, groupBy: 'content'|'device_type'|'campaign'|null }
+ * @returns {Array} Rows of { date, group, groupLabel, pauseImpressions, conversions, matchedConversions,
+ *   billable, held, nonBillable, asvSum, asvCount, estimatedRevenueShare }
+ */
+EventReceiptSchema.statics.getPublisherDailyStats = async function(publisherId, { startDate, endDate, groupBy = null }) {
+  const groupField = groupBy && Object.hasOwn(STATS_GROUP_FIELDS, groupBy) ? STATS_GROUP_FIELDS[groupBy] : null;
+  const day = (field) => ({ $dateToString: { format: '%Y-%m-%d', date: field } });
+  const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+  const range = { $gte: startDate, $lte: endDate };
+
+  const [pauses, conversions] = await Promise.all([
+    this.aggregate([
+      {
+        $match: {
+          publisherId,
+          eventType: 'pause_impression',
+          eventTimeUtc: range,
+          billingStatus: { $ne: 'voided' }
+        }
+      },
+      {
+        $group: {
+          _id: { date: day('$eventTimeUtc'), group: groupField ? `$${groupField}` : null },
+          label: { $first: '$contentTitle' },
+          pauseImpressions: { $sum: 1 }
+        }
+      }
+    ]),
+    this.aggregate([
+      {
+        $match: {
+          publisherId,
+          eventType: 'qr_conversion',
+          eventTimeUtc: range,
+          billingStatus: { $ne: 'voided' }
+        }
+      },
+      {
+        $lookup: {
+          from: this.collection.name,
+          localField: 'matchedPauseId',
+          foreignField: '_id',
+          as: 'pause',
+          pipeline: [{ $project: { campaignId: 1, contentId: 1, contentTitle: 1, deviceType: 1, billingStatus: 1 } }]
+        }
+      },
+      { $unwind: { path: '$pause', preserveNullAndEmptyArrays: true } },
+      {
+        $lookup: {
+          from: QrCode.collection.name,
+          localField: 'pause.campaignId',
+          foreignField: 'id',
+          as: 'campaign',
+          pipeline: [{ $project: { conversionFee: 1, publisherShare: 1 } }]
+        }
+      },
+      { $unwind: { path: '$campaign', preserveNullAndEmptyArrays: true } },
+      {
+        // A billable conversion whose pause could not be charged (insufficient balance) did not bill
+        $set: {
+          statsStatus: {
+            $cond: [
+              { $and: [{ $eq: ['$billingStatus', 'billable'] }, { $eq: ['$pause.billingStatus', 'non_billable'] }] },
+              'non_billable',
+              '$billingStatus'
+            ]
+          }
+        }
+      },
+      {
+        $group: {
+          _id: { date: day('$eventTimeUtc'), group: groupField ? `$pause.${groupField}` : null },
+          label: { $first: '$pause.contentTitle' },
+          conversions: { $sum: 1 },
+          matchedConversions: countIf({ $eq: ['$matchStatus', 'matched'] }),
+          billable: countIf({ $eq: ['$statsStatus', 'billable'] }),
+          held: countIf({ $eq: ['$statsStatus', 'held'] }),
+          nonBillable: countIf({ $eq: ['$statsStatus', 'non_billable'] }),
+          asvSum: { $sum: { $cond: [{ $eq: ['$statsStatus', 'billable'] }, { $ifNull: ['$asvSeconds', 0] }, 0] } },
+          asvCount: countIf({ $and: [{ $eq: ['$statsStatus', 'billable'] }, { $ne: [{ $ifNull: ['$asvSeconds', null] }, null] }] }),
+          // Same split billing uses: campaign publisherShare, else 60% of the conversion fee
+          estimatedRevenueShare: {
+            $sum: {
+              $cond: [
+                { $and: [{ $eq: ['$statsStatus', 'billable'] }, { $ne: [{ $ifNull: ['$campaign', null] }, null] }] },
+                {
+                  $cond: [
+                    { $gt: [{ $ifNull: ['$campaign.publisherShare', 0] }, 0] },
+                    '$campaign.publisherShare',
+                    { $multiply: [{ $cond: [{ $gt: [{ $ifNull: ['$campaign.conversionFee', 0] }, 0] }, '$campaign.conversionFee', 5] }, 0.6] }
+                  ]
+                },
+                0
+              ]
+            }
+          }
+        }
+      }
+    ])
+  ]);
+
+  const rows = new Map();
+  const rowFor = ({ date, group }) => {
+    const key = `${date}|${group ?? ''}`;
+    if (!rows.has(key)) {
+      rows.set(key, {
+        date,
+        group: group ?? null,
+        groupLabel: null,
+        pauseImpressions: 0,
+        conversions: 0,
+        matchedConversions: 0,
+        billable: 0,
+        held: 0,
+        nonBillable: 0,
+        asvSum: 0,
+        asvCount: 0,
+        estimatedRevenueShare: 0
+      });
+    }
+    return rows.get(key);
+  };
+
+  for (const p of pauses) {
+    const row = rowFor(p._id);
+    row.pauseImpressions = p.pauseImpressions;
+    row.groupLabel = row.groupLabel || p.label || null;
+  }
+
+  for (const c of conversions) {
+    const row = rowFor(c._id);
+    const { _id, label, ...counts } = c;
+    Object.assign(row, counts);
+    row.groupLabel = row.groupLabel || label || null;
+  }
+
+  return [...rows.values()].sort((a, b) =>
+    a.date.localeCompare(b.date) || String(a.group ?? '').localeCompare(String(b.group ?? ''))
+  );
+};
+
+/**
+ * Daily pause and scan counts per campaign + content, for reconciling against publisher counts
+ * Scans are qr_conversions of any result, attributed to their matched pause's campaign and content
+ * (null for conversions that never matched). Voided events are excluded.
+ * @returns {Array} Rows of { date, campaignId, contentId, pauses, scans }
+ */
+EventReceiptSchema.statics.getReconciliationCounts = async function(publisherId, { startDate, endDate }) {
+  const day = (field) => ({ $dateToString: { format: '%Y-%m-%d', date: field } });
+  const match = (eventType) => ({
+    $match: {
+      publisherId,
+      eventType,
+      eventTimeUtc: { $gte: startDate, $lte: endDate },
+      billingStatus: { $ne: 'voided' }
+    }
+  });
+
+  const [pauses, scans] = await Promise.all([
+    this.aggregate([
+      match('pause_impression'),
+      {
+        $group: {
+          _id: { date: day('$eventTimeUtc'), campaignId: '$campaignId', contentId: '$contentId' },
+          count: { $sum: 1 }
+        }
+      }
+    ]),
+    this.aggregate([
+      match('qr_conversion'),
+      {
+        $lookup: {
+          from: this.collection.name,
+          localField: 'matchedPauseId',
+          foreignField: '_id',
+          as: 'pause',
+          pipeline: [{ $project: { campaignId: 1, contentId: 1 } }]
+        }
+      },
+      { $unwind: { path: '$pause', preserveNullAndEmptyArrays: true } },
+      {
+        $group: {
+          _id: { date: day('$eventTimeUtc'), campaignId: '$pause.campaignId', contentId: '$pause.contentId' },
+          count: { $sum: 1 }
+        }
+      }
+    ])
+  ]);
+
+  const rows = new Map();
+  const rowFor = ({ date, campaignId, contentId }) => {
+    const key = `${date}|${campaignId ?? ''}|${contentId ?? ''}`;
+    if (!rows.has(key)) {
+      rows.set(key, { date, campaignId: campaignId ?? null, contentId: contentId ?? null, pauses: 0, scans: 0 });
+    }
+    return rows.get(key);
+  };
+
+  for (const p of pauses) rowFor(p._id).pauses = p.count;
+  for (const s of scans) rowFor(s._id).scans = s.count;
+
+  return [...rows.values()];
+};
+
 /**
  * Get billable events for a date range
  */
@@ -186,4 +518,8 @@ EventReceiptSchema.statics.getBillableEvents = async function(startDate, endDate
   }).populate('matchedConversionId');
 };
 
+EventReceiptSchema.statics.LIFECYCLE_EVENT_TYPES = LIFECYCLE_EVENT_TYPES;
+EventReceiptSchema.statics.VOID_REASONS = VOID_REASONS;
+EventReceiptSchema.statics.STATS_GROUP_FIELDS = STATS_GROUP_FIELDS;
+
 module.exports = mongoose.model('EventReceipt', EventReceiptSchema);
@@ -0,0 +1,71 @@
+// src/models/EventVoidLog.js
+const mongoose = require('mongoose');
+
+// Audit trail for voided publisher events and everything reversed with them
+const EventVoidLogSchema = new mongoose.Schema({
+  receipt: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EventReceipt',
+    required: true,
+    index: true
+  },
+  publisherId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  note: String,
+
+  // Void of a sandbox (pk_test_) receipt: nothing was refunded or reversed
+  sandbox: {
+    type: Boolean,
+    default: false
+  },
+
+  // Who requested the void
+  requestedBy: {
+    type: String,
+    enum: ['publisher', 'admin'],
+    required: true
+  },
+  requestedByUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Everything changed by the void
+  voidedReceipts: [{
+    receipt: { type: mongoose.Schema.Types.ObjectId, ref: 'EventReceipt' },
+    eventType: String,
+    previousBillingStatus: String
+  }],
+  billingRecord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BillingRecord',
+    default: null
+  },
+  refundTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WalletTransaction',
+    default: null
+  },
+  refundAmount: {
+    type: Number,
+    default: 0
+  },
+  metricAdjustments: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+EventVoidLogSchema.index({ publisherId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('EventVoidLog', EventVoidLogSchema);
@@ -1,20 +1,41 @@
 // src/models/IdempotencyCache.js
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// How long a claimed key blocks duplicates before a crashed request's claim can be taken over
+const IN_PROGRESS_LOCK_SECONDS = parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS || '60');
 
 const IdempotencyCacheSchema = new mongoose.Schema({
+  // Keys are scoped per publisher: the same key from two publishers never collides
+  publisherId: {
+    type: String,
+    required: true
+  },
   idempotencyKey: {
     type: String,
-    required: true,
-    unique: true,
-    index: true
+    required: true
+  },
+  // SHA-256 of the canonical request body (null on entries written before hashing)
+  requestHash: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'completed'
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
   },
   receiptId: {
     type: String,
-    required: true
+    default: null
   },
   responsePayload: {
     type: mongoose.Schema.Types.Mixed,
-    required: true
+    default: null
   },
   expiresAt: {
     type: Date,
@@ -25,34 +46,103 @@ const IdempotencyCacheSchema = new mongoose.Schema({
   timestamps: true
 });
 
+IdempotencyCacheSchema.index({ publisherId: 1, idempotencyKey: 1 }, { unique: true });
+
 // TTL index to automatically delete expired entries
 IdempotencyCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 /**
- * Check if a request was already processed
+ * JSON with object keys sorted, so key order and whitespace don't change the hash
  */
-IdempotencyCacheSchema.statics.checkDuplicate = async function(idempotencyKey) {
-  const cached = await this.findOne({
-    idempotencyKey,
-    expiresAt: { $gt: new Date() }
-  });
-  
-  return cached ? cached.responsePayload : null;
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Fingerprint of a request body
+ */
+IdempotencyCacheSchema.statics.hashRequest = function(body) {
+  return crypto.createHash('sha256').update(canonicalJson(body)).digest('hex');
 };
 
 /**
- * Cache a response for idempotency
+ * Claim a key before processing a request
+ * @returns {Object} { status: 'claimed' | 'completed' | 'conflict' | 'in_progress', response }
+ *   completed: the same request was already processed; response is the cached body
  */
-IdempotencyCacheSchema.statics.cacheResponse = async function(idempotencyKey, receiptId, responsePayload, ttlHours = 24) {
-  const expiresAt = new Date();
-  expiresAt.setHours(expiresAt.getHours() + ttlHours);
-  
-  return this.create({
-    idempotencyKey,
-    receiptId,
-    responsePayload,
-    expiresAt
-  });
+IdempotencyCacheSchema.statics.claim = async function(publisherId, idempotencyKey, requestHash, ttlHours = 24) {
+  const now = new Date();
+  const claimFields = {
+    requestHash,
+    status: 'in_progress',
+    lockedUntil: new Date(now.getTime() + IN_PROGRESS_LOCK_SECONDS * 1000),
+    receiptId: null,
+    responsePayload: null,
+    expiresAt: new Date(now.getTime() + ttlHours * 60 * 60 * 1000)
+  };
+
+  try {
+    await this.create({ publisherId, idempotencyKey, ...claimFields });
+    return { status: 'claimed' };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const existing = await this.findOne({ publisherId, idempotencyKey });
+
+  // Released between our insert and this read: try again
+  if (!existing) {
+    return this.claim(publisherId, idempotencyKey, requestHash, ttlHours);
+  }
+
+  // Expired (not yet swept by the TTL monitor) or abandoned by a crashed request: take it over
+  if (existing.expiresAt <= now || (existing.status === 'in_progress' && existing.lockedUntil <= now)) {
+    const takenOver = await this.findOneAndUpdate(
+      { _id: existing._id, updatedAt: existing.updatedAt },
+      { $set: claimFields }
+    );
+    return takenOver ? { status: 'claimed' } : { status: 'in_progress' };
+  }
+
+  if (existing.requestHash && requestHash && existing.requestHash !== requestHash) {
+    return { status: 'conflict' };
+  }
+
+  if (existing.status === 'in_progress') {
+    return { status: 'in_progress' };
+  }
+
+  return { status: 'completed', response: existing.responsePayload };
+};
+
+/**
+ * Store the response for a claimed key
+ */
+IdempotencyCacheSchema.statics.cacheResponse = async function(publisherId, idempotencyKey, receiptId, responsePayload) {
+  return this.updateOne(
+    { publisherId, idempotencyKey },
+    {
+      $set: { status: 'completed', receiptId, responsePayload },
+      $unset: { lockedUntil: 1 }
+    }
+  );
+};
+
+/**
+ * Give up a claim without caching (the request failed), so the key can be retried
+ */
+IdempotencyCacheSchema.statics.release = async function(publisherId, idempotencyKey) {
+  return this.deleteOne({ publisherId, idempotencyKey, status: 'in_progress' });
 };
 
 /**
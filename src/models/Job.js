@@ -0,0 +1,60 @@
+// src/models/Job.js
+const mongoose = require('mongoose');
+
+const JobSchema = new mongoose.Schema({
+  // Job type, e.g. "billing.process" or "a2ar.update"
+  type: {
+    type: String,
+    required: true,
+    index: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed'],
+    default: 'queued',
+    index: true
+  },
+
+  // Retry state
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: String,
+
+  // Worker lock
+  lockedAt: Date,
+  lockedBy: String,
+
+  completedAt: Date,
+  // Completed jobs are purged by the TTL index below
+  purgeAt: Date,
+
+  // Set when this job was created by replaying a dead letter
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeadLetterJob'
+  }
+}, {
+  timestamps: true
+});
+
+JobSchema.index({ status: 1, runAt: 1 });
+// Lookups by the receipt a job is for (see requeueLostBillingJobs)
+JobSchema.index({ 'payload.pauseEventId': 1 }, { sparse: true });
+JobSchema.index({ 'payload.receiptId': 1 }, { sparse: true });
+JobSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Job', JobSchema);
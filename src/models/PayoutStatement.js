@@ -0,0 +1,120 @@
+// src/models/PayoutStatement.js
+const mongoose = require('mongoose');
+
+// Allowed status changes: pending -> approved -> paid
+const STATUS_TRANSITIONS = {
+  pending: ['approved'],
+  approved: ['paid'],
+  paid: []
+};
+
+// A publisher's earnings for one calendar month (UTC), settled as one payout.
+// Covers every ledger entry not on an earlier statement up to the end of the month,
+// so reversals and balances carried forward from earlier months are included.
+const PayoutStatementSchema = new mongoose.Schema({
+  publisherId: {
+    type: String,
+    required: true
+  },
+  // "YYYY-MM"
+  period: {
+    type: String,
+    required: true
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+
+  conversions: {
+    type: Number,
+    default: 0
+  },
+  credits: {
+    type: Number,
+    default: 0
+  },
+  reversedConversions: {
+    type: Number,
+    default: 0
+  },
+  // Negative
+  reversals: {
+    type: Number,
+    default: 0
+  },
+  netAmount: {
+    type: Number,
+    required: true
+  },
+  entryCount: {
+    type: Number,
+    default: 0
+  },
+
+  status: {
+    type: String,
+    enum: Object.keys(STATUS_TRANSITIONS),
+    default: 'pending'
+  },
+  // null when generated by the scheduled run
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  approvedAt: {
+    type: Date,
+    default: null
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Bank / payment processor reference supplied when marking paid
+  paymentReference: {
+    type: String,
+    default: null
+  },
+  // The payout WalletTransaction debiting the publisher wallet
+  walletTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WalletTransaction',
+    default: null
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+PayoutStatementSchema.index({ publisherId: 1, period: 1 }, { unique: true });
+PayoutStatementSchema.index({ status: 1, period: -1 });
+
+/**
+ * Whether a statement may move from one status to another
+ */
+PayoutStatementSchema.statics.canTransition = function(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+PayoutStatementSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+module.exports = mongoose.model('PayoutStatement', PayoutStatementSchema);
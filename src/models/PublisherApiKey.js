@@ -1,6 +1,48 @@
 // src/models/PublisherApiKey.js
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const {
+  credentialPrefix,
+  hashApiKey,
+  verifyApiKey,
+  encryptSecret,
+  decryptSecret
+} = require('../utils/credentials');
+
+// Signature schemes accepted in the X-iPause-Signature header
+const SIGNATURE_VERSIONS = ['v1', 'v2'];
+
+// Sandbox keys run the full event pipeline against isolated collections, without billing
+const SANDBOX_KEY_PREFIX = 'pk_test_';
+
+/**
+ * Parse "v1=abc,v2=def" (or legacy "sha256=abc") into [{ version, signature }]
+ */
+function parseSignatureHeader(header) {
+  return String(header)
+    .split(',')
+    .map(part => part.trim())
+    .map(part => {
+      const idx = part.indexOf('=');
+      if (idx === -1) return null;
+      const scheme = part.substring(0, idx).trim();
+      return {
+        version: scheme === 'sha256' ? 'v1' : scheme,
+        signature: part.substring(idx + 1).trim()
+      };
+    })
+    .filter(s => s && SIGNATURE_VERSIONS.includes(s.version) && s.signature);
+}
+
+/**
+ * Constant-time string comparison that tolerates different lengths
+ */
+function safeCompare(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
 
 const PublisherApiKeySchema = new mongoose.Schema({
   // Publisher Identity
@@ -35,16 +77,49 @@ const PublisherApiKeySchema = new mongoose.Schema({
   },
 
   // API Credentials
-  apiKey: {
+  // Keys are stored as a salted hash (utils/credentials); the prefix (e.g. "pk_1a2b3c4d")
+  // finds the record and identifies the key. Set them with setApiKey / setSandboxApiKey.
+  apiKeyHash: {
     type: String,
-    required: true,
-    unique: true,
+    default: null
+  },
+  apiKeyPrefix: {
+    type: String,
+    default: null,
+    index: true
+  },
+  // pk_test_ key for sandbox traffic (null for publishers created before sandbox keys)
+  sandboxApiKeyHash: {
+    type: String,
+    default: null
+  },
+  sandboxApiKeyPrefix: {
+    type: String,
+    default: null,
     index: true
   },
+  // Plaintext keys from before hashing; cleared by setApiKey / setSandboxApiKey
+  // and by migrate-hash-credentials.js
+  apiKey: String,
+  sandboxApiKey: String,
+  // Webhook secrets are stored encrypted; read them with getWebhookSecret / getActiveWebhookSecrets
   webhookSecret: {
     type: String,
     required: true
   },
+  // Previous secret stays valid until the rotation grace period ends
+  previousWebhookSecret: {
+    type: String,
+    default: null
+  },
+  previousWebhookSecretExpiresAt: {
+    type: Date,
+    default: null
+  },
+  webhookSecretRotatedAt: {
+    type: Date,
+    default: null
+  },
 
   // Status
   status: {
@@ -68,28 +143,82 @@ const PublisherApiKeySchema = new mongoose.Schema({
     default: 0
   },
 
+  // CIDR ranges the primary and sandbox keys and signed requests may come from (empty = any address).
+  // Named PublisherKeys carry their own list.
+  allowedCidrs: {
+    type: [String],
+    default: []
+  },
+
   // Rate limiting
   rateLimitPerMinute: {
     type: Number,
     default: 100
   },
+  // Max requests allowed in a burst (null = 1.5x rateLimitPerMinute)
+  rateLimitBurst: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+
+  // Count reconciliation: days differing from our receipts by more than this are flagged
+  // (null = RECONCILIATION_TOLERANCE_PERCENT)
+  reconciliationTolerancePercent: {
+    type: Number,
+    default: null,
+    min: 0,
+    max: 100
+  },
+
+  // Fraud rules applied to this publisher's conversions before billing
+  fraudRules: {
+    enabled: { type: Boolean, default: true },
+    // Scans faster than this after the QR appeared are implausible
+    minAsvSeconds: { type: Number, default: 0.5 },
+    checkCountryMismatch: { type: Boolean, default: true },
+    checkOpportunityReuse: { type: Boolean, default: true },
+    // Conversions scoring at or above this are held for review
+    holdThreshold: { type: Number, default: 50 }
+  },
 
   // Metadata
   notes: String,
+  // Campaigns the publisher may send pause impressions for (managed via /admin/publishers/:id/campaigns)
   activeCampaigns: [{
     campaignId: String,
     campaignName: String,
-    status: String
-  }]
+    // 'active' or 'paused'
+    status: String,
+    // Flight dates, compared with event_time_utc (null = open-ended)
+    startsAt: { type: Date, default: null },
+    endsAt: { type: Date, default: null },
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    addedAt: Date
+  }],
+  // What ingestion does with impressions for other campaigns: off, quarantine or reject
+  // (null = CAMPAIGN_AUTHORIZATION_MODE)
+  campaignAuthorization: {
+    type: String,
+    enum: ['off', 'quarantine', 'reject', null],
+    default: null
+  }
 }, {
   timestamps: true
 });
 
 /**
- * Generate a new API key
+ * Generate a new API key (pk_test_ prefixed for sandbox)
+ */
+PublisherApiKeySchema.statics.generateApiKey = function({ sandbox = false } = {}) {
+  return (sandbox ? SANDBOX_KEY_PREFIX : 'pk_') + crypto.randomBytes(32).toString('hex');
+};
+
+/**
+ * Whether an API key is a sandbox key
  */
-PublisherApiKeySchema.statics.generateApiKey = function() {
-  return 'pk_' + crypto.randomBytes(32).toString('hex');
+PublisherApiKeySchema.statics.isSandboxKey = function(apiKey) {
+  return typeof apiKey === 'string' && apiKey.startsWith(SANDBOX_KEY_PREFIX);
 };
 
 /**
@@ -101,9 +230,53 @@ PublisherApiKeySchema.statics.generateWebhookSecret = function() {
 
 /**
  * Find by API key and validate status
+ * Records not yet converted by migrate-hash-credentials.js are still found by their plaintext key.
  */
 PublisherApiKeySchema.statics.findByApiKey = async function(apiKey) {
-  return this.findOne({ apiKey, status: 'active' });
+  const sandbox = this.isSandboxKey(apiKey);
+  const hashField = sandbox ? 'sandboxApiKeyHash' : 'apiKeyHash';
+  
+  const candidates = await this.find({
+    [sandbox ? 'sandboxApiKeyPrefix' : 'apiKeyPrefix']: credentialPrefix(apiKey),
+    status: 'active'
+  });
+  
+  const publisher = candidates.find(candidate => verifyApiKey(apiKey, candidate[hashField]));
+  if (publisher) return publisher;
+  
+  return this.findOne({ [sandbox ? 'sandboxApiKey' : 'apiKey']: apiKey, status: 'active' });
+};
+
+/**
+ * Replace the live API key (only its hash and prefix are kept)
+ */
+PublisherApiKeySchema.methods.setApiKey = function(apiKey) {
+  this.apiKeyHash = hashApiKey(apiKey);
+  this.apiKeyPrefix = credentialPrefix(apiKey);
+  this.apiKey = undefined;
+};
+
+/**
+ * Replace the pk_test_ sandbox key (only its hash and prefix are kept)
+ */
+PublisherApiKeySchema.methods.setSandboxApiKey = function(apiKey) {
+  this.sandboxApiKeyHash = hashApiKey(apiKey);
+  this.sandboxApiKeyPrefix = credentialPrefix(apiKey);
+  this.sandboxApiKey = undefined;
+};
+
+/**
+ * Replace the webhook secret (stored encrypted)
+ */
+PublisherApiKeySchema.methods.setWebhookSecret = function(secret) {
+  this.webhookSecret = encryptSecret(secret);
+};
+
+/**
+ * Current webhook secret in clear
+ */
+PublisherApiKeySchema.methods.getWebhookSecret = function() {
+  return decryptSecret(this.webhookSecret);
 };
 
 /**
@@ -115,21 +288,106 @@ PublisherApiKeySchema.methods.recordUsage = async function() {
   return this.save();
 };
 
+/**
+ * Webhook secrets currently accepted for signature verification
+ */
+PublisherApiKeySchema.methods.getActiveWebhookSecrets = function() {
+  const secrets = [];
+  if (this.webhookSecret) secrets.push(this.getWebhookSecret());
+  
+  if (this.previousWebhookSecret && this.previousWebhookSecretExpiresAt > new Date()) {
+    secrets.push(decryptSecret(this.previousWebhookSecret));
+  }
+  
+  return secrets;
+};
+
 /**
  * Verify webhook signature
+ * Header format: "v1=<hex>,v2=<hex>" (legacy "sha256=<hex>" is treated as v1)
+ *   v1 = HMAC-SHA256(secret, "<timestamp>.<rawBody>")
+ *   v2 = HMAC-SHA256(secret, "<timestamp>.<METHOD>.<path>.<rawBody>")
  */
-PublisherApiKeySchema.methods.verifySignature = function(timestamp, rawBody, signature) {
-  if (!this.webhookSecret) return false;
+PublisherApiKeySchema.methods.verifySignature = function(timestamp, rawBody, signatureHeader, { method = '', path = '' } = {}) {
+  const secrets = this.getActiveWebhookSecrets();
+  if (secrets.length === 0 || !signatureHeader) return false;
   
-  const expectedSignature = 'sha256=' + crypto
-    .createHmac('sha256', this.webhookSecret)
-    .update(timestamp + '.' + rawBody)
-    .digest('hex');
+  const signatures = parseSignatureHeader(signatureHeader);
   
-  return crypto.timingSafeEqual(
-    Buffer.from(signature),
-    Buffer.from(expectedSignature)
+  return secrets.some(secret => signatures.some(({ version, signature }) => {
+    const payload = version === 'v2'
+      ? `${timestamp}.${method.toUpperCase()}.${path}.${rawBody}`
+      : `${timestamp}.${rawBody}`;
+    
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(payload)
+      .digest('hex');
+    
+    return safeCompare(signature, expected);
+  }));
+};
+
+/**
+ * Pixel token for one pause opportunity: "<expires unix seconds>.<hex>"
+ *   hex = HMAC-SHA256(webhook secret, "px.<publisherId>.<ipauseOpportunityId>.<expires>")
+ */
+PublisherApiKeySchema.methods.signPixelToken = function(ipauseOpportunityId, expiresAt, secret = this.getWebhookSecret()) {
+  const expires = Math.floor(new Date(expiresAt).getTime() / 1000);
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`px.${this.publisherId}.${ipauseOpportunityId}.${expires}`)
+    .digest('hex');
+
+  return `${expires}.${signature}`;
+};
+
+/**
+ * Check a pixel token against the current (and grace-period) webhook secrets
+ * @param {number} maxTtlSeconds - Tokens expiring further out than this are rejected
+ * @returns {string} 'valid' | 'expired' | 'invalid'
+ */
+PublisherApiKeySchema.methods.verifyPixelToken = function(token, ipauseOpportunityId, maxTtlSeconds) {
+  const match = /^(\d{1,12})\.([a-f0-9]{64})$/i.exec(String(token || ''));
+  if (!match) return 'invalid';
+
+  const expires = parseInt(match[1]);
+  const signed = this.getActiveWebhookSecrets().some(secret =>
+    safeCompare(this.signPixelToken(ipauseOpportunityId, expires * 1000, secret), token.toLowerCase())
   );
+  if (!signed) return 'invalid';
+
+  const now = Math.floor(Date.now() / 1000);
+  if (expires < now) return 'expired';
+  if (expires - now > maxTtlSeconds) return 'invalid';
+
+  return 'valid';
+};
+
+/**
+ * Move the current webhook secret into the grace slot and issue a new one
+ */
+PublisherApiKeySchema.methods.rotateWebhookSecret = function(gracePeriodHours = 72) {
+  const newSecret = this.constructor.generateWebhookSecret();
+  
+  this.previousWebhookSecret = encryptSecret(this.webhookSecret);
+  this.previousWebhookSecretExpiresAt = new Date(Date.now() + gracePeriodHours * 60 * 60 * 1000);
+  this.setWebhookSecret(newSecret);
+  this.webhookSecretRotatedAt = new Date();
+  
+  return newSecret;
+};
+
+/**
+ * Stop accepting the previous webhook secret before its grace period ends
+ */
+PublisherApiKeySchema.methods.retirePreviousWebhookSecret = function() {
+  const hadPrevious = !!this.previousWebhookSecret;
+  
+  this.previousWebhookSecret = null;
+  this.previousWebhookSecretExpiresAt = null;
+  
+  return hadPrevious;
 };
 
 /**
@@ -161,12 +419,13 @@ PublisherApiKeySchema.statics.createPublisher = async function({
   createdBy
 }) {
   const apiKey = this.generateApiKey();
+  const sandboxApiKey = this.generateApiKey({ sandbox: true });
   const webhookSecret = this.generateWebhookSecret();
   
   // Generate publisher ID if not provided
   const finalPublisherId = publisherId || this.generatePublisherId(publisherName);
   
-  const publisher = await this.create({
+  const publisher = new this({
     publisherId: finalPublisherId,
     publisherName,
     contactName,
@@ -174,18 +433,21 @@ PublisherApiKeySchema.statics.createPublisher = async function({
     contactPhone,
     companyAddress,
     platformType: platformType || 'CTV',
-    apiKey,
-    webhookSecret,
     notes,
     activeCampaigns,
     createdBy
   });
+  publisher.setApiKey(apiKey);
+  publisher.setSandboxApiKey(sandboxApiKey);
+  publisher.setWebhookSecret(webhookSecret);
+  await publisher.save();
   
   // Return with credentials (only shown once)
   return {
     publisher,
     credentials: {
       apiKey,
+      sandboxApiKey,
       webhookSecret
     }
   };
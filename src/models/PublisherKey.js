@@ -0,0 +1,148 @@
+// src/models/PublisherKey.js
+// Additional named API keys for a publisher, each limited to a set of scopes.
+// The publisher's primary keys (PublisherApiKey.apiKey / sandboxApiKey) keep every scope.
+const mongoose = require('mongoose');
+const PublisherApiKey = require('./PublisherApiKey');
+const { credentialPrefix, hashApiKey, verifyApiKey } = require('../utils/credentials');
+
+// What a key may be used for
+const PUBLISHER_KEY_SCOPES = ['events:write', 'events:read', 'stats:read', 'webhooks:manage'];
+
+// Keys per publisher, revoked ones excluded
+const MAX_KEYS_PER_PUBLISHER = 25;
+
+const PublisherKeySchema = new mongoose.Schema({
+  publisherId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Salted hash of the key (utils/credentials); the key itself is only returned by createKey
+  keyHash: {
+    type: String,
+    required: true
+  },
+  // Start of the key, used for lookup and safe to show in lists and history
+  keyPrefix: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Plaintext key from before hashing; cleared by migrate-hash-credentials.js
+  key: String,
+  // pk_test_ keys send sandbox traffic
+  sandbox: {
+    type: Boolean,
+    default: false
+  },
+  scopes: {
+    type: [{ type: String, enum: PUBLISHER_KEY_SCOPES }],
+    default: () => [...PUBLISHER_KEY_SCOPES]
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // CIDR ranges the key may be used from (empty = any address)
+  allowedCidrs: {
+    type: [String],
+    default: []
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active'
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Tracking
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  requestsCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+PublisherKeySchema.index({ publisherId: 1, status: 1 });
+
+/**
+ * Issue a new key
+ * @returns {Object} { key: the saved PublisherKey, apiKey: the plaintext key (only available now) }
+ */
+PublisherKeySchema.statics.createKey = async function({ publisherId, label, scopes, expiresAt = null, sandbox = false, allowedCidrs = [], createdBy }) {
+  const apiKey = PublisherApiKey.generateApiKey({ sandbox });
+
+  const key = await this.create({
+    publisherId,
+    label,
+    keyHash: hashApiKey(apiKey),
+    keyPrefix: credentialPrefix(apiKey),
+    sandbox,
+    scopes: scopes || [...PUBLISHER_KEY_SCOPES],
+    expiresAt,
+    allowedCidrs,
+    createdBy
+  });
+
+  return { key, apiKey };
+};
+
+/**
+ * Find a key by its value, whatever its status
+ * Keys not yet converted by migrate-hash-credentials.js are still found by their plaintext value.
+ */
+PublisherKeySchema.statics.findByApiKey = async function(apiKey) {
+  const candidates = await this.find({ keyPrefix: credentialPrefix(apiKey) });
+  
+  return candidates.find(candidate => verifyApiKey(apiKey, candidate.keyHash)) ||
+    this.findOne({ key: apiKey });
+};
+
+/**
+ * Whether the key can still authenticate
+ */
+PublisherKeySchema.methods.isUsable = function() {
+  return this.status === 'active' && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+PublisherKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+/**
+ * Update last-used tracking
+ */
+PublisherKeySchema.methods.recordUsage = async function(ip = null) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: ip }, $inc: { requestsCount: 1 } }
+  );
+};
+
+PublisherKeySchema.statics.PUBLISHER_KEY_SCOPES = PUBLISHER_KEY_SCOPES;
+PublisherKeySchema.statics.MAX_KEYS_PER_PUBLISHER = MAX_KEYS_PER_PUBLISHER;
+
+module.exports = mongoose.model('PublisherKey', PublisherKeySchema);
@@ -9,15 +9,32 @@ const PublisherKeyHistorySchema = new mongoose.Schema({
   },
   action: {
     type: String,
-    enum: ['created', 'revoked', 'regenerated', 'suspended', 'activated'],
+    enum: ['created', 'revoked', 'regenerated', 'suspended', 'activated', 'webhook_secret_rotated', 'webhook_secret_retired', 'sandbox_key_regenerated', 'key_created', 'key_updated', 'key_revoked', 'key_rotated', 'allowed_cidrs_updated', 'ip_not_allowed'],
     required: true
   },
-  oldApiKey: String,
-  newApiKey: String,
+  // Visible key prefixes only (e.g. "pk_1a2b3c4d"); full keys are never recorded
+  oldKeyPrefix: String,
+  newKeyPrefix: String,
+  // Named PublisherKey the action applies to (null for the primary keys)
+  keyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PublisherKey',
+    default: null
+  },
+  keyLabel: {
+    type: String,
+    default: null
+  },
+  // Source address of a request refused by the key's CIDR allowlist (ip_not_allowed)
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  // Not set for ip_not_allowed (logged by the API, not an admin)
   performedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() { return this.action !== 'ip_not_allowed'; }
   },
   reason: String
 }, {
@@ -34,16 +51,22 @@ PublisherKeyHistorySchema.index({ createdAt: -1 });
 PublisherKeyHistorySchema.statics.logAction = async function({
   publisherId,
   action,
-  oldApiKey,
-  newApiKey,
+  oldKeyPrefix,
+  newKeyPrefix,
+  keyId = null,
+  keyLabel = null,
+  ipAddress = null,
   performedBy,
   reason
 }) {
   return this.create({
     publisherId,
     action,
-    oldApiKey,
-    newApiKey,
+    oldKeyPrefix,
+    newKeyPrefix,
+    keyId,
+    keyLabel,
+    ipAddress,
     performedBy,
     reason
   });
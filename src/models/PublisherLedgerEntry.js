@@ -0,0 +1,119 @@
+// src/models/PublisherLedgerEntry.js
+const mongoose = require('mongoose');
+const Wallet = require('./Wallet');
+
+// One movement of a publisher's earnings. The publisher Wallet balance is the running
+// sum of these entries (what iPauseAds owes the publisher and has not yet paid out).
+const PublisherLedgerEntrySchema = new mongoose.Schema({
+  publisherId: {
+    type: String,
+    required: true
+  },
+  // conversion_share: credit for a billed conversion
+  // reversal: debit when that conversion is voided and refunded
+  // payout: debit when a payout statement is marked paid
+  entryType: {
+    type: String,
+    enum: ['conversion_share', 'reversal', 'payout'],
+    required: true
+  },
+  // Signed: credits positive, debits negative
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  billingRecord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BillingRecord'
+  },
+  // Conversion the billing record is for (EventReceipt for v1 events, Scan for legacy scans)
+  conversionReceipt: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // PayoutStatement the entry is settled in (null until a statement picks it up)
+  statement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutStatement',
+    default: null
+  },
+  description: String,
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+PublisherLedgerEntrySchema.index({ publisherId: 1, occurredAt: -1 });
+PublisherLedgerEntrySchema.index({ statement: 1, publisherId: 1, occurredAt: 1 });
+// A billing record is credited (and reversed) at most once
+PublisherLedgerEntrySchema.index(
+  { billingRecord: 1, entryType: 1 },
+  { unique: true, partialFilterExpression: { billingRecord: { $exists: true } } }
+);
+
+/**
+ * Record an entry and apply it to the publisher's wallet (created on first use)
+ * Pass the caller's session so the entry commits with the billing / refund / payout it belongs to.
+ * @returns {Object} { entry, wallet } - wallet as it is after this entry
+ */
+PublisherLedgerEntrySchema.statics.recordEntry = async function(fields, session = null) {
+  const [entry] = await this.create([fields], { session });
+
+  const wallet = await Wallet.findOneAndUpdate(
+    { ownerType: 'publisher', publisherId: fields.publisherId },
+    { $inc: { balance: fields.amount } },
+    { new: true, upsert: true, setDefaultsOnInsert: true, session }
+  );
+
+  return { entry, wallet };
+};
+
+/**
+ * Credit a publisher's revenue share for a billed conversion
+ * No-op for records without a publisher or share.
+ */
+PublisherLedgerEntrySchema.statics.creditConversion = async function(billingRecord, session = null) {
+  if (!billingRecord.publisherId || !(billingRecord.publisherShare > 0)) return null;
+
+  return this.recordEntry({
+    publisherId: billingRecord.publisherId,
+    entryType: 'conversion_share',
+    amount: billingRecord.publisherShare,
+    billingRecord: billingRecord._id,
+    conversionReceipt: billingRecord.scan,
+    description: `Revenue share for conversion on campaign ${billingRecord.qrCodeId}`,
+    occurredAt: billingRecord.billedAt
+  }, session);
+};
+
+/**
+ * Debit the revenue share credited for a billing record that has been reversed
+ * Records billed before the ledger existed were never credited, so nothing is debited for them.
+ */
+PublisherLedgerEntrySchema.statics.reverseConversion = async function(billingRecord, reason, session = null) {
+  const credit = await this.findOne({
+    billingRecord: billingRecord._id,
+    entryType: 'conversion_share'
+  }).session(session);
+
+  if (!credit) return null;
+
+  return this.recordEntry({
+    publisherId: credit.publisherId,
+    entryType: 'reversal',
+    amount: -credit.amount,
+    currency: credit.currency,
+    billingRecord: billingRecord._id,
+    conversionReceipt: credit.conversionReceipt,
+    description: `Conversion voided (${reason})`
+  }, session);
+};
+
+module.exports = mongoose.model('PublisherLedgerEntry', PublisherLedgerEntrySchema);
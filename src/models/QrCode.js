@@ -12,6 +12,9 @@ const QrCodeSchema = new mongoose.Schema({
   thumbnailUrl: { type: String, default: null },
   conversionFee: { type: Number, default: 5.0 },
   publisherShare: { type: Number, default: 3.0 },
+  // Max minutes between pause impression and conversion for the conversion to bill
+  // (null = platform default, ATTRIBUTION_WINDOW_MINUTES)
+  attributionWindowMinutes: { type: Number, default: null, min: 1 },
   active: { type: Boolean, default: true }
 }, {
   timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' }
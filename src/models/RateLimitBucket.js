@@ -0,0 +1,92 @@
+// src/models/RateLimitBucket.js
+const mongoose = require('mongoose');
+
+const RateLimitBucketSchema = new mongoose.Schema({
+  // Bucket identity (e.g. "publisher:pub_hulu")
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  tokens: {
+    type: Number,
+    required: true
+  },
+  refilledAt: {
+    type: Date,
+    required: true
+  },
+  // Result of the last consume() call
+  allowed: {
+    type: Boolean,
+    default: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: false
+});
+
+// TTL index so idle buckets are cleaned up automatically
+RateLimitBucketSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Atomically refill and take tokens from a bucket (token bucket algorithm)
+ * Shared across app instances because the whole step runs as one MongoDB update.
+ * @param {string} key - Bucket key
+ * @param {number} ratePerMinute - Sustained refill rate
+ * @param {number} capacity - Max tokens (burst allowance)
+ * @param {number} cost - Tokens this request takes (default 1)
+ * @returns {Object} { allowed, remaining, retryAfterSeconds, resetAt }
+ */
+RateLimitBucketSchema.statics.consume = async function(key, ratePerMinute, capacity, cost = 1) {
+  const now = new Date();
+  const refillPerMs = ratePerMinute / 60000;
+  const idleTtlMs = Math.max(60000, Math.ceil(capacity / refillPerMs));
+
+  const bucket = await this.findOneAndUpdate(
+    { key },
+    [
+      {
+        $set: {
+          tokens: {
+            $min: [
+              capacity,
+              {
+                $add: [
+                  { $ifNull: ['$tokens', capacity] },
+                  { $multiply: [{ $subtract: [now, { $ifNull: ['$refilledAt', now] }] }, refillPerMs] }
+                ]
+              }
+            ]
+          },
+          refilledAt: now
+        }
+      },
+      {
+        $set: {
+          allowed: { $gte: ['$tokens', cost] },
+          tokens: { $cond: [{ $gte: ['$tokens', cost] }, { $subtract: ['$tokens', cost] }, '$tokens'] },
+          expiresAt: new Date(now.getTime() + idleTtlMs)
+        }
+      }
+    ],
+    { upsert: true, new: true }
+  ).lean();
+
+  const remaining = Math.floor(bucket.tokens);
+  const msUntilNextToken = bucket.allowed ? 0 : Math.ceil((cost - bucket.tokens) / refillPerMs);
+  const msUntilFull = Math.ceil((capacity - bucket.tokens) / refillPerMs);
+
+  return {
+    allowed: bucket.allowed,
+    remaining,
+    retryAfterSeconds: Math.ceil(msUntilNextToken / 1000),
+    resetAt: new Date(now.getTime() + msUntilFull)
+  };
+};
+
+module.exports = mongoose.model('RateLimitBucket', RateLimitBucketSchema);
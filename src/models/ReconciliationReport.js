@@ -0,0 +1,99 @@
+// src/models/ReconciliationReport.js
+const mongoose = require('mongoose');
+
+// Publisher-reported counts for one day (optionally one campaign / content) next to ours
+const ReconciliationRowSchema = new mongoose.Schema({
+  date: {
+    type: String,
+    required: true
+  },
+  // null = the publisher's count covers every campaign / content that day
+  campaignId: {
+    type: String,
+    default: null
+  },
+  contentId: {
+    type: String,
+    default: null
+  },
+
+  reportedPauses: Number,
+  reportedScans: Number,
+  ourPauses: Number,
+  ourScans: Number,
+
+  // reported - ours; percent is relative to ours (null when ours is 0)
+  pauseDiff: Number,
+  pauseDiffPercent: Number,
+  scanDiff: Number,
+  scanDiffPercent: Number,
+
+  flagged: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+// A publisher count upload and the discrepancies found against EventReceipt
+const ReconciliationReportSchema = new mongoose.Schema({
+  publisherId: {
+    type: String,
+    required: true
+  },
+  label: {
+    type: String,
+    default: null
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'json'],
+    required: true
+  },
+  // Compared against sandbox (pk_test_) events instead of live ones
+  sandbox: {
+    type: Boolean,
+    default: false
+  },
+
+  uploadedBy: {
+    type: String,
+    enum: ['publisher', 'admin'],
+    required: true
+  },
+  uploadedByUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // First and last day covered by the upload (YYYY-MM-DD)
+  startDate: {
+    type: String,
+    required: true
+  },
+  endDate: {
+    type: String,
+    required: true
+  },
+  tolerancePercent: {
+    type: Number,
+    required: true
+  },
+
+  rows: [ReconciliationRowSchema],
+
+  summary: {
+    rows: Number,
+    flaggedRows: Number,
+    reportedPauses: Number,
+    reportedScans: Number,
+    ourPauses: Number,
+    ourScans: Number
+  }
+}, {
+  timestamps: true
+});
+
+ReconciliationReportSchema.index({ publisherId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReconciliationReport', ReconciliationReportSchema);
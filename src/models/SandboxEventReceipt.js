@@ -0,0 +1,6 @@
+// src/models/SandboxEventReceipt.js
+// Receipts for events sent with pk_test_ keys: same schema as EventReceipt, separate collection
+const mongoose = require('mongoose');
+const EventReceipt = require('./EventReceipt');
+
+module.exports = mongoose.model('SandboxEventReceipt', EventReceipt.schema.clone(), 'sandbox_eventreceipts');
@@ -0,0 +1,6 @@
+// src/models/SandboxIdempotencyCache.js
+// Idempotency keys for pk_test_ traffic, so sandbox keys never collide with live ones
+const mongoose = require('mongoose');
+const IdempotencyCache = require('./IdempotencyCache');
+
+module.exports = mongoose.model('SandboxIdempotencyCache', IdempotencyCache.schema.clone(), 'sandbox_idempotencycaches');
@@ -45,12 +45,17 @@ const userSchema = new mongoose.Schema({
   role: { 
     type: String, 
     enum: {
-      values: ['admin', 'manager', 'sales_person', 'viewer'],
+      values: ['admin', 'manager', 'sales_person', 'viewer', 'publisher'],
       message: '{VALUE} is not a valid role'
     },
     default: 'viewer',
     required: true
   },
+  // Publisher portal users: the PublisherApiKey.publisherId they act for (required for role "publisher")
+  publisherId: {
+    type: String,
+    default: null
+  },
   
   // Status
   status: {
@@ -102,6 +107,18 @@ userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ status: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ publisherId: 1 }, { sparse: true });
+
+// Publisher portal users must be linked to a publisher; nobody else is
+userSchema.pre('validate', function(next) {
+  if (this.role === 'publisher' && !this.publisherId) {
+    this.invalidate('publisherId', 'publisherId is required for publisher users');
+  }
+  if (this.role !== 'publisher') {
+    this.publisherId = null;
+  }
+  next();
+});
 
 // Virtual for account locked status
 userSchema.virtual('isLocked').get(function() {
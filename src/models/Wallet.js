@@ -1,16 +1,27 @@
 const mongoose = require('mongoose');
 
 const WalletSchema = new mongoose.Schema({
-  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', unique: true, required: true },
+  // Advertiser wallets are funded and charged per conversion; publisher wallets hold
+  // revenue share owed (credited from PublisherLedgerEntry, debited by payouts)
+  ownerType: { type: String, enum: ['advertiser', 'publisher'], default: 'advertiser' },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() { return this.ownerType !== 'publisher'; }
+  },
+  publisherId: { type: String },
   balance: { type: Number, default: 0.0 },
   currency: { type: String, default: 'USD' },
   brand: { type: String, default: '' },
   dailyCap: { type: Number, default: 1000.0 },
-  costPerConversion: { type: Number, default: 5.0 }
+  costPerConversion: { type: Number, default: 5.0 },
+  // wallet.low_balance webhooks fire when a charge takes the balance below this
+  lowBalanceThreshold: { type: Number, default: 50.0 }
 }, {
   timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' }
 });
 
-WalletSchema.index({ user: 1 });
+WalletSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } });
+WalletSchema.index({ publisherId: 1 }, { unique: true, partialFilterExpression: { publisherId: { $exists: true } } });
 
 module.exports = mongoose.model('Wallet', WalletSchema);
@@ -0,0 +1,68 @@
+// src/models/WebhookDelivery.js
+const mongoose = require('mongoose');
+
+const WebhookDeliverySchema = new mongoose.Schema({
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true,
+    index: true
+  },
+
+  // The event being delivered; redeliveries reuse the same eventId so receivers can deduplicate
+  eventId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  eventType: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending',
+    index: true
+  },
+  attempts: [{
+    attemptedAt: Date,
+    statusCode: Number,
+    error: String,
+    durationMs: Number
+  }],
+  lastStatusCode: {
+    type: Number,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+
+  // Set when this delivery was created by a manual redeliver
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+WebhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
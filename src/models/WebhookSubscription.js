@@ -0,0 +1,102 @@
+// src/models/WebhookSubscription.js
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { encryptSecret, decryptSecret } = require('../utils/credentials');
+
+// Events partners can subscribe to
+const WEBHOOK_EVENT_TYPES = ['conversion.billed', 'conversion.non_billable', 'event.voided', 'wallet.low_balance'];
+
+const WebhookSubscriptionSchema = new mongoose.Schema({
+  // Who receives the deliveries
+  ownerType: {
+    type: String,
+    enum: ['publisher', 'advertiser'],
+    required: true
+  },
+  publisherId: {
+    type: String,
+    default: null
+  },
+  advertiser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  url: {
+    type: String,
+    required: true
+  },
+  eventTypes: [{
+    type: String,
+    enum: WEBHOOK_EVENT_TYPES
+  }],
+  active: {
+    type: Boolean,
+    default: true
+  },
+  description: {
+    type: String,
+    default: null
+  },
+
+  // Advertisers have no webhookSecret of their own, so their subscriptions carry one
+  // (publisher subscriptions are signed with PublisherApiKey.webhookSecret).
+  // Encrypted like publisher webhook secrets; set it with setSecret()
+  secret: {
+    type: String,
+    default: null
+  },
+
+  lastDeliveryAt: {
+    type: Date,
+    default: null
+  },
+  lastDeliveryStatus: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+WebhookSubscriptionSchema.index({ ownerType: 1, publisherId: 1, active: 1 });
+WebhookSubscriptionSchema.index({ ownerType: 1, advertiser: 1, active: 1 });
+
+WebhookSubscriptionSchema.statics.WEBHOOK_EVENT_TYPES = WEBHOOK_EVENT_TYPES;
+
+/**
+ * Generate a signing secret for an advertiser subscription
+ */
+WebhookSubscriptionSchema.statics.generateSecret = function() {
+  return 'whsec_' + crypto.randomBytes(32).toString('hex');
+};
+
+/**
+ * Store a signing secret (encrypted)
+ */
+WebhookSubscriptionSchema.methods.setSecret = function(secret) {
+  this.secret = encryptSecret(secret);
+};
+
+/**
+ * Signing secret in clear, for signing deliveries
+ */
+WebhookSubscriptionSchema.methods.getSecret = function() {
+  return decryptSecret(this.secret);
+};
+
+/**
+ * Active subscriptions for an event, across the publisher and advertiser it concerns
+ */
+WebhookSubscriptionSchema.statics.findForEvent = function(eventType, { publisherId = null, advertiserId = null }) {
+  const owners = [];
+  if (publisherId) owners.push({ ownerType: 'publisher', publisherId });
+  if (advertiserId) owners.push({ ownerType: 'advertiser', advertiser: advertiserId });
+
+  if (owners.length === 0) return Promise.resolve([]);
+
+  return this.find({ active: true, eventTypes: eventType, $or: owners });
+};
+
+module.exports = mongoose.model('WebhookSubscription', WebhookSubscriptionSchema);
@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const A2ARMetric = require('../models/A2ARMetric');
+const A2ARLiveMetric = require('../models/A2ARLiveMetric');
 const authMiddleware = require('../middleware/auth');
 
 /**
@@ -146,6 +147,58 @@ router.get('/daily', authMiddleware, async (req, res) => {
   }
 });
 
+// Default and longest window per live granularity, in hours
+const LIVE_WINDOWS = {
+  '5m': { defaultHours: 6, maxHours: 48 },
+  '1h': { defaultHours: 48, maxHours: 31 * 24 }
+};
+
+/**
+ * GET /a2ar/live
+ * Intra-day A2AR and ASV for live content, one series per program + campaign
+ * Query: granularity (5m | 1h), start, end, program, campaignId, publisher
+ */
+router.get('/live', authMiddleware, async (req, res) => {
+  try {
+    const { granularity = '5m', start, end, program, campaignId, publisher } = req.query;
+
+    if (typeof granularity !== 'string' || !Object.hasOwn(LIVE_WINDOWS, granularity)) {
+      return res.status(400).json({ error: `granularity must be one of: ${Object.keys(LIVE_WINDOWS).join(', ')}` });
+    }
+
+    const { defaultHours, maxHours } = LIVE_WINDOWS[granularity];
+    const endDate = end ? new Date(end) : new Date();
+    const startDate = start ? new Date(start) : new Date(endDate.getTime() - defaultHours * 60 * 60 * 1000);
+
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime()) || startDate > endDate) {
+      return res.status(400).json({ error: 'start and end must be ISO 8601 dates, with start before end' });
+    }
+
+    if (endDate - startDate > maxHours * 60 * 60 * 1000) {
+      return res.status(400).json({ error: `A ${granularity} range cannot exceed ${maxHours} hours` });
+    }
+
+    const series = await A2ARLiveMetric.getLiveSeries(req.user.id, {
+      granularity,
+      startDate,
+      endDate,
+      programTitle: program || null,
+      campaignId: campaignId || null,
+      publisher: publisher || null
+    });
+
+    res.json({
+      granularity,
+      start: startDate.toISOString(),
+      end: endDate.toISOString(),
+      series
+    });
+  } catch (error) {
+    console.error('Error fetching live A2AR:', error);
+    res.status(500).json({ error: 'Failed to fetch live A2AR' });
+  }
+});
+
 /**
  * GET /a2ar/tiers
  * Get A2AR tier definitions (UPDATED)
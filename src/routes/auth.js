@@ -3,6 +3,7 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const PublisherApiKey = require('../models/PublisherApiKey');
 const auth = require('../middleware/auth');
 
 const router = express.Router();
@@ -18,6 +19,10 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ error: 'Full name, email and password required' });
     }
 
+    if (role === 'publisher') {
+      return res.status(400).json({ error: 'Publisher users are created by an administrator' });
+    }
+
     const existing = await User.findOne({ email: email.toLowerCase() });
     if (existing) {
       return res.status(409).json({ error: 'Email already registered' });
@@ -98,6 +103,20 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    // Publisher portal users can only sign in while their publisher is active
+    if (user.role === 'publisher') {
+      const publisher = await PublisherApiKey.findOne({ publisherId: user.publisherId, status: 'active' })
+        .select('publisherId')
+        .lean();
+
+      if (!publisher) {
+        return res.status(403).json({
+          error: 'Publisher inactive',
+          message: 'The publisher linked to this account is suspended or revoked. Please contact iPauseAds.'
+        });
+      }
+    }
+
     // Reset login attempts on successful login
     if (user.loginAttempts > 0 || user.lockUntil) {
       await user.resetLoginAttempts();
@@ -117,7 +136,8 @@ router.post('/login', async (req, res) => {
         email: user.email, 
         role: user.role,
         fullName: displayName,
-        status: user.status || 'active'
+        status: user.status || 'active',
+        ...(user.role === 'publisher' && { publisherId: user.publisherId })
       }, 
       process.env.JWT_SECRET, 
       { expiresIn: '24h' }
@@ -130,6 +150,7 @@ router.post('/login', async (req, res) => {
         email: user.email, 
         fullName: displayName, 
         role: user.role,
+        publisherId: user.publisherId || null,
         status: user.status || 'active',
         passwordResetRequired: user.passwordResetRequired || false
       } 
@@ -141,7 +162,7 @@ router.post('/login', async (req, res) => {
 });
 
 // Get current user info
-router.get('/me', auth, async (req, res) => {
+router.get('/me', auth.allowPublisherUsers, async (req, res) => {
   try {
     const user = await User.findById(req.user._id).select('-passwordHash -passwordResetToken');
     
@@ -157,7 +178,7 @@ router.get('/me', auth, async (req, res) => {
 });
 
 // Change own password
-router.post('/change-password', auth, async (req, res) => {
+router.post('/change-password', auth.allowPublisherUsers, async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
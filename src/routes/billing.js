@@ -9,6 +9,8 @@ const BillingRecord = require('../models/BillingRecord');
 const Scan = require('../models/Scan');
 const PauseEvent = require('../models/PauseEvent');
 const A2ARMetric = require('../models/A2ARMetric');
+const PublisherApiKey = require('../models/PublisherApiKey');
+const PublisherLedgerEntry = require('../models/PublisherLedgerEntry');
 
 const router = express.Router();
 
@@ -617,13 +619,18 @@ router.post('/qr-codes', auth, async (req, res) => {
       creativeId,
       conversionFee = 5.0,
       publisherShare = 3.0,
-      thumbnailUrl
+      thumbnailUrl,
+      attributionWindowMinutes = null
     } = req.body;
 
     if (!qrId || !destinationUrl) {
       return res.status(400).json({ error: 'qrId and destinationUrl required' });
     }
 
+    if (attributionWindowMinutes !== null && (!Number.isInteger(attributionWindowMinutes) || attributionWindowMinutes < 1)) {
+      return res.status(400).json({ error: 'attributionWindowMinutes must be a positive integer' });
+    }
+
     const existing = await QrCode.findOne({ id: qrId });
     if (existing) {
       return res.status(400).json({ error: 'QR code ID already exists' });
@@ -638,7 +645,8 @@ router.post('/qr-codes', auth, async (req, res) => {
       creativeId,
       thumbnailUrl,
       conversionFee,
-      publisherShare
+      publisherShare,
+      attributionWindowMinutes
     });
 
     await qr.save();
@@ -758,13 +766,20 @@ router.post('/conversion/notify', async (req, res) => {
         }
       ], { session });
 
+      // Scans carry the publisher as free text: match it to a publisher account by id or name
+      const publisherName = scan.publisher || qrCode?.publisher;
+      const publisherAccount = publisherName
+        ? await PublisherApiKey.findOne({ $or: [{ publisherId: publisherName }, { publisherName }] })
+        : null;
+
       // Billing record
-      await BillingRecord.create([
+      const [billingRecord] = await BillingRecord.create([
         {
           user: scan.advertiser,
           scan: scan._id,
           qrCodeId: scan.qrId,
-          publisher: scan.publisher || qrCode?.publisher,
+          publisher: publisherName,
+          publisherId: publisherAccount ? publisherAccount.publisherId : null,
           creativeId: scan.creativeId || qrCode?.creativeId,
           conversionFee: conversionFee,
           publisherShare: publisherShare,
@@ -776,7 +791,8 @@ router.post('/conversion/notify', async (req, res) => {
         }
       ], { session });
 
-      // TODO: Credit publisher wallet in future milestones
+      // Credit the publisher's revenue share to its earnings ledger
+      await PublisherLedgerEntry.creditConversion(billingRecord, session);
 
       await session.commitTransaction();
       session.endSession();
@@ -4,6 +4,7 @@ const router = express.Router();
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 const User = require('../models/User');
+const PublisherApiKey = require('../models/PublisherApiKey');
 const QRAssignment = require('../models/QRAssignment');
 const auth = require('../middleware/auth');
 const { authorize, authorizeOwnerOrAdmin } = require('../middleware/authorize');
@@ -19,6 +20,12 @@ const generatePassword = () => {
   return password;
 };
 
+// Publisher users must be linked to an existing publisher
+const publisherExists = async (publisherId) => {
+  if (!publisherId) return false;
+  return !!(await PublisherApiKey.exists({ publisherId }));
+};
+
 // GET /api/users - Get all users (Admin and Manager only)
 router.get('/', auth, authorize('admin', 'manager'), async (req, res) => {
   try {
@@ -97,13 +104,17 @@ router.get('/:id', auth, async (req, res) => {
 // POST /api/users - Create new user (Admin only)
 router.post('/', auth, authorize('admin'), async (req, res) => {
   try {
-    const { fullName, email, phone, role, status, sendEmail = true } = req.body;
+    const { fullName, email, phone, role, status, publisherId, sendEmail = true } = req.body;
 
     // Validation
     if (!fullName || !email || !role) {
       return res.status(400).json({ error: 'Full name, email, and role are required' });
     }
 
+    if (role === 'publisher' && !(await publisherExists(publisherId))) {
+      return res.status(400).json({ error: 'Publisher users need the publisherId of an existing publisher' });
+    }
+
     // Check if email already exists
     const existingUser = await User.findOne({ email: email.toLowerCase() });
     if (existingUser) {
@@ -120,6 +131,7 @@ router.post('/', auth, authorize('admin'), async (req, res) => {
       email: email.toLowerCase(),
       phone,
       role,
+      publisherId: role === 'publisher' ? publisherId : null,
       status: status || 'active',
       passwordHash,
       passwordResetRequired: true,
@@ -151,7 +163,7 @@ router.post('/', auth, authorize('admin'), async (req, res) => {
 router.put('/:id', auth, async (req, res) => {
   try {
     const { id } = req.params;
-    const { fullName, email, phone, role, status, profilePicture } = req.body;
+    const { fullName, email, phone, role, status, profilePicture, publisherId } = req.body;
 
     // Check authorization
     const isAdmin = req.user.role === 'admin';
@@ -183,7 +195,12 @@ router.put('/:id', auth, async (req, res) => {
         user.email = email.toLowerCase();
       }
       if (role) user.role = role;
+      if (publisherId !== undefined) user.publisherId = publisherId;
       if (status) user.status = status;
+
+      if (user.role === 'publisher' && !(await publisherExists(user.publisherId))) {
+        return res.status(400).json({ error: 'Publisher users need the publisherId of an existing publisher' });
+      }
     }
 
     await user.save();
@@ -0,0 +1,252 @@
+// src/routes/v1/adminEvents.js
+// Admin tools for stored v1 event receipts
+const express = require('express');
+const router = express.Router();
+const EventReceipt = require('../../models/EventReceipt');
+const { reprocessEvents, MAX_OPPORTUNITIES } = require('../../utils/eventReprocess');
+const { enqueueBilling, enqueueA2ARUpdate } = require('../../jobs/eventJobs');
+const { emitConversionEvent } = require('../../jobs/webhookJobs');
+
+// Import auth middleware
+const auth = require('../../middleware/auth');
+const { requireAdmin } = require('../../middleware/adminAuth');
+
+// =====================
+// POST /v1/admin/events/reprocess - Re-derive receipts from their rawPayload
+// dry_run defaults to true: send dry_run: false to write the changes
+// =====================
+router.post('/admin/events/reprocess', auth, requireAdmin, async (req, res) => {
+  try {
+    const {
+      publisher_id,
+      campaign_id,
+      start_date,
+      end_date,
+      dry_run = true,
+      max_opportunities = MAX_OPPORTUNITIES
+    } = req.body;
+
+    if (!publisher_id && !campaign_id && !start_date && !end_date) {
+      return res.status(400).json({
+        error: 'missing_filter',
+        message: 'Provide at least one of publisher_id, campaign_id, start_date or end_date'
+      });
+    }
+
+    const startDate = start_date ? new Date(start_date) : null;
+    const endDate = end_date ? new Date(end_date) : null;
+
+    if ((startDate && isNaN(startDate.getTime())) || (endDate && isNaN(endDate.getTime()))) {
+      return res.status(400).json({
+        error: 'invalid_date',
+        message: 'start_date and end_date must be ISO 8601 timestamps'
+      });
+    }
+
+    if (typeof dry_run !== 'boolean') {
+      return res.status(400).json({
+        error: 'invalid_dry_run',
+        message: 'dry_run must be true or false'
+      });
+    }
+
+    const maxOpportunities = parseInt(max_opportunities);
+    if (isNaN(maxOpportunities) || maxOpportunities < 1 || maxOpportunities > MAX_OPPORTUNITIES) {
+      return res.status(400).json({
+        error: 'invalid_max_opportunities',
+        message: `max_opportunities must be between 1 and ${MAX_OPPORTUNITIES}`
+      });
+    }
+
+    const summary = await reprocessEvents(
+      { publisherId: publisher_id, campaignId: campaign_id, startDate, endDate },
+      { dryRun: dry_run, maxOpportunities }
+    );
+
+    console.log(`Event reprocess (${dry_run ? 'dry run' : 'applied'}) by ${req.user.id}: ${summary.receipts_changed} of ${summary.receipts_scanned} receipt(s) changed`);
+
+    res.json(summary);
+
+  } catch (error) {
+    console.error('Event reprocess error:', error);
+    res.status(500).json({
+      error: 'reprocess_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// GET /v1/admin/events/held - Fraud review queue (conversions held before billing)
+// =====================
+router.get('/admin/events/held', auth, requireAdmin, async (req, res) => {
+  try {
+    const { publisher_id, reason, limit = 100 } = req.query;
+
+    const filter = { eventType: 'qr_conversion', billingStatus: 'held' };
+    if (publisher_id) filter.publisherId = publisher_id;
+    if (reason) filter.fraudReasons = reason;
+
+    const held = await EventReceipt.find(filter)
+      .sort({ processedAt: 1 })
+      .limit(Math.min(parseInt(limit) || 100, 500))
+      .populate('matchedPauseId')
+      .lean();
+
+    res.json({
+      held: held.map(c => ({
+        receipt_id: `rct_${c._id}`,
+        publisher_id: c.publisherId,
+        ipause_opportunity_id: c.ipauseOpportunityId,
+        event_time_utc: c.eventTimeUtc,
+        fraud_score: c.fraudScore,
+        fraud_reasons: c.fraudReasons,
+        asv_seconds: c.asvSeconds ?? null,
+        session_id: c.sessionId || null,
+        scan_country: c.country || null,
+        pause: c.matchedPauseId ? {
+          receipt_id: `rct_${c.matchedPauseId._id}`,
+          campaign_id: c.matchedPauseId.campaignId,
+          content_title: c.matchedPauseId.contentTitle,
+          session_id: c.matchedPauseId.sessionId || null,
+          country: c.matchedPauseId.country || null,
+          event_time_utc: c.matchedPauseId.eventTimeUtc
+        } : null,
+        held_since: c.matchedAt || c.processedAt
+      })),
+      count: held.length
+    });
+
+  } catch (error) {
+    console.error('Held conversions fetch error:', error);
+    res.status(500).json({
+      error: 'fetch_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// POST /v1/admin/events/:receiptId/release - Release a held conversion for billing
+// =====================
+router.post('/admin/events/:receiptId/release', auth, requireAdmin, async (req, res) => {
+  try {
+    const conversion = await reviewHeldConversion(req, 'released', 'billable');
+    if (!conversion) return respondNotHeld(req, res);
+
+    // The pause carries the charge; bill it and count the conversion in A2AR now
+    const pause = await EventReceipt.findOneAndUpdate(
+      { _id: conversion.matchedPauseId, matchedConversionId: conversion._id, billingStatus: 'held' },
+      { $set: { billingStatus: 'billable' } },
+      { new: true }
+    );
+
+    if (pause) {
+      await enqueueBilling(pause, conversion._id);
+      await enqueueA2ARUpdate({
+        receiptId: conversion._id,
+        date: conversion.eventTimeUtc,
+        publisherId: conversion.publisherId,
+        programTitle: pause.contentTitle || pause.series,
+        campaignId: pause.campaignId,
+        conversion: true,
+        asvSeconds: conversion.asvSeconds,
+        isLive: pause.isLive
+      });
+    }
+
+    res.json({
+      success: true,
+      message: pause ? 'Conversion released and queued for billing' : 'Conversion released; its pause is no longer held so nothing was billed',
+      receipt_id: `rct_${conversion._id}`,
+      billing_status: conversion.billingStatus,
+      billing_queued: !!pause
+    });
+
+  } catch (error) {
+    console.error('Release held conversion error:', error);
+    res.status(500).json({
+      error: 'review_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// POST /v1/admin/events/:receiptId/reject - Reject a held conversion (never billed)
+// =====================
+router.post('/admin/events/:receiptId/reject', auth, requireAdmin, async (req, res) => {
+  try {
+    const conversion = await reviewHeldConversion(req, 'rejected', 'non_billable');
+    if (!conversion) return respondNotHeld(req, res);
+
+    await EventReceipt.updateOne(
+      { _id: conversion.matchedPauseId, matchedConversionId: conversion._id, billingStatus: 'held' },
+      { $set: { billingStatus: 'non_billable', billingReason: 'fraud_rejected' } }
+    );
+
+    const pause = await EventReceipt.findById(conversion.matchedPauseId).select('campaignId').lean();
+    await emitConversionEvent('conversion.non_billable', conversion, pause);
+
+    res.json({
+      success: true,
+      message: 'Conversion rejected',
+      receipt_id: `rct_${conversion._id}`,
+      billing_status: conversion.billingStatus
+    });
+
+  } catch (error) {
+    console.error('Reject held conversion error:', error);
+    res.status(500).json({
+      error: 'review_failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Atomically move a held conversion out of review
+ * @returns {Object|null} The updated conversion, or null if it is not held
+ */
+async function reviewHeldConversion(req, decision, billingStatus) {
+  const note = typeof req.body?.note === 'string' ? req.body.note.slice(0, 500) : undefined;
+
+  return EventReceipt.findOneAndUpdate(
+    {
+      _id: req.params.receiptId.replace('rct_', ''),
+      eventType: 'qr_conversion',
+      billingStatus: 'held'
+    },
+    {
+      $set: {
+        billingStatus,
+        billingReason: decision === 'rejected' ? 'fraud_rejected' : null,
+        fraudReview: {
+          decision,
+          reviewedBy: req.user.id,
+          reviewedAt: new Date(),
+          note
+        }
+      }
+    },
+    { new: true }
+  );
+}
+
+async function respondNotHeld(req, res) {
+  const receipt = await EventReceipt.findById(req.params.receiptId.replace('rct_', '')).select('billingStatus').lean();
+
+  if (!receipt) {
+    return res.status(404).json({
+      error: 'not_found',
+      message: 'Event receipt not found'
+    });
+  }
+
+  return res.status(409).json({
+    error: 'not_held',
+    message: `Receipt is not held for review (billing status: ${receipt.billingStatus})`
+  });
+}
+
+module.exports = router;
@@ -1,209 +1,371 @@
 // src/routes/v1/events.js
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const crypto = require('crypto');
-const mongoose = require('mongoose');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 
 // Models
 const EventReceipt = require('../../models/EventReceipt');
-const PublisherApiKey = require('../../models/PublisherApiKey');
-const IdempotencyCache = require('../../models/IdempotencyCache');
 const A2ARMetric = require('../../models/A2ARMetric');
-const QrCode = require('../../models/QrCode');
-const Wallet = require('../../models/Wallet');
-const WalletTransaction = require('../../models/WalletTransaction');
-const BillingRecord = require('../../models/BillingRecord');
+
+// Middleware
+const {
+  authenticatePublisher,
+  authenticatePixel,
+  authenticatePublisherUser,
+  requireScope
+} = require('../../middleware/publisherAuth');
+const { publisherRateLimit, publisherBatchRateLimit } = require('../../middleware/publisherRateLimit');
+
+// Utils
+const { validateEvent } = require('../../utils/eventValidator');
+const { mapPauseImpression, mapQRConversion, mapLifecycleEvent, getAttributionWindow } = require('../../utils/eventMapping');
+const { enqueueBilling, enqueueA2ARUpdate } = require('../../jobs/eventJobs');
+const { emitConversionEvent } = require('../../jobs/webhookJobs');
+const { voidEventReceipt } = require('../../utils/eventVoid');
+const { evaluateConversion } = require('../../utils/fraudScoring');
+const { getEventStore } = require('../../utils/eventStore');
+const { PIXEL_TOKEN_MAX_TTL_SECONDS, decodePixelQuery, sendPixel } = require('../../utils/pixel');
+const { checkCampaignAuthorization, describeAuthorizationFailure } = require('../../utils/campaignAuthorization');
+
+// Maximum number of events accepted by POST /v1/events/batch
+const MAX_BATCH_SIZE = parseInt(process.env.V1_BATCH_MAX_EVENTS || '100');
+
+// Largest page GET /v1/events returns (NDJSON streaming is not paged)
+const MAX_LIST_PAGE_SIZE = 1000;
+
+// How long an unmatched qr_conversion waits for its pause_impression
+const PENDING_MATCH_WINDOW_MINUTES = parseInt(process.env.PENDING_MATCH_WINDOW_MINUTES || '60');
+
+// =====================
+// Middleware: Check Idempotency
+// =====================
+function checkIdempotency(req, res, next) {
+  const idempotencyKey = req.headers['idempotency-key'];
+  
+  if (!idempotencyKey) {
+    return res.status(400).json({ 
+      error: 'missing_idempotency_key',
+      message: 'Idempotency-Key header is required'
+    });
+  }
+  
+  req.idempotencyKey = idempotencyKey;
+  next();
+}
 
 // =====================
-// Middleware: Authenticate Publisher
+// POST /v1/events - Main endpoint
 // =====================
-async function authenticatePublisher(req, res, next) {
+router.post('/events', authenticatePublisher, requireScope('events:write'), publisherRateLimit, checkIdempotency, async (req, res) => {
   try {
-    // Option 1: API Key Authentication (Bearer token)
-    const authHeader = req.headers.authorization;
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      const apiKey = authHeader.substring(7);
-      
-      const publisher = await PublisherApiKey.findByApiKey(apiKey);
-      
-      if (!publisher) {
-        return res.status(401).json({ 
-          error: 'invalid_credentials',
-          message: 'Invalid or inactive API key'
-        });
-      }
-      
-      req.publisher = publisher;
-      
-      // Update usage stats (non-blocking)
-      publisher.recordUsage().catch(err => console.error('Usage recording error:', err));
-      
-      return next();
-    }
-    
-    // Option 2: Signed Webhook Authentication
-    const timestamp = req.headers['x-ipause-timestamp'];
-    const signature = req.headers['x-ipause-signature'];
+    const result = await processIdempotentEvent(req.body, {
+      publisher: req.publisher,
+      apiKey: req.apiKey,
+      idempotencyKey: req.idempotencyKey
+    }, getEventStore(req));
+    return res.status(result.statusCode).json(result.body);
     
-    if (timestamp && signature) {
-      const publisherId = req.body.publisher?.publisher_id;
-      
-      if (!publisherId) {
-        return res.status(400).json({ 
-          error: 'missing_publisher_id',
-          message: 'publisher.publisher_id is required for signed requests'
-        });
-      }
-      
-      const publisher = await PublisherApiKey.findOne({ 
-        publisherId, 
-        status: 'active' 
-      });
-      
-      if (!publisher) {
-        return res.status(401).json({ 
-          error: 'publisher_not_found',
-          message: 'Publisher not found or inactive'
-        });
-      }
-      
-      // Verify signature
-      const rawBody = JSON.stringify(req.body);
-      const isValid = publisher.verifySignature(timestamp, rawBody, signature);
-      
-      if (!isValid) {
-        return res.status(401).json({ 
-          error: 'invalid_signature',
-          message: 'Webhook signature verification failed'
-        });
+  } catch (error) {
+    console.error('Event processing error:', error);
+    return res.status(500).json({ 
+      error: 'processing_failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Process an event at most once per (publisher, idempotency key)
+ * A repeated key returns the cached response if the body matches, 409 if it differs,
+ * and 409 while the first request with that key is still being processed.
+ * @param {Object} source - { publisher, apiKey (named PublisherKey or null), idempotencyKey }
+ * @param {Object} store - Live or sandbox models, from getEventStore
+ * @returns {Object} { statusCode, body, replayed }
+ */
+async function processIdempotentEvent(payload, { publisher, apiKey = null, idempotencyKey }, store) {
+  const { IdempotencyCache } = store;
+  const { publisherId } = publisher;
+  const claim = await IdempotencyCache.claim(publisherId, idempotencyKey, IdempotencyCache.hashRequest(payload));
+  
+  if (claim.status === 'completed') {
+    return { statusCode: 200, body: claim.response, replayed: true };
+  }
+  
+  if (claim.status === 'conflict') {
+    return {
+      statusCode: 409,
+      body: {
+        error: 'idempotency_key_conflict',
+        message: 'This Idempotency-Key was already used with a different request body'
       }
-      
-      // Check timestamp freshness (within 5 minutes)
-      const now = Math.floor(Date.now() / 1000);
-      if (Math.abs(now - parseInt(timestamp)) > 300) {
-        return res.status(401).json({ 
-          error: 'timestamp_expired',
-          message: 'Request timestamp is too old (>5 minutes)'
-        });
+    };
+  }
+  
+  if (claim.status === 'in_progress') {
+    return {
+      statusCode: 409,
+      body: {
+        error: 'request_in_progress',
+        message: 'A request with this Idempotency-Key is still being processed; retry shortly'
       }
-      
-      req.publisher = publisher;
-      publisher.recordUsage().catch(err => console.error('Usage recording error:', err));
-      
-      return next();
+    };
+  }
+  
+  let result;
+  try {
+    result = await processEvent(payload, { publisher, apiKey, idempotencyKey }, store);
+  } catch (error) {
+    await IdempotencyCache.release(publisherId, idempotencyKey);
+    throw error;
+  }
+  
+  // Cache receipts; release the key on errors so a corrected request can reuse it
+  if (result.statusCode < 300 && result.body.status !== 'duplicate') {
+    await IdempotencyCache.cacheResponse(publisherId, idempotencyKey, result.body.receipt_id, result.body);
+  } else {
+    await IdempotencyCache.release(publisherId, idempotencyKey);
+  }
+  
+  return { ...result, replayed: false };
+}
+
+// =====================
+// Middleware: Check Batch Shape
+// Runs before the rate limiter, which charges one token per event
+// =====================
+function checkBatch(req, res, next) {
+  const { events } = req.body || {};
+  
+  if (!Array.isArray(events) || events.length === 0) {
+    return res.status(400).json({ 
+      error: 'invalid_batch',
+      message: 'events must be a non-empty array of { idempotency_key, event } items'
+    });
+  }
+  
+  if (events.length > MAX_BATCH_SIZE) {
+    return res.status(413).json({ 
+      error: 'batch_too_large',
+      message: `A batch may contain at most ${MAX_BATCH_SIZE} events`,
+      max_batch_size: MAX_BATCH_SIZE
+    });
+  }
+  
+  next();
+}
+
+// =====================
+// POST /v1/events/batch - Batch ingestion
+// =====================
+router.post('/events/batch', authenticatePublisher, requireScope('events:write'), checkBatch, publisherBatchRateLimit, async (req, res) => {
+  try {
+    const { events } = req.body;
+    
+    // Pauses first so conversions in the same batch can match them
+    const order = events
+      .map((item, index) => ({ item, index }))
+      .sort((a, b) => batchPriority(a.item) - batchPriority(b.item));
+    
+    const results = new Array(events.length);
+    
+    for (const { item, index } of order) {
+      results[index] = await processBatchItem(item, index, req, getEventStore(req));
     }
     
-    return res.status(401).json({ 
-      error: 'authentication_required',
-      message: 'Provide either Authorization header (Bearer token) or signed webhook headers (x-ipause-timestamp, x-ipause-signature)'
+    const summary = { accepted: 0, duplicate: 0, rejected: 0 };
+    results.forEach(r => { summary[r.status] += 1; });
+    
+    return res.status(200).json({
+      received: events.length,
+      ...summary,
+      results,
+      ingested_at: new Date().toISOString()
     });
     
   } catch (error) {
-    console.error('Authentication error:', error);
+    console.error('Batch processing error:', error);
     return res.status(500).json({ 
-      error: 'authentication_failed',
-      message: 'Internal authentication error'
+      error: 'processing_failed',
+      message: error.message
     });
   }
+});
+
+/**
+ * Process a single batch item and map it to a per-item result
+ */
+async function processBatchItem(item, index, { publisher, apiKey }, store) {
+  const idempotencyKey = item?.idempotency_key;
+  const event = item?.event;
+  const result = {
+    index,
+    idempotency_key: idempotencyKey || null,
+    event_id: event?.event_id || null
+  };
+  
+  if (!idempotencyKey) {
+    return { ...result, status: 'rejected', error: 'missing_idempotency_key', message: 'idempotency_key is required for every batch item' };
+  }
+  
+  if (!event || typeof event !== 'object') {
+    return { ...result, status: 'rejected', error: 'missing_event', message: 'event object is required for every batch item' };
+  }
+  
+  try {
+    const { statusCode, body, replayed } = await processIdempotentEvent(event, { publisher, apiKey, idempotencyKey }, store);
+    
+    if (replayed) {
+      return { ...result, status: 'duplicate', receipt_id: body.receipt_id };
+    }
+    
+    if (statusCode >= 400) {
+      const { error, message, errors } = body;
+      return { ...result, status: 'rejected', error, message, ...(errors && { errors }) };
+    }
+    
+    return { ...result, ...body, status: body.status === 'duplicate' ? 'duplicate' : 'accepted' };
+    
+  } catch (error) {
+    console.error('Batch item processing error:', error);
+    return { ...result, status: 'rejected', error: 'processing_failed', message: error.message };
+  }
+}
+
+/**
+ * Sort key for batch items: pause impressions before everything else
+ */
+function batchPriority(item) {
+  return item?.event?.event_type === 'pause_impression' ? 0 : 1;
 }
 
 // =====================
-// Middleware: Check Idempotency
+// GET /v1/px/pause.gif - Pause impression as an image beacon
+// For players that can only fire GET requests. Authenticated by a pixel token, not an API key;
+// the outcome is reported in X-iPause-* headers and the body is always a 1x1 GIF.
 // =====================
-async function checkIdempotency(req, res, next) {
+router.get('/px/pause.gif', authenticatePixel, publisherRateLimit, async (req, res) => {
   try {
-    const idempotencyKey = req.headers['idempotency-key'];
-    
-    if (!idempotencyKey) {
-      return res.status(400).json({ 
-        error: 'missing_idempotency_key',
-        message: 'Idempotency-Key header is required'
-      });
-    }
+    const payload = decodePixelQuery(req.query, req.publisher);
     
-    // Check if already processed
-    const cachedResponse = await IdempotencyCache.checkDuplicate(idempotencyKey);
+    const { statusCode, body, replayed } = await processIdempotentEvent(payload, {
+      publisher: req.publisher,
+      idempotencyKey: `px_${payload.event_id}`
+    }, getEventStore(req));
     
-    if (cachedResponse) {
-      // Return cached response (duplicate request)
-      return res.status(200).json(cachedResponse);
+    if (statusCode >= 400) {
+      return sendPixel(res, statusCode, { 'X-iPause-Error': body.error });
     }
     
-    req.idempotencyKey = idempotencyKey;
-    next();
+    return sendPixel(res, 200, {
+      'X-iPause-Status': replayed ? 'duplicate' : body.status,
+      'X-iPause-Receipt-Id': body.receipt_id
+    });
     
   } catch (error) {
-    console.error('Idempotency check error:', error);
-    return res.status(500).json({ 
-      error: 'idempotency_check_failed',
-      message: 'Failed to check idempotency'
-    });
+    console.error('Pixel processing error:', error);
+    return sendPixel(res, 500, { 'X-iPause-Error': 'processing_failed' });
   }
-}
+});
 
 // =====================
-// POST /v1/events - Main endpoint
+// POST /v1/px/token - Mint a pixel token for one pause opportunity
+// Publishers can also compute tokens themselves from their webhook secret (see docs).
 // =====================
-router.post('/events', authenticatePublisher, checkIdempotency, async (req, res) => {
+router.post('/px/token', authenticatePublisher, requireScope('events:write'), publisherRateLimit, async (req, res) => {
   try {
-    const eventType = req.body.event_type;
+    if (req.sandbox) {
+      return res.status(403).json({
+        error: 'live_key_required',
+        message: 'Pixel ingestion is live only; use your live API key'
+      });
+    }
+    
+    const { ipause_opportunity_id, ttl_seconds = 900 } = req.body || {};
     
-    // Validate event_type
-    if (!eventType || !['pause_impression', 'qr_conversion'].includes(eventType)) {
-      return res.status(400).json({ 
-        error: 'invalid_event_type',
-        message: 'event_type must be "pause_impression" or "qr_conversion"'
+    if (typeof ipause_opportunity_id !== 'string' || !ipause_opportunity_id) {
+      return res.status(400).json({
+        error: 'missing_opportunity_id',
+        message: 'ipause_opportunity_id is required'
       });
     }
     
-    // Route to appropriate handler
-    if (eventType === 'pause_impression') {
-      return await handlePauseImpression(req, res);
-    } else if (eventType === 'qr_conversion') {
-      return await handleQRConversion(req, res);
+    const ttlSeconds = parseInt(ttl_seconds);
+    if (Number.isNaN(ttlSeconds) || ttlSeconds < 1 || ttlSeconds > PIXEL_TOKEN_MAX_TTL_SECONDS) {
+      return res.status(400).json({
+        error: 'invalid_ttl',
+        message: `ttl_seconds must be between 1 and ${PIXEL_TOKEN_MAX_TTL_SECONDS}`
+      });
     }
     
+    const expiresAt = new Date(Date.now() + ttlSeconds * 1000);
+    
+    res.json({
+      token: req.publisher.signPixelToken(ipause_opportunity_id, expiresAt),
+      ipause_opportunity_id,
+      expires_at: new Date(Math.floor(expiresAt.getTime() / 1000) * 1000).toISOString()
+    });
+    
   } catch (error) {
-    console.error('Event processing error:', error);
-    return res.status(500).json({ 
-      error: 'processing_failed',
+    console.error('Pixel token error:', error);
+    res.status(500).json({
+      error: 'token_failed',
       message: error.message
     });
   }
 });
 
+// =====================
+// Dispatch an event payload to its handler
+// =====================
+async function processEvent(payload, { publisher, apiKey = null, idempotencyKey }, store) {
+  // Validate against the schema for event_type + event_version
+  const validation = validateEvent(payload);
+  
+  if (!validation.valid) {
+    const { valid, ...body } = validation;
+    return { statusCode: 400, body };
+  }
+  
+  // Receipts, campaign authorization and billing all follow publisher.publisher_id,
+  // so a key may only send events for its own publisher
+  if (payload.publisher.publisher_id !== publisher.publisherId) {
+    return {
+      statusCode: 403,
+      body: {
+        error: 'publisher_mismatch',
+        message: `publisher.publisher_id must be ${publisher.publisherId}, the publisher this key belongs to`
+      }
+    };
+  }
+  
+  // Stored on the receipt so every event can be traced to the key that sent it
+  const source = { idempotencyKey, apiKeyId: apiKey ? apiKey._id : null };
+  
+  // Route to appropriate handler
+  if (validation.eventType === 'pause_impression') {
+    return handlePauseImpression(payload, source, store, publisher);
+  }
+  if (validation.eventType === 'qr_conversion') {
+    return handleQRConversion(payload, source, store);
+  }
+  return handleLifecycleEvent(payload, source, store);
+}
+
 // =====================
 // Handler: Pause Impression
 // =====================
-async function handlePauseImpression(req, res) {
+async function handlePauseImpression(payload, { idempotencyKey, apiKeyId }, store, publisherAccount) {
+  const { EventReceipt } = store;
   const {
     event_id,
-    event_version = '1.0',
     event_time_utc,
     publisher,
-    session,
     content,
-    playback,
-    ad,
-    device,
-    geo,
-    qr_appeared_at  // NEW: When QR code displayed on screen
-  } = req.body;
-  
-  // Validate required fields
-  if (!event_id || !event_time_utc || !publisher || !session || !content || !ad) {
-    return res.status(400).json({ 
-      error: 'missing_required_fields',
-      required: ['event_id', 'event_time_utc', 'publisher', 'session', 'content', 'ad']
-    });
-  }
-  
-  if (!session.ipause_opportunity_id) {
-    return res.status(400).json({ 
-      error: 'missing_opportunity_id',
-      message: 'session.ipause_opportunity_id is required'
-    });
-  }
+    ad
+  } = payload;
   
   try {
     // Check for duplicate event_id
@@ -215,55 +377,66 @@ async function handlePauseImpression(req, res) {
         receipt_id: `rct_${existing._id}`,
         message: 'Event already processed'
       };
-      return res.status(200).json(response);
+      return { statusCode: 200, body: response };
+    }
+    
+    // The publisher must be authorized for the campaign at event time
+    // (sandbox traffic and impressions without a campaign, which can't bill, are not checked)
+    const authorization = store.sandbox || !ad.campaign_id
+      ? null
+      : checkCampaignAuthorization(publisherAccount, ad.campaign_id, new Date(event_time_utc));
+    const unauthorized = authorization && !authorization.authorized;
+    
+    if (unauthorized && authorization.mode === 'reject') {
+      return {
+        statusCode: 403,
+        body: {
+          error: 'campaign_not_authorized',
+          message: describeAuthorizationFailure(ad.campaign_id, authorization.reason),
+          campaign_id: ad.campaign_id,
+          reason: authorization.reason
+        }
+      };
     }
     
-    // Create pause impression receipt
+    // Create pause impression receipt (quarantined if the campaign isn't authorized)
     const receipt = await EventReceipt.create({
-      eventId: event_id,
-      eventType: 'pause_impression',
-      eventVersion: event_version,
-      eventTimeUtc: new Date(event_time_utc),
-      ipauseOpportunityId: session.ipause_opportunity_id,
-      publisherId: publisher.publisher_id,
-      publisherName: publisher.publisher_name,
-      appId: publisher.app_id,
-      supplyType: publisher.supply_type,
-      sessionId: session.session_id,
-      contentSessionId: session.content_session_id,
-      contentId: content.content_id,
-      contentTitle: content.title,
-      series: content.series,
-      season: content.season,
-      episode: content.episode,
-      genre: content.genre || [],
-      rating: content.rating,
-      pauseTimestampMs: playback?.pause_timestamp_ms,
-      isLive: playback?.is_live || false,
-      ipauseAdId: ad.ipause_ad_id,
-      campaignId: ad.campaign_id,
-      brand: ad.brand,
-      creativeId: ad.creative_id,
-      qrEnabled: ad.qr_enabled || false,
-      deviceType: device?.device_type,
-      os: device?.os,
-      country: geo?.country,
-      region: geo?.region,
-      qrAppearedAt: qr_appeared_at ? new Date(qr_appeared_at) : new Date(event_time_utc),  // NEW: QR appearance time
-      rawPayload: req.body,
-      idempotencyKey: req.idempotencyKey,
-      billingStatus: 'pending'
+      ...mapPauseImpression(payload),
+      rawPayload: payload,
+      idempotencyKey,
+      apiKeyId,
+      billingStatus: 'pending',
+      campaignAuthorized: !unauthorized
     });
     
     const receiptId = `rct_${receipt._id}`;
     
-    // Update A2AR metrics (pause opportunity)
-    await updateA2ARMetrics({
-      date: new Date(event_time_utc),
-      publisherId: publisher.publisher_id,
-      programTitle: content.title || content.series,
-      campaignId: ad.campaign_id,
-      pauseOpportunity: true
+    if (unauthorized) {
+      console.warn(`Pause ${receipt._id} quarantined: ${publisherAccount.publisherId} not authorized for campaign ${ad.campaign_id} (${authorization.reason})`);
+    }
+    
+    // Queue A2AR metrics update (pause opportunity)
+    if (!store.sandbox && !unauthorized) {
+      await enqueueA2ARUpdate({
+        receiptId: receipt._id,
+        date: new Date(event_time_utc),
+        publisherId: publisher.publisher_id,
+        programTitle: content.title || content.series,
+        campaignId: ad.campaign_id,
+        pauseOpportunity: true,
+        isLive: receipt.isLive
+      });
+    }
+    
+    // Apply lifecycle events (qr_displayed, pause_resumed, ...) that arrived before this pause
+    await reconcilePendingLifecycleEvents(receipt, store).catch(err => {
+      console.error('Pending lifecycle reconcile error:', err);
+    });
+    
+    // Match any conversion that arrived before this pause
+    const reconciled = await reconcilePendingConversions(receipt, store).catch(err => {
+      console.error('Pending conversion reconcile error:', err);
+      return null;
     });
     
     // Prepare response
@@ -273,47 +446,40 @@ async function handlePauseImpression(req, res) {
       ingested_at: new Date().toISOString()
     };
     
-    // Cache response for idempotency
-    await IdempotencyCache.cacheResponse(req.idempotencyKey, receiptId, response);
+    if (reconciled) {
+      response.matched_conversion_id = `rct_${reconciled._id}`;
+    }
+    
+    if (unauthorized) {
+      response.campaign_authorized = false;
+      response.quarantine_reason = authorization.reason;
+      response.message = `${describeAuthorizationFailure(ad.campaign_id, authorization.reason)}; the impression is stored but will not be counted or billed`;
+    }
     
-    return res.status(200).json(response);
+    return { statusCode: 200, body: response };
     
   } catch (error) {
     console.error('Pause impression error:', error);
-    return res.status(500).json({ 
-      error: 'processing_failed',
-      message: error.message
-    });
+    return {
+      statusCode: 500,
+      body: { 
+        error: 'processing_failed',
+        message: error.message
+      }
+    };
   }
 }
 
 // =====================
 // Handler: QR Conversion
 // =====================
-async function handleQRConversion(req, res) {
+async function handleQRConversion(payload, { idempotencyKey, apiKeyId }, store) {
+  const { EventReceipt } = store;
   const {
     event_id,
-    event_version = '1.0',
     event_time_utc,
-    publisher,
-    session,
-    conversion
-  } = req.body;
-  
-  // Validate required fields
-  if (!event_id || !event_time_utc || !publisher || !session || !conversion) {
-    return res.status(400).json({ 
-      error: 'missing_required_fields',
-      required: ['event_id', 'event_time_utc', 'publisher', 'session', 'conversion']
-    });
-  }
-  
-  if (!session.ipause_opportunity_id) {
-    return res.status(400).json({ 
-      error: 'missing_opportunity_id',
-      message: 'session.ipause_opportunity_id is required'
-    });
-  }
+    session
+  } = payload;
   
   try {
     // Check for duplicate event_id
@@ -325,230 +491,399 @@ async function handleQRConversion(req, res) {
         receipt_id: `rct_${existing._id}`,
         message: 'Event already processed'
       };
-      return res.status(200).json(response);
+      return { statusCode: 200, body: response };
     }
     
     // Find matching pause impression
     const pauseEvent = await EventReceipt.findMatchingPause(session.ipause_opportunity_id);
     
-    if (!pauseEvent) {
-      return res.status(404).json({ 
-        error: 'pause_not_found',
-        message: 'No matching pause_impression found for this ipause_opportunity_id'
-      });
+    // A scan cannot happen before the pause that displayed the QR code
+    if (pauseEvent && new Date(event_time_utc) < pauseEvent.eventTimeUtc) {
+      return {
+        statusCode: 400,
+        body: {
+          error: 'conversion_before_pause',
+          message: 'event_time_utc is earlier than the matching pause_impression',
+          matched_pause_id: `rct_${pauseEvent._id}`,
+          pause_event_time_utc: pauseEvent.eventTimeUtc.toISOString()
+        }
+      };
     }
     
-    // Calculate ASV (Attention Scan Velocity)
-    const asvData = A2ARMetric.calculateASV(pauseEvent.qrAppearedAt, event_time_utc);
-    
-    // Create conversion receipt with ASV data
+    // Create conversion receipt (held as pending if the pause hasn't arrived yet)
     const receipt = await EventReceipt.create({
-      eventId: event_id,
-      eventType: 'qr_conversion',
-      eventVersion: event_version,
-      eventTimeUtc: new Date(event_time_utc),
-      ipauseOpportunityId: session.ipause_opportunity_id,
-      publisherId: publisher.publisher_id,
-      conversionType: conversion.conversion_type,
-      conversionResult: conversion.result,
-      qrDestinationId: conversion.qr_destination_id,
-      qrScannedAt: new Date(event_time_utc),
-      asvSeconds: asvData.asvSeconds,
-      asvTier: asvData.asvTier,
-      asvLabel: asvData.asvLabel,
-      rawPayload: req.body,
-      idempotencyKey: req.idempotencyKey,
-      matchedPauseId: pauseEvent._id,
-      billingStatus: conversion.result === 'success' ? 'billable' : 'non_billable'
+      ...mapQRConversion(payload),
+      rawPayload: payload,
+      idempotencyKey,
+      apiKeyId,
+      matchStatus: pauseEvent ? 'matched' : 'pending',
+      matchExpiresAt: pauseEvent ? undefined : new Date(Date.now() + PENDING_MATCH_WINDOW_MINUTES * 60 * 1000),
+      billingStatus: 'pending'
     });
     
     const receiptId = `rct_${receipt._id}`;
     
-    // Link conversion to pause impression and update ASV data
-    pauseEvent.matchedConversionId = receipt._id;
-    pauseEvent.billingStatus = conversion.result === 'success' ? 'billable' : 'non_billable';
-    pauseEvent.qrScannedAt = new Date(event_time_utc);
-    pauseEvent.asvSeconds = asvData.asvSeconds;
-    pauseEvent.asvTier = asvData.asvTier;
-    pauseEvent.asvLabel = asvData.asvLabel;
-    await pauseEvent.save();
-    
-    // If successful conversion, process billing
-    if (conversion.result === 'success') {
-      await processBilling(pauseEvent, receipt._id);
+    if (!pauseEvent) {
+      const response = {
+        status: 'accepted',
+        receipt_id: receiptId,
+        ingested_at: new Date().toISOString(),
+        match_status: 'pending',
+        match_expires_at: receipt.matchExpiresAt.toISOString(),
+        message: 'No matching pause_impression yet; conversion will be matched when it arrives'
+      };
+      
+      return { statusCode: 202, body: response };
     }
     
-    // Update A2AR metrics (conversion) with ASV data
-    await updateA2ARMetrics({
-      date: new Date(event_time_utc),
-      publisherId: publisher.publisher_id,
-      programTitle: pauseEvent.contentTitle || pauseEvent.series,
-      campaignId: pauseEvent.campaignId,
-      conversion: conversion.result === 'success',
-      asvSeconds: asvData.asvSeconds
-    });
+    const match = await matchConversion(receipt, pauseEvent, store);
     
-    // Prepare response with ASV data
+    // Prepare response with ASV and attribution data
     const response = {
       status: 'accepted',
       receipt_id: receiptId,
       ingested_at: new Date().toISOString(),
+      match_status: 'matched',
       matched_pause_id: `rct_${pauseEvent._id}`,
-      asv: asvData
+      billing_status: match.billingStatus,
+      billing_reason: match.billingReason,
+      attribution_window_minutes: match.attributionWindowMinutes,
+      asv: match.asv
     };
     
-    // Cache response for idempotency
-    await IdempotencyCache.cacheResponse(req.idempotencyKey, receiptId, response);
-    
-    return res.status(200).json(response);
+    return { statusCode: 200, body: response };
     
   } catch (error) {
     console.error('QR conversion error:', error);
-    return res.status(500).json({ 
-      error: 'processing_failed',
-      message: error.message
-    });
+    return {
+      statusCode: 500,
+      body: { 
+        error: 'processing_failed',
+        message: error.message
+      }
+    };
   }
 }
 
 // =====================
-// Process billing for successful conversion
+// Handler: Pause Lifecycle (qr_displayed, pause_resumed, pause_abandoned)
 // =====================
-async function processBilling(pauseEvent, conversionId) {
-  const session = await mongoose.startSession();
-  session.startTransaction();
+async function handleLifecycleEvent(payload, { idempotencyKey, apiKeyId }, store) {
+  const { EventReceipt } = store;
+  const {
+    event_id,
+    session
+  } = payload;
   
   try {
-    // Get campaign/QR code details to find advertiser
-    const qrCode = await QrCode.findOne({ id: pauseEvent.campaignId });
-    
-    if (!qrCode) {
-      console.warn('Campaign/QR code not found:', pauseEvent.campaignId);
-      await session.abortTransaction();
-      session.endSession();
-      return;
-    }
-    
-    const advertiserId = qrCode.advertiser;
-    const conversionFee = qrCode.conversionFee || 5.00;
-    const publisherShare = qrCode.publisherShare || (conversionFee * 0.6);
-    const ipauseCut = conversionFee - publisherShare;
-    
-    // Get advertiser's wallet
-    let wallet = await Wallet.findOne({ user: advertiserId }).session(session);
-    
-    if (!wallet) {
-      // Create wallet if doesn't exist
-      wallet = await Wallet.create([{
-        user: advertiserId,
-        balance: 0
-      }], { session });
-      wallet = wallet[0];
-    }
-    
-    if (wallet.balance < conversionFee) {
-      console.warn('Insufficient wallet balance for advertiser:', advertiserId);
-      await EventReceipt.findByIdAndUpdate(pauseEvent._id, { billingStatus: 'non_billable' });
-      await session.abortTransaction();
-      session.endSession();
-      return;
-    }
-    
-    const balanceBefore = wallet.balance;
-    const balanceAfter = balanceBefore - conversionFee;
-    
-    // Deduct from wallet
-    wallet.balance = balanceAfter;
-    await wallet.save({ session });
-    
-    // Record wallet transaction
-    await WalletTransaction.create([{
-      wallet: wallet._id,
-      type: 'conversion_fee',
-      amount: -conversionFee,
-      balanceBefore,
-      balanceAfter,
-      description: `Conversion from ${pauseEvent.contentTitle} (${pauseEvent.publisherName})`,
-      referenceId: conversionId,
-      referenceType: 'event_receipt'
-    }], { session });
-    
-    // Create billing record
-    await BillingRecord.create([{
-      user: advertiserId,
-      scan: conversionId,
-      qrCodeId: pauseEvent.campaignId,
-      publisher: pauseEvent.publisherName,
-      creativeId: pauseEvent.creativeId,
-      conversionFee,
-      publisherShare,
-      ipauseCut,
-      verified: true,
-      billedAt: new Date()
-    }], { session });
-    
-    // Mark pause event as billed
-    await EventReceipt.findByIdAndUpdate(pauseEvent._id, { billingStatus: 'billed' }, { session });
-    
-    await session.commitTransaction();
-    session.endSession();
-    
-    console.log(`Billing processed: $${conversionFee} charged for opportunity ${pauseEvent.ipauseOpportunityId}`);
+    // Check for duplicate event_id
+    const existing = await EventReceipt.findOne({ eventId: event_id });
+    
+    if (existing) {
+      const response = {
+        status: 'duplicate',
+        receipt_id: `rct_${existing._id}`,
+        message: 'Event already processed'
+      };
+      return { statusCode: 200, body: response };
+    }
+    
+    const pauseEvent = await EventReceipt.findMatchingPause(session.ipause_opportunity_id);
+    
+    // Lifecycle events are never billed; held as pending if the pause hasn't arrived yet
+    const receipt = await EventReceipt.create({
+      ...mapLifecycleEvent(payload),
+      rawPayload: payload,
+      idempotencyKey,
+      apiKeyId,
+      matchStatus: pauseEvent ? 'matched' : 'pending',
+      matchExpiresAt: pauseEvent ? undefined : new Date(Date.now() + PENDING_MATCH_WINDOW_MINUTES * 60 * 1000),
+      billingStatus: 'non_billable'
+    });
+    
+    const receiptId = `rct_${receipt._id}`;
+    
+    const response = {
+      status: 'accepted',
+      receipt_id: receiptId,
+      ingested_at: new Date().toISOString(),
+      match_status: pauseEvent ? 'matched' : 'pending'
+    };
+    
+    if (pauseEvent) {
+      await applyLifecycleEvent(receipt, pauseEvent, store);
+      response.matched_pause_id = `rct_${pauseEvent._id}`;
+      response.qr_appeared_at = pauseEvent.qrAppearedAt;
+      response.dwell_seconds = pauseEvent.dwellSeconds ?? null;
+    } else {
+      response.match_expires_at = receipt.matchExpiresAt.toISOString();
+    }
+    
+    return { statusCode: pauseEvent ? 200 : 202, body: response };
     
   } catch (error) {
-    await session.abortTransaction();
-    session.endSession();
-    console.error('Billing processing error:', error);
+    console.error('Lifecycle event error:', error);
+    return {
+      statusCode: 500,
+      body: { 
+        error: 'processing_failed',
+        message: error.message
+      }
+    };
   }
 }
 
 // =====================
-// Update A2AR metrics
+// Apply a lifecycle event to its pause impression
 // =====================
-async function updateA2ARMetrics({ date, publisherId, programTitle, campaignId, pauseOpportunity, conversion, asvSeconds = null }) {
-  try {
-    // Try to find advertiser from campaign
-    let advertiserId = null;
-    if (campaignId) {
-      const qrCode = await QrCode.findOne({ id: campaignId });
-      if (qrCode) {
-        advertiserId = qrCode.advertiser;
+async function applyLifecycleEvent(lifecycleReceipt, pauseEvent, store) {
+  const { EventReceipt } = store;
+  let dwellSeconds = null;
+  
+  if (lifecycleReceipt.eventType === 'qr_displayed') {
+    // The display event is the source of truth for when the QR appeared
+    pauseEvent.qrAppearedAt = lifecycleReceipt.eventTimeUtc;
+    pauseEvent.qrDisplayedEventId = lifecycleReceipt._id;
+    
+    // Re-derive ASV if the conversion was already matched
+    if (pauseEvent.matchedConversionId) {
+      const conversionReceipt = await EventReceipt.findById(pauseEvent.matchedConversionId);
+      if (conversionReceipt) {
+        const asvData = A2ARMetric.calculateASV(pauseEvent.qrAppearedAt, conversionReceipt.eventTimeUtc);
+        Object.assign(conversionReceipt, asvData);
+        Object.assign(pauseEvent, asvData);
+        await conversionReceipt.save();
       }
     }
+  } else if (!pauseEvent.pauseEndedAt) {
+    // First resume/abandon ends the pause; later ones are linked but ignored
+    const elapsedMs = lifecycleReceipt.eventTimeUtc.getTime() - pauseEvent.eventTimeUtc.getTime();
+    dwellSeconds = Math.round(Math.max(0, elapsedMs) / 10) / 100;
     
-    if (!advertiserId) {
-      console.warn('No advertiser found for campaign:', campaignId);
-      return;
+    pauseEvent.pauseEndedAt = lifecycleReceipt.eventTimeUtc;
+    pauseEvent.pauseEndReason = lifecycleReceipt.eventType === 'pause_resumed' ? 'resumed' : 'abandoned';
+    pauseEvent.dwellSeconds = dwellSeconds;
+    lifecycleReceipt.dwellSeconds = dwellSeconds;
+  }
+  
+  lifecycleReceipt.matchedPauseId = pauseEvent._id;
+  lifecycleReceipt.matchStatus = 'matched';
+  lifecycleReceipt.matchedAt = new Date();
+  await lifecycleReceipt.save();
+  await pauseEvent.save();
+  
+  if (dwellSeconds !== null && !store.sandbox && pauseEvent.campaignAuthorized !== false) {
+    await enqueueA2ARUpdate({
+      receiptId: pauseEvent._id,
+      date: pauseEvent.eventTimeUtc,
+      publisherId: pauseEvent.publisherId,
+      programTitle: pauseEvent.contentTitle || pauseEvent.series,
+      campaignId: pauseEvent.campaignId,
+      dwellSeconds
+    });
+  }
+}
+
+// =====================
+// Apply lifecycle events that arrived before their pause impression
+// =====================
+async function reconcilePendingLifecycleEvents(pauseEvent, store) {
+  const { EventReceipt } = store;
+  const pending = await EventReceipt.findPendingLifecycleEvents(pauseEvent.ipauseOpportunityId);
+  
+  for (const candidate of pending) {
+    const claimed = await EventReceipt.findOneAndUpdate(
+      { _id: candidate._id, matchStatus: 'pending' },
+      { $set: { matchStatus: 'matched' } },
+      { new: true }
+    );
+    
+    if (claimed) {
+      await applyLifecycleEvent(claimed, pauseEvent, store);
+    }
+  }
+}
+
+// =====================
+// Match a conversion receipt to its pause impression
+// =====================
+async function matchConversion(conversionReceipt, pauseEvent, store) {
+  const attributionWindowMinutes = await getAttributionWindow(pauseEvent.campaignId);
+  const elapsedMs = conversionReceipt.eventTimeUtc - pauseEvent.eventTimeUtc;
+  
+  conversionReceipt.attributionWindowMinutes = attributionWindowMinutes;
+  
+  // Too late to attribute: keep the record, but don't link, bill or count it
+  if (elapsedMs > attributionWindowMinutes * 60 * 1000) {
+    conversionReceipt.matchedPauseId = pauseEvent._id;
+    conversionReceipt.matchStatus = 'matched';
+    conversionReceipt.matchedAt = new Date();
+    conversionReceipt.billingStatus = 'non_billable';
+    conversionReceipt.billingReason = 'outside_attribution_window';
+    await conversionReceipt.save();
+    
+    if (!store.sandbox) {
+      await emitConversionEvent('conversion.non_billable', conversionReceipt, pauseEvent);
     }
     
-    await A2ARMetric.updateMetrics({
-      date,
-      advertiser: advertiserId,
-      publisher: publisherId,
-      programTitle: programTitle || 'Unknown',
-      pauseOpportunity: !!pauseOpportunity,
-      conversion: !!conversion,
-      asvSeconds: asvSeconds
+    return {
+      billingStatus: 'non_billable',
+      billingReason: 'outside_attribution_window',
+      attributionWindowMinutes,
+      asv: null
+    };
+  }
+  
+  // Quarantined pause (campaign not authorized): keep the link, but don't bill or count it
+  if (pauseEvent.campaignAuthorized === false) {
+    conversionReceipt.matchedPauseId = pauseEvent._id;
+    conversionReceipt.matchStatus = 'matched';
+    conversionReceipt.matchedAt = new Date();
+    conversionReceipt.billingStatus = 'non_billable';
+    conversionReceipt.billingReason = 'campaign_not_authorized';
+    await conversionReceipt.save();
+    
+    pauseEvent.matchedConversionId = conversionReceipt._id;
+    pauseEvent.billingStatus = 'non_billable';
+    pauseEvent.billingReason = 'campaign_not_authorized';
+    await pauseEvent.save();
+    
+    if (!store.sandbox) {
+      await emitConversionEvent('conversion.non_billable', conversionReceipt, pauseEvent);
+    }
+    
+    return {
+      billingStatus: 'non_billable',
+      billingReason: 'campaign_not_authorized',
+      attributionWindowMinutes,
+      asv: null
+    };
+  }
+  
+  const isSuccess = conversionReceipt.conversionResult === 'success';
+  
+  // Calculate ASV (Attention Scan Velocity)
+  const asvData = A2ARMetric.calculateASV(pauseEvent.qrAppearedAt, conversionReceipt.eventTimeUtc);
+  
+  // Score successful conversions before billing; suspicious ones are held for review
+  const fraud = isSuccess ? await evaluateConversion(conversionReceipt, pauseEvent, asvData.asvSeconds, store.EventReceipt) : null;
+  const held = !!fraud?.hold;
+  const billingStatus = isSuccess ? (held ? 'held' : 'billable') : 'non_billable';
+  
+  conversionReceipt.asvSeconds = asvData.asvSeconds;
+  conversionReceipt.asvTier = asvData.asvTier;
+  conversionReceipt.asvLabel = asvData.asvLabel;
+  conversionReceipt.matchedPauseId = pauseEvent._id;
+  conversionReceipt.matchStatus = 'matched';
+  conversionReceipt.matchedAt = new Date();
+  conversionReceipt.billingStatus = billingStatus;
+  if (fraud) {
+    conversionReceipt.fraudScore = fraud.score;
+    conversionReceipt.fraudReasons = fraud.reasons;
+  }
+  await conversionReceipt.save();
+  
+  // Link conversion to pause impression and update ASV data
+  pauseEvent.matchedConversionId = conversionReceipt._id;
+  pauseEvent.billingStatus = billingStatus;
+  pauseEvent.qrScannedAt = conversionReceipt.eventTimeUtc;
+  pauseEvent.asvSeconds = asvData.asvSeconds;
+  pauseEvent.asvTier = asvData.asvTier;
+  pauseEvent.asvLabel = asvData.asvLabel;
+  await pauseEvent.save();
+  
+  if (billingStatus === 'non_billable' && !store.sandbox) {
+    await emitConversionEvent('conversion.non_billable', conversionReceipt, pauseEvent, {
+      billing_reason: 'conversion_failed'
     });
+  }
+  
+  // Held conversions are billed and counted only once an admin releases them;
+  // sandbox conversions are never billed or counted
+  if (held) {
+    console.warn(`Conversion ${conversionReceipt._id} held for review (score ${fraud.score}: ${fraud.reasons.join(', ')})`);
+  } else if (!store.sandbox && isSuccess) {
+    // Successful conversion: queue billing, and the A2AR metrics update (conversion) with ASV data.
+    // Failed conversions add nothing to A2AR.
+    await enqueueBilling(pauseEvent, conversionReceipt._id);
     
-  } catch (error) {
-    console.error('A2AR update error:', error);
+    await enqueueA2ARUpdate({
+      receiptId: conversionReceipt._id,
+      date: conversionReceipt.eventTimeUtc,
+      publisherId: conversionReceipt.publisherId,
+      programTitle: pauseEvent.contentTitle || pauseEvent.series,
+      campaignId: pauseEvent.campaignId,
+      conversion: true,
+      asvSeconds: asvData.asvSeconds,
+      isLive: pauseEvent.isLive
+    });
+  }
+  
+  return {
+    billingStatus: conversionReceipt.billingStatus,
+    billingReason: null,
+    attributionWindowMinutes,
+    asv: asvData
+  };
+}
+
+// =====================
+// Reconcile pending conversions when their pause impression arrives
+// =====================
+async function reconcilePendingConversions(pauseEvent, store) {
+  const { EventReceipt } = store;
+  const pending = await EventReceipt.findPendingConversions(pauseEvent.ipauseOpportunityId);
+  
+  // A pause links to a single conversion; claim the earliest one atomically
+  for (const candidate of pending) {
+    if (candidate.eventTimeUtc < pauseEvent.eventTimeUtc) {
+      const rejected = await EventReceipt.findOneAndUpdate(
+        { _id: candidate._id, matchStatus: 'pending' },
+        { $set: { matchStatus: 'rejected', billingStatus: 'non_billable', billingReason: 'conversion_before_pause' } },
+        { new: true }
+      );
+      if (rejected && !store.sandbox) {
+        await emitConversionEvent('conversion.non_billable', rejected, null);
+      }
+      continue;
+    }
+    
+    const claimed = await EventReceipt.findOneAndUpdate(
+      { _id: candidate._id, matchStatus: 'pending' },
+      { $set: { matchStatus: 'matched' } },
+      { new: true }
+    );
+    
+    if (claimed) {
+      try {
+        await matchConversion(claimed, pauseEvent, store);
+      } catch (error) {
+        // Release the claim so a later pause (or retry) can pick it up
+        await EventReceipt.updateOne({ _id: claimed._id }, { $set: { matchStatus: 'pending' } });
+        throw error;
+      }
+      return claimed;
+    }
   }
+  
+  return null;
 }
 
 // =====================
 // GET /v1/events/:receiptId - Get event details
+// Also served to publisher portal users as GET /v1/portal/events/:receiptId
 // =====================
-router.get('/events/:receiptId', authenticatePublisher, async (req, res) => {
+async function getEvent(req, res) {
   try {
     const { receiptId } = req.params;
     
     // Extract MongoDB ID from receipt ID
     const mongoId = receiptId.replace('rct_', '');
     
-    const receipt = await EventReceipt.findById(mongoId)
-      .populate('matchedConversionId')
-      .populate('matchedPauseId');
+    const { EventReceipt: receipts } = getEventStore(req);
+    const receipt = await receipts.findById(mongoId)
+      .populate({ path: 'matchedConversionId', model: receipts })
+      .populate({ path: 'matchedPauseId', model: receipts });
     
     if (!receipt) {
       return res.status(404).json({ 
@@ -572,9 +907,21 @@ router.get('/events/:receiptId', authenticatePublisher, async (req, res) => {
       event_time_utc: receipt.eventTimeUtc,
       ipause_opportunity_id: receipt.ipauseOpportunityId,
       billing_status: receipt.billingStatus,
+      billing_reason: receipt.billingReason || null,
+      campaign_authorized: receipt.campaignAuthorized !== false,
+      attribution_window_minutes: receipt.attributionWindowMinutes ?? null,
+      match_status: receipt.matchStatus || null,
+      match_expires_at: receipt.matchStatus === 'pending' ? receipt.matchExpiresAt : null,
       processed_at: receipt.processedAt,
+      api_key_id: receipt.apiKeyId || null,
       matched_conversion_id: receipt.matchedConversionId ? `rct_${receipt.matchedConversionId._id}` : null,
-      matched_pause_id: receipt.matchedPauseId ? `rct_${receipt.matchedPauseId._id}` : null
+      matched_pause_id: receipt.matchedPauseId ? `rct_${receipt.matchedPauseId._id}` : null,
+      qr_appeared_at: receipt.qrAppearedAt || null,
+      pause_ended_at: receipt.pauseEndedAt || null,
+      pause_end_reason: receipt.pauseEndReason || null,
+      dwell_seconds: receipt.dwellSeconds ?? null,
+      voided_at: receipt.voidedAt || null,
+      void_reason: receipt.voidReason || null
     });
     
   } catch (error) {
@@ -584,22 +931,121 @@ router.get('/events/:receiptId', authenticatePublisher, async (req, res) => {
       message: error.message
     });
   }
+}
+
+router.get('/events/:receiptId', authenticatePublisher, requireScope('events:read'), publisherRateLimit, getEvent);
+router.get('/portal/events/:receiptId', authenticatePublisherUser, publisherRateLimit, getEvent);
+
+// =====================
+// POST /v1/events/:receiptId/void - Void a previously accepted event
+// =====================
+router.post('/events/:receiptId/void', authenticatePublisher, requireScope('events:write'), publisherRateLimit, async (req, res) => {
+  try {
+    const { reason, note } = req.body || {};
+
+    if (!EventReceipt.VOID_REASONS.includes(reason)) {
+      return res.status(400).json({
+        error: 'invalid_reason',
+        message: `reason must be one of: ${EventReceipt.VOID_REASONS.join(', ')}`
+      });
+    }
+
+    if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+      return res.status(400).json({
+        error: 'invalid_note',
+        message: 'note must be a string of at most 500 characters'
+      });
+    }
+
+    const mongoId = req.params.receiptId.replace('rct_', '');
+    const receipt = await getEventStore(req).EventReceipt.findById(mongoId);
+
+    if (!receipt) {
+      return res.status(404).json({
+        error: 'not_found',
+        message: 'Event receipt not found'
+      });
+    }
+
+    if (receipt.publisherId !== req.publisher.publisherId) {
+      return res.status(403).json({
+        error: 'forbidden',
+        message: 'You do not have access to this event'
+      });
+    }
+
+    const result = await voidEventReceipt(receipt, { reason, note, requestedBy: 'publisher', sandbox: req.sandbox });
+
+    if (!result) {
+      return res.status(409).json({
+        error: 'already_voided',
+        message: 'This event has already been voided',
+        receipt_id: `rct_${receipt._id}`
+      });
+    }
+
+    const { voidLog } = result;
+
+    res.json({
+      status: 'voided',
+      receipt_id: `rct_${receipt._id}`,
+      void_id: `void_${voidLog._id}`,
+      reason,
+      voided_at: result.receipt.voidedAt,
+      voided_receipts: voidLog.voidedReceipts.map(v => ({
+        receipt_id: `rct_${v.receipt}`,
+        event_type: v.eventType,
+        previous_billing_status: v.previousBillingStatus
+      })),
+      refund: voidLog.refundTransaction ? {
+        amount: voidLog.refundAmount,
+        transaction_id: voidLog.refundTransaction
+      } : null,
+      metric_adjustments: voidLog.metricAdjustments || {}
+    });
+
+  } catch (error) {
+    console.error('Void event error:', error);
+    res.status(500).json({
+      error: 'void_failed',
+      message: error.message
+    });
+  }
 });
 
 // =====================
 // GET /v1/events - List events for publisher
+// Cursor-paginated on (eventTimeUtc, _id), newest first.
+// Send Accept: application/x-ndjson to stream the full result set instead.
+// Also served to publisher portal users as GET /v1/portal/events
 // =====================
-router.get('/events', authenticatePublisher, async (req, res) => {
+async function listEvents(req, res) {
   try {
-    const { event_type, start_date, end_date, limit = 100, offset = 0 } = req.query;
+    const {
+      event_type,
+      match_status,
+      billing_status,
+      campaign_id,
+      ipause_opportunity_id,
+      content_id,
+      device_type,
+      start_date,
+      end_date,
+      cursor,
+      limit = 100
+    } = req.query;
     
     const filter = {
       publisherId: req.publisher.publisherId
     };
     
-    if (event_type) {
-      filter.eventType = event_type;
-    }
+    if (event_type) filter.eventType = event_type;
+    if (match_status) filter.matchStatus = match_status;
+    if (billing_status) filter.billingStatus = billing_status;
+    if (campaign_id) filter.campaignId = campaign_id;
+    if (ipause_opportunity_id) filter.ipauseOpportunityId = ipause_opportunity_id;
+    if (content_id) filter.contentId = content_id;
+    if (device_type) filter.deviceType = device_type;
     
     if (start_date || end_date) {
       filter.eventTimeUtc = {};
@@ -607,29 +1053,41 @@ router.get('/events', authenticatePublisher, async (req, res) => {
       if (end_date) filter.eventTimeUtc.$lte = new Date(end_date);
     }
     
-    const [events, total] = await Promise.all([
-      EventReceipt.find(filter)
-        .sort({ eventTimeUtc: -1 })
-        .skip(parseInt(offset))
-        .limit(parseInt(limit))
-        .lean(),
-      EventReceipt.countDocuments(filter)
-    ]);
+    if (cursor) {
+      const position = decodeListCursor(cursor);
+      
+      if (!position) {
+        return res.status(400).json({
+          error: 'invalid_cursor',
+          message: 'cursor is malformed; pass next_cursor from a previous response unchanged'
+        });
+      }
+      
+      filter.$or = [
+        { eventTimeUtc: { $lt: position.eventTimeUtc } },
+        { eventTimeUtc: position.eventTimeUtc, _id: { $lt: position.id } }
+      ];
+    }
+    
+    const query = getEventStore(req).EventReceipt.find(filter)
+      .sort({ eventTimeUtc: -1, _id: -1 })
+      .lean();
+    
+    if ((req.get('Accept') || '').includes('application/x-ndjson')) {
+      return streamEventsNdjson(req, res, query);
+    }
+    
+    const pageSize = Math.min(Math.max(parseInt(limit) || 100, 1), MAX_LIST_PAGE_SIZE);
+    const events = await query.limit(pageSize + 1);
+    const hasMore = events.length > pageSize;
+    const page = hasMore ? events.slice(0, pageSize) : events;
     
     res.json({
-      events: events.map(e => ({
-        receipt_id: `rct_${e._id}`,
-        event_type: e.eventType,
-        event_id: e.eventId,
-        event_time_utc: e.eventTimeUtc,
-        ipause_opportunity_id: e.ipauseOpportunityId,
-        billing_status: e.billingStatus
-      })),
+      events: page.map(formatEventListItem),
       pagination: {
-        total,
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        has_more: parseInt(offset) + events.length < total
+        limit: pageSize,
+        has_more: hasMore,
+        next_cursor: hasMore ? encodeListCursor(page[page.length - 1]) : null
       }
     });
     
@@ -640,6 +1098,79 @@ router.get('/events', authenticatePublisher, async (req, res) => {
       message: error.message
     });
   }
-});
+}
+
+router.get('/events', authenticatePublisher, requireScope('events:read'), publisherRateLimit, listEvents);
+router.get('/portal/events', authenticatePublisherUser, publisherRateLimit, listEvents);
+
+// =====================
+// Stream every matching event as newline-delimited JSON
+// =====================
+async function streamEventsNdjson(req, res, query) {
+  const cursor = query.cursor();
+  
+  res.status(200);
+  res.set('Content-Type', 'application/x-ndjson');
+  
+  const lines = Readable.from((async function* () {
+    for await (const event of cursor) {
+      yield JSON.stringify(formatEventListItem(event)) + '\n';
+    }
+  })());
+  
+  try {
+    // pipeline respects backpressure, so large exports don't buffer in memory, and stops
+    // reading the cursor as soon as the client disconnects
+    await pipeline(lines, res);
+    
+  } catch (error) {
+    // Headers are already sent; pipeline has cut the stream, so the client sees an incomplete transfer
+    if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('Stream events error:', error);
+    }
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+}
+
+// =====================
+// List cursor helpers (opaque base64url of the last item's sort key)
+// =====================
+function encodeListCursor(event) {
+  return Buffer.from(JSON.stringify({
+    t: event.eventTimeUtc.toISOString(),
+    id: String(event._id)
+  })).toString('base64url');
+}
+
+function decodeListCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    const eventTimeUtc = new Date(t);
+    
+    if (isNaN(eventTimeUtc.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+    
+    return { eventTimeUtc, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+}
+
+function formatEventListItem(e) {
+  return {
+    receipt_id: `rct_${e._id}`,
+    event_type: e.eventType,
+    event_id: e.eventId,
+    event_time_utc: e.eventTimeUtc,
+    ipause_opportunity_id: e.ipauseOpportunityId,
+    campaign_id: e.campaignId || null,
+    content_id: e.contentId || null,
+    device_type: e.deviceType || null,
+    billing_status: e.billingStatus,
+    match_status: e.matchStatus || null
+  };
+}
 
 module.exports = router;
@@ -0,0 +1,201 @@
+// src/routes/v1/jobs.js
+// Admin visibility into the background job queue
+const express = require('express');
+const router = express.Router();
+const Job = require('../../models/Job');
+const DeadLetterJob = require('../../models/DeadLetterJob');
+const queue = require('../../jobs/queue');
+
+// Import auth middleware
+const auth = require('../../middleware/auth');
+const { requireAdmin } = require('../../middleware/adminAuth');
+
+// =====================
+// GET /v1/admin/jobs/stats - Queue depth and dead-letter counts
+// =====================
+router.get('/admin/jobs/stats', auth, requireAdmin, async (req, res) => {
+  try {
+    const { byStatus, deadLetters } = await queue.getStats();
+
+    res.json({
+      queue: byStatus.map(s => ({
+        type: s._id.type,
+        status: s._id.status,
+        count: s.count,
+        oldest_run_at: s.oldestRunAt
+      })),
+      dead_letters: deadLetters.map(d => ({
+        type: d._id,
+        count: d.count
+      })),
+      total_pending: byStatus.reduce((sum, s) => sum + s.count, 0),
+      total_dead_letters: deadLetters.reduce((sum, d) => sum + d.count, 0)
+    });
+
+  } catch (error) {
+    console.error('Job stats fetch error:', error);
+    res.status(500).json({
+      error: 'fetch_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// GET /v1/admin/jobs/retrying - Jobs that failed at least once and are waiting to retry
+// =====================
+router.get('/admin/jobs/retrying', auth, requireAdmin, async (req, res) => {
+  try {
+    const { type, limit = 100 } = req.query;
+
+    const filter = { status: 'queued', attempts: { $gt: 0 } };
+    if (type) filter.type = type;
+
+    const jobs = await Job.find(filter)
+      .sort({ runAt: 1 })
+      .limit(parseInt(limit))
+      .lean();
+
+    res.json({
+      jobs: jobs.map(j => ({
+        id: j._id,
+        type: j.type,
+        payload: j.payload,
+        attempts: j.attempts,
+        max_attempts: j.maxAttempts,
+        next_run_at: j.runAt,
+        last_error: j.lastError
+      }))
+    });
+
+  } catch (error) {
+    console.error('Retrying jobs fetch error:', error);
+    res.status(500).json({
+      error: 'fetch_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// GET /v1/admin/jobs/dead-letters - Jobs that exhausted their retries
+// =====================
+router.get('/admin/jobs/dead-letters', auth, requireAdmin, async (req, res) => {
+  try {
+    const { type, include_replayed = 'false', limit = 100 } = req.query;
+
+    const filter = {};
+    if (type) filter.type = type;
+    if (include_replayed !== 'true') filter.replayedAt = null;
+
+    const deadLetters = await DeadLetterJob.find(filter)
+      .sort({ failedAt: -1 })
+      .limit(parseInt(limit))
+      .lean();
+
+    res.json({
+      dead_letters: deadLetters.map(d => ({
+        id: d._id,
+        original_job_id: d.originalJobId,
+        type: d.type,
+        payload: d.payload,
+        attempts: d.attempts,
+        last_error: d.lastError,
+        failed_at: d.failedAt,
+        replayed_at: d.replayedAt,
+        replay_job_id: d.replayJobId
+      }))
+    });
+
+  } catch (error) {
+    console.error('Dead letters fetch error:', error);
+    res.status(500).json({
+      error: 'fetch_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// POST /v1/admin/jobs/dead-letters/:id/replay - Replay one dead-lettered job
+// =====================
+router.post('/admin/jobs/dead-letters/:id/replay', auth, requireAdmin, async (req, res) => {
+  try {
+    const deadLetter = await DeadLetterJob.findById(req.params.id);
+
+    if (!deadLetter) {
+      return res.status(404).json({
+        error: 'not_found',
+        message: 'Dead-letter job not found'
+      });
+    }
+
+    if (deadLetter.replayedAt) {
+      return res.status(409).json({
+        error: 'already_replayed',
+        message: 'This job was already replayed',
+        replay_job_id: deadLetter.replayJobId
+      });
+    }
+
+    const job = await queue.replayDeadLetter(deadLetter, req.user.id);
+
+    // Replayed by another request in the meantime
+    if (!job) {
+      const current = await DeadLetterJob.findById(deadLetter._id);
+      return res.status(409).json({
+        error: 'already_replayed',
+        message: 'This job was already replayed',
+        replay_job_id: current?.replayJobId || null
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Job re-queued',
+      job_id: job._id
+    });
+
+  } catch (error) {
+    console.error('Dead letter replay error:', error);
+    res.status(500).json({
+      error: 'replay_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// POST /v1/admin/jobs/dead-letters/replay - Replay all un-replayed dead letters (optionally by type)
+// =====================
+router.post('/admin/jobs/dead-letters/replay', auth, requireAdmin, async (req, res) => {
+  try {
+    const { type } = req.body;
+
+    const filter = { replayedAt: null };
+    if (type) filter.type = type;
+
+    const deadLetters = await DeadLetterJob.find(filter).sort({ failedAt: 1 });
+
+    const jobIds = [];
+    for (const deadLetter of deadLetters) {
+      const job = await queue.replayDeadLetter(deadLetter, req.user.id);
+      if (job) jobIds.push(job._id);
+    }
+
+    res.json({
+      success: true,
+      message: `${jobIds.length} job(s) re-queued`,
+      job_ids: jobIds
+    });
+
+  } catch (error) {
+    console.error('Bulk dead letter replay error:', error);
+    res.status(500).json({
+      error: 'replay_failed',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,344 @@
+// src/routes/v1/payouts.js
+// Publisher payout statements: admin generation / approval / payment, and read-only portal access
+const express = require('express');
+const router = express.Router();
+
+// Models
+const PayoutStatement = require('../../models/PayoutStatement');
+const PublisherLedgerEntry = require('../../models/PublisherLedgerEntry');
+const PublisherApiKey = require('../../models/PublisherApiKey');
+
+// Middleware
+const auth = require('../../middleware/auth');
+const { requireAdmin } = require('../../middleware/adminAuth');
+const { authenticatePublisherUser } = require('../../middleware/publisherAuth');
+const { publisherRateLimit } = require('../../middleware/publisherRateLimit');
+
+// Utils
+const {
+  parsePeriod,
+  previousPeriod,
+  generateStatements,
+  approveStatement,
+  markStatementPaid,
+  getPublisherBalance,
+  formatStatement,
+  formatLedgerEntry
+} = require('../../utils/payouts');
+
+const isObjectId = (value) => /^[a-f0-9]{24}$/i.test(value);
+
+/**
+ * Statement by id, optionally limited to one publisher
+ */
+async function findStatement(statementId, publisherId = null) {
+  if (!isObjectId(statementId)) return null;
+
+  const filter = { _id: statementId };
+  if (publisherId) filter.publisherId = publisherId;
+  return PayoutStatement.findOne(filter);
+}
+
+/**
+ * Statement with its ledger entries (credits, reversals and the payout debit)
+ */
+async function statementDetail(statement) {
+  const entries = await PublisherLedgerEntry.find({ statement: statement._id }).sort({ occurredAt: 1 });
+
+  return {
+    statement: formatStatement(statement),
+    entries: entries.map(formatLedgerEntry)
+  };
+}
+
+function invalidTransition(res, statement, { from, to }) {
+  return res.status(409).json({
+    error: 'invalid_transition',
+    message: `Statement is ${statement.status}; only ${from} statements can be ${to}`,
+    status: statement.status
+  });
+}
+
+// =====================
+// POST /v1/admin/payouts/statements/generate - Build statements for a month
+// Body: period ("YYYY-MM", default last month), publisher_id (optional, default every publisher)
+// =====================
+router.post('/admin/payouts/statements/generate', auth, requireAdmin, async (req, res) => {
+  try {
+    const { period = previousPeriod(), publisher_id } = req.body;
+
+    const bounds = parsePeriod(period);
+    if (!bounds) {
+      return res.status(400).json({
+        error: 'invalid_period',
+        message: 'period must be YYYY-MM'
+      });
+    }
+
+    // Only completed months can be settled
+    if (bounds.periodEnd > new Date()) {
+      return res.status(400).json({
+        error: 'period_not_closed',
+        message: 'Statements can only be generated for months that have ended'
+      });
+    }
+
+    if (publisher_id && !(await PublisherApiKey.exists({ publisherId: publisher_id }))) {
+      return res.status(404).json({
+        error: 'not_found',
+        message: 'Publisher not found'
+      });
+    }
+
+    const statements = await generateStatements(period, {
+      publisherId: publisher_id || null,
+      generatedBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      period,
+      generated: statements.length,
+      statements: statements.map(formatStatement)
+    });
+
+  } catch (error) {
+    console.error('Payout statement generation error:', error);
+    res.status(500).json({
+      error: 'generation_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// GET /v1/admin/payouts/statements - List statements
+// Query: publisher_id, status, period, page, limit
+// =====================
+router.get('/admin/payouts/statements', auth, requireAdmin, async (req, res) => {
+  try {
+    const { publisher_id, status, period, page = 1, limit = 50 } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = {};
+    if (publisher_id) filter.publisherId = publisher_id;
+    if (status) filter.status = status;
+    if (period) filter.period = period;
+
+    const [statements, total] = await Promise.all([
+      PayoutStatement.find(filter)
+        .sort({ period: -1, publisherId: 1 })
+        .skip(offset)
+        .limit(parseInt(limit)),
+      PayoutStatement.countDocuments(filter)
+    ]);
+
+    res.json({
+      statements: statements.map(formatStatement),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+        has_more: offset + statements.length < total
+      }
+    });
+
+  } catch (error) {
+    console.error('Payout statements fetch error:', error);
+    res.status(500).json({
+      error: 'fetch_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// GET /v1/admin/payouts/statements/:statementId - Statement with its ledger entries
+// =====================
+router.get('/admin/payouts/statements/:statementId', auth, requireAdmin, async (req, res) => {
+  try {
+    const statement = await findStatement(req.params.statementId);
+
+    if (!statement) {
+      return res.status(404).json({
+        error: 'not_found',
+        message: 'Payout statement not found'
+      });
+    }
+
+    res.json(await statementDetail(statement));
+
+  } catch (error) {
+    console.error('Payout statement fetch error:', error);
+    res.status(500).json({
+      error: 'fetch_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// POST /v1/admin/payouts/statements/:statementId/approve - pending -> approved
+// Body: notes (optional)
+// =====================
+router.post('/admin/payouts/statements/:statementId/approve', auth, requireAdmin, async (req, res) => {
+  try {
+    const statement = await findStatement(req.params.statementId);
+
+    if (!statement) {
+      return res.status(404).json({
+        error: 'not_found',
+        message: 'Payout statement not found'
+      });
+    }
+
+    if (!PayoutStatement.canTransition(statement.status, 'approved')) {
+      return invalidTransition(res, statement, { from: 'pending', to: 'approved' });
+    }
+
+    const approved = await approveStatement(statement._id, {
+      approvedBy: req.user.id,
+      notes: req.body.notes
+    });
+
+    // Approved by another request in the meantime
+    if (!approved) {
+      return invalidTransition(res, await PayoutStatement.findById(statement._id), { from: 'pending', to: 'approved' });
+    }
+
+    console.log(`Payout statement ${approved._id} approved by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      statement: formatStatement(approved)
+    });
+
+  } catch (error) {
+    console.error('Payout statement approval error:', error);
+    res.status(500).json({
+      error: 'approval_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// POST /v1/admin/payouts/statements/:statementId/mark-paid - approved -> paid
+// Debits the publisher wallet with a payout WalletTransaction.
+// Body: payment_reference (required), notes (optional)
+// =====================
+router.post('/admin/payouts/statements/:statementId/mark-paid', auth, requireAdmin, async (req, res) => {
+  try {
+    const { payment_reference, notes } = req.body;
+
+    if (!payment_reference || typeof payment_reference !== 'string') {
+      return res.status(400).json({
+        error: 'missing_payment_reference',
+        message: 'payment_reference (bank or processor reference) is required'
+      });
+    }
+
+    const statement = await findStatement(req.params.statementId);
+
+    if (!statement) {
+      return res.status(404).json({
+        error: 'not_found',
+        message: 'Payout statement not found'
+      });
+    }
+
+    if (!PayoutStatement.canTransition(statement.status, 'paid')) {
+      return invalidTransition(res, statement, { from: 'approved', to: 'marked paid' });
+    }
+
+    const result = await markStatementPaid(statement._id, {
+      paidBy: req.user.id,
+      paymentReference: payment_reference,
+      notes
+    });
+
+    // Paid by another request in the meantime
+    if (!result) {
+      return invalidTransition(res, await PayoutStatement.findById(statement._id), { from: 'approved', to: 'marked paid' });
+    }
+
+    const { balance, currency } = await getPublisherBalance(statement.publisherId);
+
+    res.json({
+      success: true,
+      statement: formatStatement(result.statement),
+      wallet_transaction: {
+        id: result.walletTransaction._id,
+        type: result.walletTransaction.type,
+        amount: result.walletTransaction.amount,
+        balance_before: result.walletTransaction.balanceBefore,
+        balance_after: result.walletTransaction.balanceAfter
+      },
+      publisher_balance: { balance, currency }
+    });
+
+  } catch (error) {
+    console.error('Payout statement payment error:', error);
+    res.status(500).json({
+      error: 'payment_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// GET /v1/portal/payouts - Unpaid balance and payout statements for the signed-in publisher
+// =====================
+router.get('/portal/payouts', authenticatePublisherUser, publisherRateLimit, async (req, res) => {
+  try {
+    const publisherId = req.publisher.publisherId;
+
+    const [statements, balance] = await Promise.all([
+      PayoutStatement.find({ publisherId }).sort({ period: -1 }),
+      getPublisherBalance(publisherId)
+    ]);
+
+    res.json({
+      publisher_id: publisherId,
+      // Earned and not yet paid out (includes amounts on pending / approved statements)
+      balance: balance.balance,
+      currency: balance.currency,
+      statements: statements.map(formatStatement)
+    });
+
+  } catch (error) {
+    console.error('Portal payouts fetch error:', error);
+    res.status(500).json({
+      error: 'fetch_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// GET /v1/portal/payouts/:statementId - One statement with its ledger entries
+// =====================
+router.get('/portal/payouts/:statementId', authenticatePublisherUser, publisherRateLimit, async (req, res) => {
+  try {
+    const statement = await findStatement(req.params.statementId, req.publisher.publisherId);
+
+    if (!statement) {
+      return res.status(404).json({
+        error: 'not_found',
+        message: 'Payout statement not found'
+      });
+    }
+
+    res.json(await statementDetail(statement));
+
+  } catch (error) {
+    console.error('Portal payout statement fetch error:', error);
+    res.status(500).json({
+      error: 'fetch_failed',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,261 @@
+// src/routes/v1/portal.js
+// Publisher portal: dashboard login (User role "publisher") for a publisher's own account, keys and earnings.
+// Receipts, stats and webhook settings are served by the v1 handlers under /v1/portal/events,
+// /v1/portal/stats and /v1/portal/webhooks.
+const express = require('express');
+const router = express.Router();
+
+// Models
+const PublisherKey = require('../../models/PublisherKey');
+const BillingRecord = require('../../models/BillingRecord');
+
+// Middleware
+const { authenticatePublisherUser } = require('../../middleware/publisherAuth');
+const { publisherRateLimit } = require('../../middleware/publisherRateLimit');
+
+// Utils
+const { credentialPrefix, decryptSecret } = require('../../utils/credentials');
+const { rotatePrimaryKey, rotateNamedKey, formatKey } = require('../../utils/publisherKeys');
+
+// Range used when start_date / end_date are omitted
+const DEFAULT_EARNINGS_DAYS = 30;
+
+// Longest range one request may cover
+const MAX_EARNINGS_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function round(value, places = 2) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+// =====================
+// GET /v1/portal/me - Signed-in user and their publisher
+// =====================
+router.get('/portal/me', authenticatePublisherUser, publisherRateLimit, async (req, res) => {
+  try {
+    const publisher = req.publisher;
+
+    res.json({
+      user: {
+        id: req.user.id,
+        email: req.user.email,
+        full_name: req.user.fullName
+      },
+      publisher: {
+        publisher_id: publisher.publisherId,
+        publisher_name: publisher.publisherName,
+        contact_name: publisher.contactName,
+        contact_email: publisher.contactEmail,
+        platform_type: publisher.platformType,
+        status: publisher.status,
+        rate_limit_per_minute: publisher.rateLimitPerMinute,
+        rate_limit_burst: publisher.rateLimitBurst,
+        created_at: publisher.createdAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Portal profile fetch error:', error);
+    res.status(500).json({
+      error: 'fetch_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// GET /v1/portal/keys - Key and webhook secret metadata (prefixes only)
+// =====================
+router.get('/portal/keys', authenticatePublisherUser, publisherRateLimit, async (req, res) => {
+  try {
+    const publisher = req.publisher;
+
+    const keys = await PublisherKey.find({ publisherId: publisher.publisherId })
+      .select('-key -keyHash')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      primary_key: {
+        key_prefix: publisher.apiKeyPrefix || credentialPrefix(publisher.apiKey),
+        last_used_at: publisher.lastUsedAt,
+        requests_count: publisher.requestsCount,
+        allowed_cidrs: publisher.allowedCidrs
+      },
+      sandbox_key: {
+        key_prefix: publisher.sandboxApiKeyPrefix || credentialPrefix(publisher.sandboxApiKey)
+      },
+      webhook_secret: {
+        secret_prefix: credentialPrefix(decryptSecret(publisher.webhookSecret)),
+        rotated_at: publisher.webhookSecretRotatedAt,
+        previous_secret_expires_at: publisher.previousWebhookSecret ? publisher.previousWebhookSecretExpiresAt : null
+      },
+      keys: keys.map(formatKey)
+    });
+
+  } catch (error) {
+    console.error('Portal keys fetch error:', error);
+    res.status(500).json({
+      error: 'fetch_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// POST /v1/portal/keys/primary/rotate - Replace the primary key (the old one stops working now)
+// POST /v1/portal/keys/sandbox/rotate - Replace the pk_test_ sandbox key
+// =====================
+async function rotateOwnPrimaryKey(req, res, { sandbox }) {
+  try {
+    const apiKey = await rotatePrimaryKey(req.publisher, {
+      sandbox,
+      performedBy: req.user.id,
+      reason: 'Rotated in publisher portal'
+    });
+
+    console.log(`${sandbox ? 'Sandbox' : 'Primary'} key rotated for ${req.publisher.publisherId} by portal user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'API key rotated. Save it now - it will not be shown again.',
+      api_key: apiKey,
+      warning: 'The old key has been invalidated. Update your integration immediately.'
+    });
+
+  } catch (error) {
+    console.error('Portal key rotation error:', error);
+    res.status(500).json({
+      error: 'rotation_failed',
+      message: error.message
+    });
+  }
+}
+
+router.post('/portal/keys/primary/rotate', authenticatePublisherUser, publisherRateLimit, (req, res) =>
+  rotateOwnPrimaryKey(req, res, { sandbox: false })
+);
+router.post('/portal/keys/sandbox/rotate', authenticatePublisherUser, publisherRateLimit, (req, res) =>
+  rotateOwnPrimaryKey(req, res, { sandbox: true })
+);
+
+// =====================
+// POST /v1/portal/keys/:keyId/rotate - Replace a named key (same label, scopes and expiry)
+// =====================
+router.post('/portal/keys/:keyId/rotate', authenticatePublisherUser, publisherRateLimit, async (req, res) => {
+  try {
+    const key = /^[a-f0-9]{24}$/i.test(req.params.keyId)
+      ? await PublisherKey.findOne({ _id: req.params.keyId, publisherId: req.publisher.publisherId })
+      : null;
+
+    if (!key || key.status === 'revoked') {
+      return res.status(404).json({
+        error: 'not_found',
+        message: 'API key not found or already revoked'
+      });
+    }
+
+    if (key.expiresAt && key.expiresAt <= new Date()) {
+      return res.status(409).json({
+        error: 'key_expired',
+        message: 'This key has expired; ask iPauseAds to extend or replace it'
+      });
+    }
+
+    const { key: newKey, apiKey } = await rotateNamedKey(key, {
+      performedBy: req.user.id,
+      reason: 'Rotated in publisher portal'
+    });
+
+    res.json({
+      success: true,
+      message: 'API key rotated. Save the new key now - it will not be shown again.',
+      revoked_key_id: key._id,
+      key: {
+        ...formatKey(newKey),
+        api_key: apiKey
+      }
+    });
+
+  } catch (error) {
+    console.error('Portal key rotation error:', error);
+    res.status(500).json({
+      error: 'rotation_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// GET /v1/portal/earnings - Revenue share from billed conversions, per UTC day
+// Query: start_date, end_date (YYYY-MM-DD, default last 30 days)
+// =====================
+router.get('/portal/earnings', authenticatePublisherUser, publisherRateLimit, async (req, res) => {
+  try {
+    const { start_date, end_date } = req.query;
+    const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+
+    if ((start_date && !isDay(start_date)) || (end_date && !isDay(end_date))) {
+      return res.status(400).json({
+        error: 'invalid_date',
+        message: 'start_date and end_date must be YYYY-MM-DD'
+      });
+    }
+
+    // end_date covers that whole UTC day
+    const endDate = end_date ? new Date(new Date(end_date).getTime() + DAY_MS - 1) : new Date();
+    const startDate = start_date ? new Date(start_date) : new Date(endDate.getTime() - DEFAULT_EARNINGS_DAYS * DAY_MS);
+
+    if (startDate > endDate) {
+      return res.status(400).json({
+        error: 'invalid_date_range',
+        message: 'start_date must be on or before end_date'
+      });
+    }
+
+    if (endDate - startDate > MAX_EARNINGS_DAYS * DAY_MS) {
+      return res.status(400).json({
+        error: 'date_range_too_large',
+        message: `Date range cannot exceed ${MAX_EARNINGS_DAYS} days`
+      });
+    }
+
+    const days = await BillingRecord.getPublisherEarnings(
+      { publisherId: req.publisher.publisherId, publisherName: req.publisher.publisherName },
+      { startDate, endDate }
+    );
+
+    const formatDay = (day) => ({
+      conversions: day.conversions,
+      reversed_conversions: day.reversedConversions,
+      revenue_share: round(day.publisherShare),
+      reversed_revenue_share: round(day.reversedShare),
+      net_revenue_share: round(day.publisherShare - day.reversedShare)
+    });
+
+    const totals = days.reduce((sum, day) => ({
+      conversions: sum.conversions + day.conversions,
+      publisherShare: sum.publisherShare + day.publisherShare,
+      reversedConversions: sum.reversedConversions + day.reversedConversions,
+      reversedShare: sum.reversedShare + day.reversedShare
+    }), { conversions: 0, publisherShare: 0, reversedConversions: 0, reversedShare: 0 });
+
+    res.json({
+      publisher_id: req.publisher.publisherId,
+      start_date: startDate.toISOString(),
+      end_date: endDate.toISOString(),
+      days: days.map(day => ({ date: day.date, ...formatDay(day) })),
+      totals: formatDay(totals)
+    });
+
+  } catch (error) {
+    console.error('Portal earnings fetch error:', error);
+    res.status(500).json({
+      error: 'fetch_failed',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -3,12 +3,35 @@ const express = require('express');
 const router = express.Router();
 const PublisherApiKey = require('../../models/PublisherApiKey');
 const PublisherKeyHistory = require('../../models/PublisherKeyHistory');
+const PublisherKey = require('../../models/PublisherKey');
 const EventReceipt = require('../../models/EventReceipt');
+const QrCode = require('../../models/QrCode');
+const { DEFAULT_FRAUD_RULES } = require('../../utils/fraudScoring');
+const { wipeSandbox } = require('../../utils/eventStore');
+const { credentialPrefix, decryptSecret } = require('../../utils/credentials');
+const { rotatePrimaryKey, rotateNamedKey, formatKey } = require('../../utils/publisherKeys');
+const { parseAllowedCidrs } = require('../../utils/ipAllowlist');
+const { resolveTolerance } = require('../../utils/reconciliation');
+const {
+  CAMPAIGN_AUTHORIZATION_MODES,
+  getAuthorizationMode,
+  formatCampaignAuthorization
+} = require('../../utils/campaignAuthorization');
 
 // Import auth middleware
 const auth = require('../../middleware/auth');
 const { requireAdmin } = require('../../middleware/adminAuth');
 
+// fraud_rules request fields -> PublisherApiKey.fraudRules fields, with the numeric ranges allowed
+// (types follow DEFAULT_FRAUD_RULES; conversion scores run 0-100)
+const FRAUD_RULE_FIELDS = {
+  enabled: { field: 'enabled' },
+  min_asv_seconds: { field: 'minAsvSeconds', min: 0, max: 60 },
+  check_country_mismatch: { field: 'checkCountryMismatch' },
+  check_opportunity_reuse: { field: 'checkOpportunityReuse' },
+  hold_threshold: { field: 'holdThreshold', min: 0, max: 100 }
+};
+
 
 // =====================
 // POST /v1/admin/publishers - Create new publisher
@@ -74,7 +97,7 @@ router.post('/admin/publishers', auth, requireAdmin, async (req, res) => {
     await PublisherKeyHistory.logAction({
       publisherId: finalPublisherId,
       action: 'created',
-      newApiKey: credentials.apiKey,
+      newKeyPrefix: credentialPrefix(credentials.apiKey),
       performedBy: req.user.id,
       reason: 'Initial publisher creation'
     });
@@ -96,6 +119,7 @@ router.post('/admin/publishers', auth, requireAdmin, async (req, res) => {
       },
       credentials: {
         api_key: credentials.apiKey,
+        sandbox_api_key: credentials.sandboxApiKey,
         webhook_secret: credentials.webhookSecret
       },
       warning: 'Store these credentials securely. They will not be shown again.'
@@ -137,7 +161,7 @@ router.get('/admin/publishers', auth, requireAdmin, async (req, res) => {
     
     const [publishers, total] = await Promise.all([
       PublisherApiKey.find(filter)
-        .select('-apiKey -webhookSecret')
+        .select('-apiKey -apiKeyHash -sandboxApiKey -sandboxApiKeyHash -webhookSecret -previousWebhookSecret')
         .sort({ createdAt: -1 })
         .skip(offset)
         .limit(parseInt(limit))
@@ -179,13 +203,13 @@ router.get('/admin/publishers', auth, requireAdmin, async (req, res) => {
 });
 
 // =====================
-// GET /v1/admin/publishers/:publisherId - Get publisher details (includes credentials)
+// GET /v1/admin/publishers/:publisherId - Get publisher details
+// Credentials are only shown when issued; this shows their prefixes.
 // =====================
 router.get('/admin/publishers/:publisherId', auth, requireAdmin, async (req, res) => {
   try {
     const { publisherId } = req.params;
     
-    // Include credentials for admin view
     const publisher = await PublisherApiKey.findOne({ publisherId }).lean();
     
     if (!publisher) {
@@ -216,15 +240,23 @@ router.get('/admin/publishers/:publisherId', auth, requireAdmin, async (req, res
         contact_phone: publisher.contactPhone,
         company_address: publisher.companyAddress,
         platform_type: publisher.platformType,
-        api_key: publisher.apiKey,
-        webhook_secret: publisher.webhookSecret,
+        api_key_prefix: publisher.apiKeyPrefix || credentialPrefix(publisher.apiKey),
+        sandbox_api_key_prefix: publisher.sandboxApiKeyPrefix || credentialPrefix(publisher.sandboxApiKey),
+        webhook_secret_prefix: credentialPrefix(decryptSecret(publisher.webhookSecret)),
+        webhook_secret_rotated_at: publisher.webhookSecretRotatedAt,
+        previous_webhook_secret_expires_at: publisher.previousWebhookSecret ? publisher.previousWebhookSecretExpiresAt : null,
+        allowed_cidrs: publisher.allowedCidrs || [],
         status: publisher.status,
         rate_limit_per_minute: publisher.rateLimitPerMinute,
+        rate_limit_burst: publisher.rateLimitBurst,
+        fraud_rules: formatFraudRules(publisher.fraudRules),
+        reconciliation_tolerance_percent: publisher.reconciliationTolerancePercent,
         requests_count: publisher.requestsCount,
         last_used_at: publisher.lastUsedAt,
         created_at: publisher.createdAt,
         notes: publisher.notes,
-        active_campaigns: publisher.activeCampaigns
+        campaign_authorization: getAuthorizationMode(publisher),
+        active_campaigns: (publisher.activeCampaigns || []).map(formatCampaignAuthorization)
       },
       stats_30d: eventStats
     });
@@ -240,6 +272,8 @@ router.get('/admin/publishers/:publisherId', auth, requireAdmin, async (req, res
 
 // =====================
 // PUT /v1/admin/publishers/:publisherId - Update publisher
+// allowed_cidrs limits the primary and sandbox keys and signed requests to those ranges
+// (null or [] allows any address); named keys are limited through /keys/:keyId.
 // =====================
 router.put('/admin/publishers/:publisherId', auth, requireAdmin, async (req, res) => {
   try {
@@ -252,8 +286,13 @@ router.put('/admin/publishers/:publisherId', auth, requireAdmin, async (req, res
       company_address,
       platform_type,
       rate_limit_per_minute, 
+      rate_limit_burst,
+      fraud_rules,
+      reconciliation_tolerance_percent,
       notes,
-      active_campaigns
+      active_campaigns,
+      allowed_cidrs,
+      campaign_authorization
     } = req.body;
     
     const publisher = await PublisherApiKey.findOne({ publisherId });
@@ -265,6 +304,41 @@ router.put('/admin/publishers/:publisherId', auth, requireAdmin, async (req, res
       });
     }
     
+    const allowlist = allowed_cidrs !== undefined ? parseAllowedCidrs(allowed_cidrs) : null;
+    if (allowlist?.error) return res.status(400).json(allowlist.error);
+    
+    // Every request costs at least one token, so a burst below 1 would refuse them all
+    if (rate_limit_burst !== undefined && rate_limit_burst !== null &&
+        !(Number.isInteger(rate_limit_burst) && rate_limit_burst >= 1)) {
+      return res.status(400).json({
+        error: 'invalid_rate_limit_burst',
+        message: 'rate_limit_burst must be a positive integer, or null for 1.5x rate_limit_per_minute'
+      });
+    }
+    
+    // null (or '') returns the publisher to the platform default tolerance
+    const clearTolerance = reconciliation_tolerance_percent === null || reconciliation_tolerance_percent === '';
+    const tolerancePercent = ['number', 'string'].includes(typeof reconciliation_tolerance_percent) && !clearTolerance
+      ? resolveTolerance(reconciliation_tolerance_percent, null)
+      : null;
+    if (reconciliation_tolerance_percent !== undefined && !clearTolerance && tolerancePercent === null) {
+      return res.status(400).json({
+        error: 'invalid_tolerance',
+        message: 'reconciliation_tolerance_percent must be a number between 0 and 100, or null for the default'
+      });
+    }
+    
+    const fraudRules = fraud_rules !== undefined ? parseFraudRules(fraud_rules) : null;
+    if (fraudRules?.error) return res.status(400).json(fraudRules.error);
+    
+    if (campaign_authorization !== undefined && campaign_authorization !== null &&
+        !CAMPAIGN_AUTHORIZATION_MODES.includes(campaign_authorization)) {
+      return res.status(400).json({
+        error: 'invalid_campaign_authorization',
+        message: `campaign_authorization must be one of: ${CAMPAIGN_AUTHORIZATION_MODES.join(', ')} (or null for the platform default)`
+      });
+    }
+    
     // Update allowed fields
     if (publisher_name !== undefined) publisher.publisherName = publisher_name;
     if (contact_name !== undefined) publisher.contactName = contact_name;
@@ -273,11 +347,31 @@ router.put('/admin/publishers/:publisherId', auth, requireAdmin, async (req, res
     if (company_address !== undefined) publisher.companyAddress = company_address;
     if (platform_type !== undefined) publisher.platformType = platform_type;
     if (rate_limit_per_minute !== undefined) publisher.rateLimitPerMinute = rate_limit_per_minute;
+    if (rate_limit_burst !== undefined) publisher.rateLimitBurst = rate_limit_burst;
+    if (fraudRules) {
+      Object.assign(publisher.fraudRules, fraudRules.rules);
+    }
+    if (reconciliation_tolerance_percent !== undefined) publisher.reconciliationTolerancePercent = tolerancePercent;
     if (notes !== undefined) publisher.notes = notes;
     if (active_campaigns !== undefined) publisher.activeCampaigns = active_campaigns;
+    if (campaign_authorization !== undefined) publisher.campaignAuthorization = campaign_authorization;
+    
+    const cidrsChanged = allowlist && allowlist.cidrs.join(',') !== publisher.allowedCidrs.join(',');
+    if (cidrsChanged) publisher.allowedCidrs = allowlist.cidrs;
     
     await publisher.save();
     
+    if (cidrsChanged) {
+      await PublisherKeyHistory.logAction({
+        publisherId,
+        action: 'allowed_cidrs_updated',
+        performedBy: req.user.id,
+        reason: publisher.allowedCidrs.length > 0
+          ? `Primary keys limited to ${publisher.allowedCidrs.join(', ')}`
+          : 'Primary keys allowed from any address'
+      });
+    }
+    
     res.json({
       success: true,
       message: 'Publisher updated successfully',
@@ -286,6 +380,10 @@ router.put('/admin/publishers/:publisherId', auth, requireAdmin, async (req, res
         publisher_id: publisher.publisherId,
         publisher_name: publisher.publisherName,
         status: publisher.status,
+        fraud_rules: formatFraudRules(publisher.fraudRules),
+        reconciliation_tolerance_percent: publisher.reconciliationTolerancePercent,
+        allowed_cidrs: publisher.allowedCidrs,
+        campaign_authorization: getAuthorizationMode(publisher),
         updated_at: publisher.updatedAt
       }
     });
@@ -316,19 +414,7 @@ router.post('/admin/publishers/:publisherId/regenerate-key', auth, requireAdmin,
       });
     }
     
-    const oldApiKey = publisher.apiKey;
-    
-    // Generate new API key
-    const newApiKey = PublisherApiKey.generateApiKey();
-    publisher.apiKey = newApiKey;
-    await publisher.save();
-    
-    // Log the action
-    await PublisherKeyHistory.logAction({
-      publisherId,
-      action: 'regenerated',
-      oldApiKey,
-      newApiKey,
+    const newApiKey = await rotatePrimaryKey(publisher, {
       performedBy: req.user.id,
       reason: reason || 'Manual regeneration'
     });
@@ -349,6 +435,450 @@ router.post('/admin/publishers/:publisherId/regenerate-key', auth, requireAdmin,
   }
 });
 
+// =====================
+// POST /v1/admin/publishers/:publisherId/regenerate-sandbox-key - Issue a new pk_test_ key
+// Also issues one for publishers created before sandbox keys existed.
+// =====================
+router.post('/admin/publishers/:publisherId/regenerate-sandbox-key', auth, requireAdmin, async (req, res) => {
+  try {
+    const { publisherId } = req.params;
+    const { reason } = req.body || {};
+    
+    const publisher = await PublisherApiKey.findOne({ publisherId });
+    
+    if (!publisher) {
+      return res.status(404).json({ 
+        error: 'not_found',
+        message: 'Publisher not found'
+      });
+    }
+    
+    const newApiKey = await rotatePrimaryKey(publisher, {
+      sandbox: true,
+      performedBy: req.user.id,
+      reason
+    });
+    
+    res.json({
+      success: true,
+      message: 'Sandbox API key regenerated successfully',
+      new_sandbox_api_key: newApiKey
+    });
+    
+  } catch (error) {
+    console.error('Sandbox key regeneration error:', error);
+    res.status(500).json({ 
+      error: 'regeneration_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// DELETE /v1/admin/publishers/:publisherId/sandbox - Wipe a publisher's sandbox data
+// =====================
+router.delete('/admin/publishers/:publisherId/sandbox', auth, requireAdmin, async (req, res) => {
+  try {
+    const { publisherId } = req.params;
+    
+    const publisher = await PublisherApiKey.findOne({ publisherId }).select('publisherId').lean();
+    
+    if (!publisher) {
+      return res.status(404).json({ 
+        error: 'not_found',
+        message: 'Publisher not found'
+      });
+    }
+    
+    const deleted = await wipeSandbox(publisherId);
+    
+    console.log(`Sandbox wiped for ${publisherId} by admin ${req.user.id}: ${deleted.events} event(s)`);
+    
+    res.json({
+      success: true,
+      message: 'Sandbox data deleted',
+      deleted: {
+        events: deleted.events,
+        idempotency_keys: deleted.idempotencyKeys,
+        void_logs: deleted.voidLogs
+      }
+    });
+    
+  } catch (error) {
+    console.error('Sandbox wipe error:', error);
+    res.status(500).json({ 
+      error: 'wipe_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// POST /v1/admin/publishers/:publisherId/keys - Issue a named API key
+// The key itself is only returned here.
+// =====================
+router.post('/admin/publishers/:publisherId/keys', auth, requireAdmin, async (req, res) => {
+  try {
+    const { publisherId } = req.params;
+    const { label, scopes, expires_at, allowed_cidrs, sandbox = false } = req.body || {};
+    
+    const publisher = await PublisherApiKey.findOne({ publisherId }).select('publisherId').lean();
+    
+    if (!publisher) {
+      return res.status(404).json({ 
+        error: 'not_found',
+        message: 'Publisher not found'
+      });
+    }
+    
+    if (typeof label !== 'string' || !label.trim() || label.length > 100) {
+      return res.status(400).json({
+        error: 'invalid_label',
+        message: 'label is required (at most 100 characters)'
+      });
+    }
+    
+    const fields = parseKeyFields({ scopes, expires_at, allowed_cidrs });
+    if (fields.error) return res.status(400).json(fields.error);
+    
+    const activeKeys = await PublisherKey.countDocuments({ publisherId, status: 'active' });
+    if (activeKeys >= PublisherKey.MAX_KEYS_PER_PUBLISHER) {
+      return res.status(409).json({
+        error: 'key_limit_reached',
+        message: `A publisher can have at most ${PublisherKey.MAX_KEYS_PER_PUBLISHER} active keys; revoke one first`
+      });
+    }
+    
+    const { key, apiKey } = await PublisherKey.createKey({
+      publisherId,
+      label: label.trim(),
+      scopes: fields.scopes,
+      expiresAt: fields.expiresAt ?? null,
+      sandbox: sandbox === true,
+      allowedCidrs: fields.allowedCidrs ?? [],
+      createdBy: req.user.id
+    });
+    
+    await PublisherKeyHistory.logAction({
+      publisherId,
+      action: 'key_created',
+      newKeyPrefix: key.keyPrefix,
+      keyId: key._id,
+      keyLabel: key.label,
+      performedBy: req.user.id,
+      reason: `Scopes: ${key.scopes.join(', ')}` +
+        (key.allowedCidrs.length > 0 ? `; allowed from ${key.allowedCidrs.join(', ')}` : '')
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Save it now - it will not be shown again.',
+      key: {
+        ...formatKey(key),
+        api_key: apiKey
+      }
+    });
+    
+  } catch (error) {
+    console.error('Publisher key creation error:', error);
+    res.status(500).json({ 
+      error: 'creation_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// GET /v1/admin/publishers/:publisherId/keys - List named API keys (metadata only)
+// =====================
+router.get('/admin/publishers/:publisherId/keys', auth, requireAdmin, async (req, res) => {
+  try {
+    const { publisherId } = req.params;
+    const { status } = req.query;
+    
+    const filter = { publisherId };
+    if (status) filter.status = status;
+    
+    const keys = await PublisherKey.find(filter)
+      .select('-key -keyHash')
+      .sort({ createdAt: -1 });
+    
+    res.json({
+      keys: keys.map(formatKey),
+      max_active_keys: PublisherKey.MAX_KEYS_PER_PUBLISHER
+    });
+    
+  } catch (error) {
+    console.error('Publisher keys fetch error:', error);
+    res.status(500).json({ 
+      error: 'fetch_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// PATCH /v1/admin/publishers/:publisherId/keys/:keyId - Update a key's label, scopes, expiry or allowed CIDR ranges
+// =====================
+router.patch('/admin/publishers/:publisherId/keys/:keyId', auth, requireAdmin, async (req, res) => {
+  try {
+    const { label, scopes, expires_at, allowed_cidrs } = req.body || {};
+    
+    const key = await findPublisherKey(req.params);
+    
+    if (!key || key.status === 'revoked') {
+      return res.status(404).json({ 
+        error: 'not_found',
+        message: 'API key not found or already revoked'
+      });
+    }
+    
+    if (label !== undefined && (typeof label !== 'string' || !label.trim() || label.length > 100)) {
+      return res.status(400).json({
+        error: 'invalid_label',
+        message: 'label must be a non-empty string of at most 100 characters'
+      });
+    }
+    
+    const fields = parseKeyFields({ scopes, expires_at, allowed_cidrs });
+    if (fields.error) return res.status(400).json(fields.error);
+    
+    const changes = [];
+    if (label !== undefined) {
+      key.label = label.trim();
+      changes.push('label');
+    }
+    if (fields.scopes !== undefined) {
+      key.scopes = fields.scopes;
+      changes.push(`scopes: ${fields.scopes.join(', ')}`);
+    }
+    if (fields.expiresAt !== undefined) {
+      key.expiresAt = fields.expiresAt;
+      changes.push(`expires_at: ${fields.expiresAt ? fields.expiresAt.toISOString() : 'never'}`);
+    }
+    if (fields.allowedCidrs !== undefined) {
+      key.allowedCidrs = fields.allowedCidrs;
+      changes.push(`allowed_cidrs: ${fields.allowedCidrs.length > 0 ? fields.allowedCidrs.join(', ') : 'any'}`);
+    }
+    
+    await key.save();
+    
+    if (changes.length > 0) {
+      await PublisherKeyHistory.logAction({
+        publisherId: key.publisherId,
+        action: 'key_updated',
+        keyId: key._id,
+        keyLabel: key.label,
+        performedBy: req.user.id,
+        reason: `Updated ${changes.join('; ')}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'API key updated successfully',
+      key: formatKey(key)
+    });
+    
+  } catch (error) {
+    console.error('Publisher key update error:', error);
+    res.status(500).json({ 
+      error: 'update_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// POST /v1/admin/publishers/:publisherId/keys/:keyId/rotate - Replace a named key
+// The new key keeps the label, scopes and expiry; the old one is revoked.
+// =====================
+router.post('/admin/publishers/:publisherId/keys/:keyId/rotate', auth, requireAdmin, async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    
+    const key = await findPublisherKey(req.params);
+    
+    if (!key || key.status === 'revoked') {
+      return res.status(404).json({ 
+        error: 'not_found',
+        message: 'API key not found or already revoked'
+      });
+    }
+    
+    if (key.expiresAt && key.expiresAt <= new Date()) {
+      return res.status(409).json({
+        error: 'key_expired',
+        message: 'This key has expired; extend expires_at before rotating it'
+      });
+    }
+    
+    const { key: newKey, apiKey } = await rotateNamedKey(key, { performedBy: req.user.id, reason });
+    
+    res.json({
+      success: true,
+      message: 'API key rotated. Save the new key now - it will not be shown again.',
+      revoked_key_id: key._id,
+      key: {
+        ...formatKey(newKey),
+        api_key: apiKey
+      }
+    });
+    
+  } catch (error) {
+    console.error('Publisher key rotation error:', error);
+    res.status(500).json({ 
+      error: 'rotation_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// DELETE /v1/admin/publishers/:publisherId/keys/:keyId - Revoke one named key
+// Other keys keep working.
+// =====================
+router.delete('/admin/publishers/:publisherId/keys/:keyId', auth, requireAdmin, async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    
+    const key = await findPublisherKey(req.params);
+    
+    if (!key || key.status === 'revoked') {
+      return res.status(404).json({ 
+        error: 'not_found',
+        message: 'API key not found or already revoked'
+      });
+    }
+    
+    key.status = 'revoked';
+    key.revokedAt = new Date();
+    await key.save();
+    
+    await PublisherKeyHistory.logAction({
+      publisherId: key.publisherId,
+      action: 'key_revoked',
+      oldKeyPrefix: key.keyPrefix,
+      keyId: key._id,
+      keyLabel: key.label,
+      performedBy: req.user.id,
+      reason: reason || 'Key revoked'
+    });
+    
+    res.json({
+      success: true,
+      message: 'API key revoked successfully',
+      key: formatKey(key)
+    });
+    
+  } catch (error) {
+    console.error('Publisher key revocation error:', error);
+    res.status(500).json({ 
+      error: 'revocation_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// POST /v1/admin/publishers/:publisherId/rotate-webhook-secret - Rotate webhook secret
+// =====================
+router.post('/admin/publishers/:publisherId/rotate-webhook-secret', auth, requireAdmin, async (req, res) => {
+  try {
+    const { publisherId } = req.params;
+    const { grace_period_hours = 72, reason } = req.body;
+    
+    const gracePeriodHours = parseFloat(grace_period_hours);
+    if (Number.isNaN(gracePeriodHours) || gracePeriodHours < 0 || gracePeriodHours > 720) {
+      return res.status(400).json({
+        error: 'invalid_grace_period',
+        message: 'grace_period_hours must be between 0 and 720'
+      });
+    }
+    
+    const publisher = await PublisherApiKey.findOne({ publisherId });
+    
+    if (!publisher) {
+      return res.status(404).json({ 
+        error: 'not_found',
+        message: 'Publisher not found'
+      });
+    }
+    
+    const newSecret = publisher.rotateWebhookSecret(gracePeriodHours);
+    await publisher.save();
+    
+    await PublisherKeyHistory.logAction({
+      publisherId,
+      action: 'webhook_secret_rotated',
+      performedBy: req.user.id,
+      reason: reason || `Webhook secret rotated with ${gracePeriodHours}h grace period`
+    });
+    
+    res.json({
+      success: true,
+      message: 'Webhook secret rotated successfully',
+      new_webhook_secret: newSecret,
+      previous_secret_expires_at: publisher.previousWebhookSecretExpiresAt,
+      warning: 'Both secrets are accepted until the grace period ends. Retire the old secret once the publisher has switched.'
+    });
+    
+  } catch (error) {
+    console.error('Webhook secret rotation error:', error);
+    res.status(500).json({ 
+      error: 'rotation_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// POST /v1/admin/publishers/:publisherId/retire-webhook-secret - Retire previous webhook secret
+// =====================
+router.post('/admin/publishers/:publisherId/retire-webhook-secret', auth, requireAdmin, async (req, res) => {
+  try {
+    const { publisherId } = req.params;
+    const { reason } = req.body;
+    
+    const publisher = await PublisherApiKey.findOne({ publisherId });
+    
+    if (!publisher) {
+      return res.status(404).json({ 
+        error: 'not_found',
+        message: 'Publisher not found'
+      });
+    }
+    
+    if (!publisher.retirePreviousWebhookSecret()) {
+      return res.status(409).json({
+        error: 'no_previous_secret',
+        message: 'There is no previous webhook secret to retire'
+      });
+    }
+    
+    await publisher.save();
+    
+    await PublisherKeyHistory.logAction({
+      publisherId,
+      action: 'webhook_secret_retired',
+      performedBy: req.user.id,
+      reason: reason || 'Previous webhook secret retired'
+    });
+    
+    res.json({
+      success: true,
+      message: 'Previous webhook secret retired. Only the current secret is accepted now.'
+    });
+    
+  } catch (error) {
+    console.error('Webhook secret retire error:', error);
+    res.status(500).json({ 
+      error: 'retire_failed',
+      message: error.message
+    });
+  }
+});
+
 // =====================
 // PATCH /v1/admin/publishers/:publisherId/status - Update publisher status
 // =====================
@@ -419,6 +949,7 @@ router.delete('/admin/publishers/:publisherId', auth, requireAdmin, async (req,
     if (hard_delete) {
       // Hard delete (use with caution)
       await PublisherApiKey.deleteOne({ publisherId });
+      await PublisherKey.deleteMany({ publisherId });
     } else {
       // Soft delete - set status to revoked
       publisher.status = 'revoked';
@@ -447,6 +978,172 @@ router.delete('/admin/publishers/:publisherId', auth, requireAdmin, async (req,
   }
 });
 
+// =====================
+// GET /v1/admin/publishers/:publisherId/campaigns - Campaigns the publisher is authorized for
+// =====================
+router.get('/admin/publishers/:publisherId/campaigns', auth, requireAdmin, async (req, res) => {
+  try {
+    const publisher = await PublisherApiKey.findOne({ publisherId: req.params.publisherId })
+      .select('publisherId activeCampaigns campaignAuthorization')
+      .lean();
+    
+    if (!publisher) {
+      return res.status(404).json({ 
+        error: 'not_found',
+        message: 'Publisher not found'
+      });
+    }
+    
+    res.json({
+      publisher_id: publisher.publisherId,
+      campaign_authorization: getAuthorizationMode(publisher),
+      campaigns: (publisher.activeCampaigns || []).map(formatCampaignAuthorization)
+    });
+    
+  } catch (error) {
+    console.error('Publisher campaigns fetch error:', error);
+    res.status(500).json({ 
+      error: 'fetch_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// POST /v1/admin/publishers/:publisherId/campaigns - Authorize a campaign (or update its authorization)
+// Body: campaign_id, campaign_name, starts_at, ends_at (flight dates, null = open-ended), status (active|paused)
+// =====================
+router.post('/admin/publishers/:publisherId/campaigns', auth, requireAdmin, async (req, res) => {
+  try {
+    const { campaign_id, campaign_name, starts_at = null, ends_at = null, status = 'active' } = req.body || {};
+    
+    const publisher = await PublisherApiKey.findOne({ publisherId: req.params.publisherId });
+    
+    if (!publisher) {
+      return res.status(404).json({ 
+        error: 'not_found',
+        message: 'Publisher not found'
+      });
+    }
+    
+    if (typeof campaign_id !== 'string' || !campaign_id) {
+      return res.status(400).json({
+        error: 'missing_campaign_id',
+        message: 'campaign_id is required'
+      });
+    }
+    
+    const campaign = await QrCode.findOne({ id: campaign_id }).select('id program').lean();
+    if (!campaign) {
+      return res.status(404).json({
+        error: 'campaign_not_found',
+        message: `Campaign ${campaign_id} not found`
+      });
+    }
+    
+    const startsAt = starts_at === null ? null : new Date(starts_at);
+    const endsAt = ends_at === null ? null : new Date(ends_at);
+    
+    if ((startsAt && isNaN(startsAt.getTime())) || (endsAt && isNaN(endsAt.getTime()))) {
+      return res.status(400).json({
+        error: 'invalid_date',
+        message: 'starts_at and ends_at must be ISO 8601 timestamps or null'
+      });
+    }
+    
+    if (startsAt && endsAt && startsAt >= endsAt) {
+      return res.status(400).json({
+        error: 'invalid_date_range',
+        message: 'starts_at must be before ends_at'
+      });
+    }
+    
+    if (!['active', 'paused'].includes(status)) {
+      return res.status(400).json({
+        error: 'invalid_status',
+        message: 'status must be active or paused'
+      });
+    }
+    
+    const fields = {
+      campaignId: campaign_id,
+      campaignName: campaign_name !== undefined ? campaign_name : campaign.program,
+      status,
+      startsAt,
+      endsAt
+    };
+    
+    const existing = publisher.activeCampaigns.find(c => c.campaignId === campaign_id);
+    if (existing) {
+      Object.assign(existing, fields);
+    } else {
+      publisher.activeCampaigns.push({ ...fields, addedBy: req.user.id, addedAt: new Date() });
+    }
+    
+    await publisher.save();
+    
+    console.log(`Campaign ${campaign_id} ${existing ? 'authorization updated' : 'authorized'} for ${publisher.publisherId} by admin ${req.user.id}`);
+    
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      message: existing ? 'Campaign authorization updated' : 'Campaign authorized',
+      campaign: formatCampaignAuthorization(publisher.activeCampaigns.find(c => c.campaignId === campaign_id))
+    });
+    
+  } catch (error) {
+    console.error('Publisher campaign authorization error:', error);
+    res.status(500).json({ 
+      error: 'update_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// DELETE /v1/admin/publishers/:publisherId/campaigns/:campaignId - Remove a campaign authorization
+// Impressions for it are quarantined or rejected from now on; existing receipts are unchanged.
+// =====================
+router.delete('/admin/publishers/:publisherId/campaigns/:campaignId', auth, requireAdmin, async (req, res) => {
+  try {
+    const { publisherId, campaignId } = req.params;
+    
+    const publisher = await PublisherApiKey.findOne({ publisherId });
+    
+    if (!publisher) {
+      return res.status(404).json({ 
+        error: 'not_found',
+        message: 'Publisher not found'
+      });
+    }
+    
+    const existing = publisher.activeCampaigns.find(c => c.campaignId === campaignId);
+    if (!existing) {
+      return res.status(404).json({
+        error: 'not_found',
+        message: 'This publisher is not authorized for that campaign'
+      });
+    }
+    
+    publisher.activeCampaigns.pull(existing._id);
+    await publisher.save();
+    
+    console.log(`Campaign ${campaignId} authorization removed for ${publisherId} by admin ${req.user.id}`);
+    
+    res.json({
+      success: true,
+      message: 'Campaign authorization removed',
+      campaign_id: campaignId
+    });
+    
+  } catch (error) {
+    console.error('Publisher campaign removal error:', error);
+    res.status(500).json({ 
+      error: 'update_failed',
+      message: error.message
+    });
+  }
+});
+
 // =====================
 // GET /v1/admin/publishers/:publisherId/history - Get key change history
 // =====================
@@ -460,6 +1157,10 @@ router.get('/admin/publishers/:publisherId/history', auth, requireAdmin, async (
       history: history.map(h => ({
         id: h._id,
         action: h.action,
+        key: h.keyId ? { id: h.keyId, label: h.keyLabel } : null,
+        old_key_prefix: h.oldKeyPrefix || null,
+        new_key_prefix: h.newKeyPrefix || null,
+        ip_address: h.ipAddress || null,
         performed_by: h.performedBy ? {
           id: h.performedBy._id,
           name: h.performedBy.fullName,
@@ -545,4 +1246,166 @@ router.get('/admin/publishers/:publisherId/stats', auth, requireAdmin, async (re
   }
 });
 
+// =====================
+// GET /v1/admin/orphaned-conversions - Conversions that never matched a pause
+// =====================
+router.get('/admin/orphaned-conversions', auth, requireAdmin, async (req, res) => {
+  try {
+    const { publisher_id, start_date, end_date, limit = 100 } = req.query;
+    
+    // Close out any pending conversions whose window has expired
+    await EventReceipt.markOrphanedEvents();
+    
+    const filter = {
+      eventType: 'qr_conversion',
+      matchStatus: 'orphaned'
+    };
+    
+    if (publisher_id) {
+      filter.publisherId = publisher_id;
+    }
+    
+    if (start_date || end_date) {
+      filter.eventTimeUtc = {};
+      if (start_date) filter.eventTimeUtc.$gte = new Date(start_date);
+      if (end_date) filter.eventTimeUtc.$lte = new Date(end_date);
+    }
+    
+    const [orphans, byPublisher] = await Promise.all([
+      EventReceipt.find(filter)
+        .sort({ eventTimeUtc: -1 })
+        .limit(parseInt(limit))
+        .lean(),
+      EventReceipt.aggregate([
+        { $match: filter },
+        { $group: { _id: '$publisherId', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ])
+    ]);
+    
+    res.json({
+      total: byPublisher.reduce((sum, p) => sum + p.count, 0),
+      by_publisher: byPublisher.map(p => ({
+        publisher_id: p._id,
+        count: p.count
+      })),
+      orphans: orphans.map(o => ({
+        receipt_id: `rct_${o._id}`,
+        publisher_id: o.publisherId,
+        event_id: o.eventId,
+        event_time_utc: o.eventTimeUtc,
+        ipause_opportunity_id: o.ipauseOpportunityId,
+        conversion_result: o.conversionResult,
+        match_expired_at: o.matchExpiresAt
+      }))
+    });
+    
+  } catch (error) {
+    console.error('Orphaned conversions fetch error:', error);
+    res.status(500).json({ 
+      error: 'fetch_failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Validate scopes / expires_at for a named key
+ * @returns {Object} { scopes, expiresAt } (undefined when not given), or { error }
+ */
+function parseKeyFields({ scopes, expires_at, allowed_cidrs }) {
+  const fields = {};
+  
+  if (scopes !== undefined) {
+    const valid = Array.isArray(scopes) && scopes.length > 0 &&
+      scopes.every(scope => PublisherKey.PUBLISHER_KEY_SCOPES.includes(scope));
+    if (!valid) {
+      return {
+        error: {
+          error: 'invalid_scopes',
+          message: `scopes must be a non-empty array of: ${PublisherKey.PUBLISHER_KEY_SCOPES.join(', ')}`
+        }
+      };
+    }
+    fields.scopes = [...new Set(scopes)];
+  }
+  
+  if (expires_at !== undefined) {
+    const expiresAt = expires_at === null ? null : new Date(expires_at);
+    if (expiresAt && (isNaN(expiresAt.getTime()) || expiresAt <= new Date())) {
+      return {
+        error: {
+          error: 'invalid_expires_at',
+          message: 'expires_at must be a future ISO 8601 date, or null for no expiry'
+        }
+      };
+    }
+    fields.expiresAt = expiresAt;
+  }
+  
+  if (allowed_cidrs !== undefined) {
+    const allowlist = parseAllowedCidrs(allowed_cidrs);
+    if (allowlist.error) return allowlist;
+    fields.allowedCidrs = allowlist.cidrs;
+  }
+  
+  return fields;
+}
+
+/**
+ * Validate a fraud_rules request value (null or {} changes nothing; omitted rules are kept)
+ * @returns {Object} { rules } with the PublisherApiKey.fraudRules fields to set, or { error: { error, message } }
+ */
+function parseFraudRules(value) {
+  if (value === null) return { rules: {} };
+
+  const invalid = (message) => ({ error: { error: 'invalid_fraud_rules', message } });
+
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return invalid(`fraud_rules must be an object with any of: ${Object.keys(FRAUD_RULE_FIELDS).join(', ')}`);
+  }
+
+  const rules = {};
+  for (const [name, setting] of Object.entries(value)) {
+    if (setting === undefined) continue;
+
+    if (!Object.hasOwn(FRAUD_RULE_FIELDS, name)) {
+      return invalid(`Unknown fraud rule: ${name}. Allowed: ${Object.keys(FRAUD_RULE_FIELDS).join(', ')}`);
+    }
+
+    const { field, min, max } = FRAUD_RULE_FIELDS[name];
+    const type = typeof DEFAULT_FRAUD_RULES[field];
+
+    if (type === 'boolean' && typeof setting !== 'boolean') {
+      return invalid(`${name} must be a boolean`);
+    }
+    if (type === 'number' && (typeof setting !== 'number' || !Number.isFinite(setting) || setting < min || setting > max)) {
+      return invalid(`${name} must be a number from ${min} to ${max}`);
+    }
+
+    rules[field] = setting;
+  }
+
+  return { rules };
+}
+
+async function findPublisherKey({ publisherId, keyId }) {
+  if (!/^[a-f0-9]{24}$/i.test(keyId)) return null;
+  return PublisherKey.findOne({ _id: keyId, publisherId });
+}
+
+/**
+ * Publisher fraud rules in API shape (defaults filled in)
+ */
+function formatFraudRules(rules) {
+  const settings = { ...DEFAULT_FRAUD_RULES, ...rules };
+  return {
+    enabled: settings.enabled,
+    min_asv_seconds: settings.minAsvSeconds,
+    check_country_mismatch: settings.checkCountryMismatch,
+    check_opportunity_reuse: settings.checkOpportunityReuse,
+    hold_threshold: settings.holdThreshold
+  };
+}
+
 module.exports = router;
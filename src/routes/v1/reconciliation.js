@@ -0,0 +1,288 @@
+// src/routes/v1/reconciliation.js
+// Publisher count reconciliation: upload daily pause / scan counts (CSV or JSON), get a discrepancy report
+// Publishers upload under /v1/reconciliation (API key), admins on a publisher's behalf under /v1/admin.
+const express = require('express');
+const router = express.Router();
+
+// Models
+const PublisherApiKey = require('../../models/PublisherApiKey');
+const ReconciliationReport = require('../../models/ReconciliationReport');
+
+// Middleware
+const auth = require('../../middleware/auth');
+const { requireAdmin } = require('../../middleware/adminAuth');
+const { authenticatePublisher, requireScope } = require('../../middleware/publisherAuth');
+const { publisherRateLimit } = require('../../middleware/publisherRateLimit');
+
+// Utils
+const {
+  parseCsv,
+  resolveTolerance,
+  createReconciliationReport,
+  formatReport,
+  sendReportCsv
+} = require('../../utils/reconciliation');
+
+// CSV uploads arrive as text; JSON uploads are already parsed by express.json
+const parseCsvBody = express.text({
+  type: ['text/csv', 'text/plain'],
+  limit: process.env.RECONCILIATION_UPLOAD_LIMIT || '2mb'
+});
+
+/**
+ * Pull the records and options out of a CSV or JSON upload
+ * CSV: options in the query string. JSON: { rows, label, tolerance_percent } or a bare array of rows.
+ */
+function readUpload(req) {
+  if (typeof req.body === 'string') {
+    return { format: 'csv', records: parseCsv(req.body), options: req.query };
+  }
+
+  const body = req.body || {};
+  return Array.isArray(body)
+    ? { format: 'json', records: body, options: req.query }
+    : { format: 'json', records: body.rows, options: { ...req.query, ...body } };
+}
+
+function parseLabel(label) {
+  if (label === undefined || label === null || label === '') return { label: null };
+  if (typeof label !== 'string' || label.length > 100) return { error: true };
+  return { label };
+}
+
+/**
+ * Validate an upload, build the report and respond
+ * @param {Object} context - { publisher, sandbox, uploadedBy, uploadedByUser, allowToleranceOverride }
+ */
+async function handleUpload(req, res, context) {
+  const { format, records, options } = readUpload(req);
+
+  const { label, error: labelError } = parseLabel(options.label);
+  if (labelError) {
+    return res.status(400).json({
+      error: 'invalid_label',
+      message: 'label must be a string of at most 100 characters'
+    });
+  }
+
+  // Publishers always use the tolerance configured for them
+  const tolerancePercent = resolveTolerance(
+    context.allowToleranceOverride ? options.tolerance_percent : undefined,
+    context.publisher
+  );
+  if (tolerancePercent === null) {
+    return res.status(400).json({
+      error: 'invalid_tolerance',
+      message: 'tolerance_percent must be a number between 0 and 100'
+    });
+  }
+
+  const result = await createReconciliationReport({
+    publisherId: context.publisher.publisherId,
+    records,
+    format,
+    tolerancePercent,
+    label,
+    sandbox: context.sandbox,
+    uploadedBy: context.uploadedBy,
+    uploadedByUser: context.uploadedByUser
+  });
+
+  if (result.errors) {
+    return res.status(400).json({
+      error: 'invalid_upload',
+      message: 'Upload rows must have date (YYYY-MM-DD), optional campaign_id and content_id, and pauses and/or scans',
+      errors: result.errors
+    });
+  }
+
+  console.log(`Reconciliation report ${result.report._id} for ${context.publisher.publisherId}: ${result.report.summary.flaggedRows}/${result.report.summary.rows} row(s) flagged`);
+
+  res.status(201).json(formatReport(result.report, { includeRows: true }));
+}
+
+/**
+ * Respond with a report as JSON, or as a CSV download with ?format=csv
+ */
+function sendReport(req, res, report) {
+  if (req.query.format === 'csv') {
+    return sendReportCsv(res, report);
+  }
+  res.json(formatReport(report, { includeRows: true }));
+}
+
+function isReportId(id) {
+  return /^[a-f0-9]{24}$/i.test(id);
+}
+
+function respondReportNotFound(res) {
+  return res.status(404).json({
+    error: 'not_found',
+    message: 'Reconciliation report not found'
+  });
+}
+
+// =====================
+// POST /v1/reconciliation - Upload publisher counts
+// Content-Type text/csv (columns date, campaign_id, content_id, pauses, scans) or application/json
+// =====================
+router.post('/reconciliation', authenticatePublisher, requireScope('stats:read'), publisherRateLimit, parseCsvBody, async (req, res) => {
+  try {
+    await handleUpload(req, res, {
+      publisher: req.publisher,
+      sandbox: !!req.sandbox,
+      uploadedBy: 'publisher',
+      uploadedByUser: null,
+      allowToleranceOverride: false
+    });
+
+  } catch (error) {
+    console.error('Reconciliation upload error:', error);
+    res.status(500).json({
+      error: 'upload_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// GET /v1/reconciliation - List publisher's reports, newest first
+// =====================
+router.get('/reconciliation', authenticatePublisher, requireScope('stats:read'), publisherRateLimit, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const reports = await ReconciliationReport.find({
+      publisherId: req.publisher.publisherId,
+      sandbox: !!req.sandbox
+    })
+      .select('-rows')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({
+      reports: reports.map(report => formatReport(report))
+    });
+
+  } catch (error) {
+    console.error('Reconciliation reports fetch error:', error);
+    res.status(500).json({
+      error: 'fetch_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// GET /v1/reconciliation/:reportId - Report with all rows (?format=csv to download)
+// =====================
+router.get('/reconciliation/:reportId', authenticatePublisher, requireScope('stats:read'), publisherRateLimit, async (req, res) => {
+  try {
+    const report = isReportId(req.params.reportId)
+      ? await ReconciliationReport.findOne({
+        _id: req.params.reportId,
+        publisherId: req.publisher.publisherId,
+        sandbox: !!req.sandbox
+      })
+      : null;
+
+    if (!report) return respondReportNotFound(res);
+
+    sendReport(req, res, report);
+
+  } catch (error) {
+    console.error('Reconciliation report fetch error:', error);
+    res.status(500).json({
+      error: 'fetch_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// POST /v1/admin/publishers/:publisherId/reconciliation - Upload counts on a publisher's behalf
+// Admins may override the tolerance with tolerance_percent.
+// =====================
+router.post('/admin/publishers/:publisherId/reconciliation', auth, requireAdmin, parseCsvBody, async (req, res) => {
+  try {
+    const publisher = await PublisherApiKey.findOne({ publisherId: req.params.publisherId })
+      .select('publisherId reconciliationTolerancePercent')
+      .lean();
+
+    if (!publisher) {
+      return res.status(404).json({
+        error: 'not_found',
+        message: 'Publisher not found'
+      });
+    }
+
+    await handleUpload(req, res, {
+      publisher,
+      sandbox: false,
+      uploadedBy: 'admin',
+      uploadedByUser: req.user.id,
+      allowToleranceOverride: true
+    });
+
+  } catch (error) {
+    console.error('Reconciliation upload error:', error);
+    res.status(500).json({
+      error: 'upload_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// GET /v1/admin/reconciliation - List reports (publisher_id, flagged=true filters)
+// =====================
+router.get('/admin/reconciliation', auth, requireAdmin, async (req, res) => {
+  try {
+    const { publisher_id, flagged } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const filter = {};
+    if (publisher_id) filter.publisherId = publisher_id;
+    if (flagged === 'true') filter['summary.flaggedRows'] = { $gt: 0 };
+
+    const reports = await ReconciliationReport.find(filter)
+      .select('-rows')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({
+      reports: reports.map(report => formatReport(report))
+    });
+
+  } catch (error) {
+    console.error('Reconciliation reports fetch error:', error);
+    res.status(500).json({
+      error: 'fetch_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// GET /v1/admin/reconciliation/:reportId - Any report with all rows (?format=csv to download)
+// =====================
+router.get('/admin/reconciliation/:reportId', auth, requireAdmin, async (req, res) => {
+  try {
+    const report = isReportId(req.params.reportId)
+      ? await ReconciliationReport.findById(req.params.reportId)
+      : null;
+
+    if (!report) return respondReportNotFound(res);
+
+    sendReport(req, res, report);
+
+  } catch (error) {
+    console.error('Reconciliation report fetch error:', error);
+    res.status(500).json({
+      error: 'fetch_failed',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,86 @@
+// src/routes/v1/sandbox.js
+// Publisher view of sandbox (pk_test_) data, and wiping it
+const express = require('express');
+const router = express.Router();
+
+// Models
+const SandboxEventReceipt = require('../../models/SandboxEventReceipt');
+
+// Middleware
+const { authenticatePublisher, requireScope } = require('../../middleware/publisherAuth');
+const { publisherRateLimit } = require('../../middleware/publisherRateLimit');
+
+// Utils
+const { wipeSandbox } = require('../../utils/eventStore');
+
+// =====================
+// GET /v1/sandbox - Sandbox event counts for publisher
+// =====================
+router.get('/sandbox', authenticatePublisher, requireScope('events:read'), publisherRateLimit, async (req, res) => {
+  try {
+    const publisherId = req.publisher.publisherId;
+
+    const [byType, oldest, newest] = await Promise.all([
+      SandboxEventReceipt.aggregate([
+        { $match: { publisherId } },
+        { $group: { _id: '$eventType', count: { $sum: 1 } } }
+      ]),
+      SandboxEventReceipt.findOne({ publisherId }).sort({ eventTimeUtc: 1 }).select('eventTimeUtc').lean(),
+      SandboxEventReceipt.findOne({ publisherId }).sort({ eventTimeUtc: -1 }).select('eventTimeUtc').lean()
+    ]);
+
+    res.json({
+      publisher_id: publisherId,
+      sandbox_key_issued: !!(req.publisher.sandboxApiKeyHash || req.publisher.sandboxApiKey),
+      events: Object.fromEntries(byType.map(t => [t._id, t.count])),
+      total_events: byType.reduce((sum, t) => sum + t.count, 0),
+      oldest_event_time_utc: oldest?.eventTimeUtc || null,
+      newest_event_time_utc: newest?.eventTimeUtc || null
+    });
+
+  } catch (error) {
+    console.error('Sandbox summary error:', error);
+    res.status(500).json({
+      error: 'fetch_failed',
+      message: error.message
+    });
+  }
+});
+
+// =====================
+// DELETE /v1/sandbox/events - Wipe all sandbox data for publisher
+// Live data is never touched.
+// =====================
+router.delete('/sandbox/events', authenticatePublisher, requireScope('events:write'), publisherRateLimit, async (req, res) => {
+  try {
+    if (req.query.confirm !== 'yes') {
+      return res.status(400).json({
+        error: 'confirmation_required',
+        message: 'Add ?confirm=yes to delete all sandbox data'
+      });
+    }
+
+    const deleted = await wipeSandbox(req.publisher.publisherId);
+
+    console.log(`Sandbox wiped for ${req.publisher.publisherId}: ${deleted.events} event(s)`);
+
+    res.json({
+      success: true,
+      message: 'Sandbox data deleted',
+      deleted: {
+        events: deleted.events,
+        idempotency_keys: deleted.idempotencyKeys,
+        void_logs: deleted.voidLogs
+      }
+    });
+
+  } catch (error) {
+    console.error('Sandbox wipe error:', error);
+    res.status(500).json({
+      error: 'wipe_failed',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
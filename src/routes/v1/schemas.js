@@ -0,0 +1,38 @@
+// src/routes/v1/schemas.js
+// Public JSON Schemas so publishers can validate events on their side
+const express = require('express');
+const router = express.Router();
+
+const { registry, DEFAULT_EVENT_VERSION } = require('../../schemas/v1/events');
+const { getSchema, getSupportedVersions } = require('../../utils/eventValidator');
+
+// =====================
+// GET /v1/schemas - List all event schemas
+// =====================
+router.get('/schemas', (req, res) => {
+  res.json({
+    default_version: DEFAULT_EVENT_VERSION,
+    supported_versions: getSupportedVersions(),
+    schemas: registry
+  });
+});
+
+// =====================
+// GET /v1/schemas/:eventType/:version - Get a single schema
+// =====================
+router.get('/schemas/:eventType/:version', (req, res) => {
+  const { eventType, version } = req.params;
+  const schema = getSchema(eventType, version);
+
+  if (!schema) {
+    return res.status(404).json({
+      error: 'schema_not_found',
+      message: `No schema registered for ${eventType} v${version}`,
+      supported_versions: getSupportedVersions()
+    });
+  }
+
+  res.json(schema);
+});
+
+module.exports = router;
@@ -0,0 +1,154 @@
+// src/routes/v1/stats.js
+// Daily delivery and conversion stats for the authenticated publisher
+const express = require('express');
+const router = express.Router();
+
+// Models
+const EventReceipt = require('../../models/EventReceipt');
+
+// Utils
+const { getEventStore } = require('../../utils/eventStore');
+
+// Middleware
+const { authenticatePublisher, authenticatePublisherUser, requireScope } = require('../../middleware/publisherAuth');
+const { publisherRateLimit } = require('../../middleware/publisherRateLimit');
+
+// Range used when start_date / end_date are omitted
+const DEFAULT_STATS_DAYS = 30;
+
+// Longest range one request may cover
+const MAX_STATS_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a start_date / end_date query value
+ * A bare YYYY-MM-DD end date covers that whole UTC day.
+ * @returns {Date|null} null if the value is not a valid date
+ */
+function parseStatsDate(value, { endOfDay = false } = {}) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return new Date(date.getTime() + DAY_MS - 1);
+  }
+
+  return date;
+}
+
+function round(value, places = 2) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Shape counters (a daily row or the totals) for the response
+ */
+function formatStats(stats) {
+  return {
+    pause_impressions: stats.pauseImpressions,
+    conversions: stats.conversions,
+    matched_conversions: stats.matchedConversions,
+    match_rate: stats.conversions > 0 ? round(stats.matchedConversions / stats.conversions, 4) : null,
+    billable: stats.billable,
+    non_billable: stats.nonBillable,
+    held: stats.held,
+    avg_asv_seconds: stats.asvCount > 0 ? round(stats.asvSum / stats.asvCount) : null,
+    estimated_revenue_share: round(stats.estimatedRevenueShare)
+  };
+}
+
+// =====================
+// GET /v1/stats - Daily stats for publisher
+// Query: start_date, end_date (default last 30 days), group_by = content | device_type | campaign
+// Also served to publisher portal users as GET /v1/portal/stats
+// =====================
+async function getStats(req, res) {
+  try {
+    const { start_date, end_date, group_by } = req.query;
+
+    if (group_by && !Object.hasOwn(EventReceipt.STATS_GROUP_FIELDS, group_by)) {
+      return res.status(400).json({
+        error: 'invalid_group_by',
+        message: `group_by must be one of: ${Object.keys(EventReceipt.STATS_GROUP_FIELDS).join(', ')}`
+      });
+    }
+
+    const endDate = end_date ? parseStatsDate(end_date, { endOfDay: true }) : new Date();
+    const startDate = start_date
+      ? parseStatsDate(start_date)
+      : (endDate && new Date(endDate.getTime() - DEFAULT_STATS_DAYS * DAY_MS));
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({
+        error: 'invalid_date',
+        message: 'start_date and end_date must be ISO 8601 dates'
+      });
+    }
+
+    if (startDate > endDate) {
+      return res.status(400).json({
+        error: 'invalid_date_range',
+        message: 'start_date must be before end_date'
+      });
+    }
+
+    if (endDate - startDate > MAX_STATS_DAYS * DAY_MS) {
+      return res.status(400).json({
+        error: 'invalid_date_range',
+        message: `Date range cannot exceed ${MAX_STATS_DAYS} days`
+      });
+    }
+
+    const rows = await getEventStore(req).EventReceipt.getPublisherDailyStats(req.publisher.publisherId, {
+      startDate,
+      endDate,
+      groupBy: group_by || null
+    });
+
+    const totals = rows.reduce((sum, row) => {
+      for (const key of Object.keys(sum)) sum[key] += row[key];
+      return sum;
+    }, {
+      pauseImpressions: 0,
+      conversions: 0,
+      matchedConversions: 0,
+      billable: 0,
+      held: 0,
+      nonBillable: 0,
+      asvSum: 0,
+      asvCount: 0,
+      estimatedRevenueShare: 0
+    });
+
+    res.json({
+      publisher_id: req.publisher.publisherId,
+      start_date: startDate.toISOString(),
+      end_date: endDate.toISOString(),
+      group_by: group_by || null,
+      sandbox: !!req.sandbox,
+      days: rows.map(row => ({
+        date: row.date,
+        ...(group_by && {
+          group: row.group,
+          group_label: group_by === 'content' ? row.groupLabel : row.group
+        }),
+        ...formatStats(row)
+      })),
+      totals: formatStats(totals)
+    });
+
+  } catch (error) {
+    console.error('Stats fetch error:', error);
+    res.status(500).json({
+      error: 'fetch_failed',
+      message: error.message
+    });
+  }
+}
+
+router.get('/stats', authenticatePublisher, requireScope('stats:read'), publisherRateLimit, getStats);
+router.get('/portal/stats', authenticatePublisherUser, publisherRateLimit, getStats);
+
+module.exports = router;
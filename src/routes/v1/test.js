@@ -47,6 +47,10 @@ router.post('/test/setup', async (req, res) => {
       });
       publisher = result.publisher;
       
+      // Test traffic uses made-up campaign ids
+      publisher.campaignAuthorization = 'off';
+      await publisher.save();
+      
       res.json({
         success: true,
         message: 'Test publisher created',
@@ -89,8 +93,8 @@ router.post('/test/reset', async (req, res) => {
     const newApiKey = PublisherApiKey.generateApiKey();
     const newWebhookSecret = PublisherApiKey.generateWebhookSecret();
     
-    publisher.apiKey = newApiKey;
-    publisher.webhookSecret = newWebhookSecret;
+    publisher.setApiKey(newApiKey);
+    publisher.setWebhookSecret(newWebhookSecret);
     publisher.status = 'active';
     await publisher.save();
     
@@ -451,6 +455,57 @@ router.get('/test/stats', async (req, res) => {
   }
 });
 
+// =====================
+// Webhook receiver stand-in
+// Point a test subscription at http://localhost:<port>/v1/test/webhook-receiver to capture deliveries.
+// Add ?status=500 to the subscription URL to exercise retries.
+// =====================
+const MAX_RECEIVED_WEBHOOKS = 50;
+const receivedWebhooks = [];
+
+router.post('/test/webhook-receiver', async (req, res) => {
+  try {
+    const timestamp = req.headers['x-ipause-timestamp'];
+    const signature = req.headers['x-ipause-signature'];
+    
+    // Publisher deliveries are signed with the test publisher's webhook secret
+    const publisher = await PublisherApiKey.findOne({ publisherId: 'pub_test_hulu' });
+    const signatureValid = publisher && timestamp && signature
+      ? publisher.verifySignature(timestamp, req.rawBody || '', signature)
+      : null;
+    
+    receivedWebhooks.unshift({
+      received_at: new Date().toISOString(),
+      event: req.headers['x-ipause-event'],
+      delivery_id: req.headers['x-ipause-delivery'],
+      timestamp,
+      signature,
+      signature_valid: signatureValid,
+      body: req.body
+    });
+    receivedWebhooks.length = Math.min(receivedWebhooks.length, MAX_RECEIVED_WEBHOOKS);
+    
+    const status = parseInt(req.query.status) || 200;
+    res.status(status).json({ received: true });
+    
+  } catch (error) {
+    console.error('Test webhook receiver error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/test/webhook-receiver', (req, res) => {
+  res.json({
+    count: receivedWebhooks.length,
+    webhooks: receivedWebhooks
+  });
+});
+
+router.delete('/test/webhook-receiver', (req, res) => {
+  receivedWebhooks.length = 0;
+  res.json({ success: true, message: 'Received webhooks cleared' });
+});
+
 // =====================
 // DELETE /v1/test/cleanup - Clean up test data
 // =====================
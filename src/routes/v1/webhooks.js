@@ -0,0 +1,393 @@
+// src/routes/v1/webhooks.js
+// Outbound webhook subscriptions and delivery logs
+// Publishers manage theirs under /v1/webhooks (API key), advertisers under /v1/advertiser/webhooks (login token).
+const express = require('express');
+const router = express.Router();
+
+// Models
+const WebhookSubscription = require('../../models/WebhookSubscription');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+
+// Middleware
+const auth = require('../../middleware/auth');
+const { authenticatePublisher, authenticatePublisherUser, requireScope } = require('../../middleware/publisherAuth');
+const { publisherRateLimit } = require('../../middleware/publisherRateLimit');
+
+// Jobs
+const { redeliverWebhook } = require('../../jobs/webhookJobs');
+
+// Utils
+const { checkWebhookTarget } = require('../../utils/webhookTargets');
+
+const { WEBHOOK_EVENT_TYPES } = WebhookSubscription;
+
+// Subscriptions per publisher or advertiser
+const MAX_SUBSCRIPTIONS = 10;
+
+// Plain http endpoints (e.g. a local stand-in receiver) are only allowed outside production
+const ALLOW_HTTP_URLS = process.env.NODE_ENV !== 'production';
+
+/**
+ * Subscription filter for whoever is calling
+ */
+function ownerOf(req) {
+  return req.publisher
+    ? { ownerType: 'publisher', publisherId: req.publisher.publisherId }
+    : { ownerType: 'advertiser', advertiser: req.user.id };
+}
+
+/**
+ * Validate url / event_types / active / description from a request body
+ * @returns {Object} { error, message } or { fields } with the model fields to set
+ */
+function parseSubscriptionBody(body, { partial = false } = {}) {
+  const { url, event_types, active, description } = body || {};
+  const fields = {};
+
+  if (url !== undefined || !partial) {
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch (err) {
+      // handled below
+    }
+
+    const allowedProtocols = ALLOW_HTTP_URLS ? ['https:', 'http:'] : ['https:'];
+    if (!parsed || !allowedProtocols.includes(parsed.protocol)) {
+      return {
+        error: 'invalid_url',
+        message: ALLOW_HTTP_URLS ? 'url must be an http(s) URL' : 'url must be an https URL'
+      };
+    }
+    fields.url = parsed.toString();
+  }
+
+  if (event_types !== undefined || !partial) {
+    if (!Array.isArray(event_types) || event_types.length === 0 ||
+        event_types.some(type => !WEBHOOK_EVENT_TYPES.includes(type))) {
+      return {
+        error: 'invalid_event_types',
+        message: `event_types must be a non-empty array of: ${WEBHOOK_EVENT_TYPES.join(', ')}`
+      };
+    }
+    fields.eventTypes = [...new Set(event_types)];
+  }
+
+  if (active !== undefined) {
+    if (typeof active !== 'boolean') {
+      return { error: 'invalid_active', message: 'active must be a boolean' };
+    }
+    fields.active = active;
+  }
+
+  if (description !== undefined) {
+    if (description !== null && (typeof description !== 'string' || description.length > 200)) {
+      return { error: 'invalid_description', message: 'description must be a string of at most 200 characters' };
+    }
+    fields.description = description;
+  }
+
+  return { fields };
+}
+
+/**
+ * parseSubscriptionBody plus the check that a new url resolves to public addresses only
+ */
+async function parseSubscriptionRequest(body, options) {
+  const parsed = parseSubscriptionBody(body, options);
+  if (parsed.error || !parsed.fields.url) return parsed;
+
+  const target = await checkWebhookTarget(parsed.fields.url);
+  return target.error ? target : parsed;
+}
+
+function formatSubscription(subscription) {
+  return {
+    id: subscription._id,
+    url: subscription.url,
+    event_types: subscription.eventTypes,
+    active: subscription.active,
+    description: subscription.description,
+    last_delivery_at: subscription.lastDeliveryAt,
+    last_delivery_status: subscription.lastDeliveryStatus,
+    created_at: subscription.createdAt,
+    updated_at: subscription.updatedAt
+  };
+}
+
+function formatDelivery(delivery) {
+  return {
+    id: delivery._id,
+    subscription_id: delivery.subscription,
+    event_id: delivery.eventId,
+    event_type: delivery.eventType,
+    url: delivery.url,
+    status: delivery.status,
+    attempts: delivery.attempts.map(a => ({
+      attempted_at: a.attemptedAt,
+      status_code: a.statusCode,
+      error: a.error,
+      duration_ms: a.durationMs
+    })),
+    last_status_code: delivery.lastStatusCode,
+    last_error: delivery.lastError,
+    delivered_at: delivery.deliveredAt,
+    redelivery_of: delivery.redeliveryOf,
+    created_at: delivery.createdAt
+  };
+}
+
+async function findOwnedSubscription(req) {
+  if (!/^[a-f0-9]{24}$/i.test(req.params.subscriptionId)) return null;
+  return WebhookSubscription.findOne({ _id: req.params.subscriptionId, ...ownerOf(req) });
+}
+
+/**
+ * Subscriptions deliver live billing events, so sandbox (pk_test_) keys cannot change them
+ */
+function requireLiveKey(req, res, next) {
+  if (req.sandbox) {
+    return res.status(403).json({
+      error: 'live_key_required',
+      message: 'Webhook subscriptions can only be changed with your live API key'
+    });
+  }
+  next();
+}
+
+function respondSubscriptionNotFound(res) {
+  return res.status(404).json({
+    error: 'not_found',
+    message: 'Webhook subscription not found'
+  });
+}
+
+// =====================
+// POST /v1/webhooks, /v1/advertiser/webhooks - Create a subscription
+// =====================
+async function createSubscription(req, res) {
+  try {
+    const parsed = await parseSubscriptionRequest(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error, message: parsed.message });
+    }
+
+    const owner = ownerOf(req);
+
+    if (owner.ownerType === 'publisher' && parsed.fields.eventTypes.includes('wallet.low_balance')) {
+      return res.status(400).json({
+        error: 'invalid_event_types',
+        message: 'wallet.low_balance is only available to advertisers'
+      });
+    }
+
+    const count = await WebhookSubscription.countDocuments(owner);
+    if (count >= MAX_SUBSCRIPTIONS) {
+      return res.status(409).json({
+        error: 'subscription_limit_reached',
+        message: `At most ${MAX_SUBSCRIPTIONS} webhook subscriptions are allowed`
+      });
+    }
+
+    const signingSecret = owner.ownerType === 'advertiser' ? WebhookSubscription.generateSecret() : null;
+
+    const subscription = new WebhookSubscription({ ...owner, ...parsed.fields });
+    if (signingSecret) {
+      subscription.setSecret(signingSecret);
+    }
+    await subscription.save();
+
+    const response = formatSubscription(subscription);
+
+    // Advertiser secrets are only shown once; publishers verify with their existing webhook secret
+    if (signingSecret) {
+      response.signing_secret = signingSecret;
+    }
+
+    res.status(201).json(response);
+
+  } catch (error) {
+    console.error('Webhook subscription create error:', error);
+    res.status(500).json({
+      error: 'create_failed',
+      message: error.message
+    });
+  }
+}
+
+// =====================
+// GET /v1/webhooks, /v1/advertiser/webhooks - List subscriptions
+// =====================
+async function listSubscriptions(req, res) {
+  try {
+    const subscriptions = await WebhookSubscription.find(ownerOf(req)).sort({ createdAt: -1 });
+
+    res.json({
+      subscriptions: subscriptions.map(formatSubscription),
+      event_types: WEBHOOK_EVENT_TYPES
+    });
+
+  } catch (error) {
+    console.error('Webhook subscriptions fetch error:', error);
+    res.status(500).json({
+      error: 'fetch_failed',
+      message: error.message
+    });
+  }
+}
+
+// =====================
+// PATCH /v1/webhooks/:subscriptionId, /v1/advertiser/webhooks/:subscriptionId - Update a subscription
+// =====================
+async function updateSubscription(req, res) {
+  try {
+    const subscription = await findOwnedSubscription(req);
+    if (!subscription) return respondSubscriptionNotFound(res);
+
+    const parsed = await parseSubscriptionRequest(req.body, { partial: true });
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error, message: parsed.message });
+    }
+
+    if (subscription.ownerType === 'publisher' && parsed.fields.eventTypes?.includes('wallet.low_balance')) {
+      return res.status(400).json({
+        error: 'invalid_event_types',
+        message: 'wallet.low_balance is only available to advertisers'
+      });
+    }
+
+    subscription.set(parsed.fields);
+    await subscription.save();
+
+    res.json(formatSubscription(subscription));
+
+  } catch (error) {
+    console.error('Webhook subscription update error:', error);
+    res.status(500).json({
+      error: 'update_failed',
+      message: error.message
+    });
+  }
+}
+
+// =====================
+// DELETE /v1/webhooks/:subscriptionId, /v1/advertiser/webhooks/:subscriptionId - Delete a subscription
+// Its delivery log is kept; queued deliveries fail instead of sending.
+// =====================
+async function deleteSubscription(req, res) {
+  try {
+    const subscription = await findOwnedSubscription(req);
+    if (!subscription) return respondSubscriptionNotFound(res);
+
+    await subscription.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Webhook subscription deleted',
+      id: subscription._id
+    });
+
+  } catch (error) {
+    console.error('Webhook subscription delete error:', error);
+    res.status(500).json({
+      error: 'delete_failed',
+      message: error.message
+    });
+  }
+}
+
+// =====================
+// GET /v1/webhooks/:subscriptionId/deliveries - Delivery log, newest first
+// =====================
+async function listDeliveries(req, res) {
+  try {
+    const subscription = await findOwnedSubscription(req);
+    if (!subscription) return respondSubscriptionNotFound(res);
+
+    const { status, event_type, limit = 50 } = req.query;
+
+    const filter = { subscription: subscription._id };
+    if (status) filter.status = status;
+    if (event_type) filter.eventType = event_type;
+
+    const deliveries = await WebhookDelivery.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(Math.max(parseInt(limit) || 50, 1), 200));
+
+    res.json({
+      deliveries: deliveries.map(formatDelivery)
+    });
+
+  } catch (error) {
+    console.error('Webhook deliveries fetch error:', error);
+    res.status(500).json({
+      error: 'fetch_failed',
+      message: error.message
+    });
+  }
+}
+
+// =====================
+// POST /v1/webhooks/:subscriptionId/deliveries/:deliveryId/redeliver - Send a delivery's payload again
+// =====================
+async function redeliver(req, res) {
+  try {
+    const subscription = await findOwnedSubscription(req);
+    if (!subscription) return respondSubscriptionNotFound(res);
+
+    const delivery = /^[a-f0-9]{24}$/i.test(req.params.deliveryId)
+      ? await WebhookDelivery.findOne({ _id: req.params.deliveryId, subscription: subscription._id })
+      : null;
+
+    if (!delivery) {
+      return res.status(404).json({
+        error: 'not_found',
+        message: 'Webhook delivery not found'
+      });
+    }
+
+    if (!subscription.active) {
+      return res.status(409).json({
+        error: 'subscription_inactive',
+        message: 'Activate the subscription before redelivering'
+      });
+    }
+
+    const redelivery = await redeliverWebhook(delivery);
+
+    res.status(202).json({
+      success: true,
+      message: 'Delivery queued',
+      delivery: formatDelivery(redelivery)
+    });
+
+  } catch (error) {
+    console.error('Webhook redeliver error:', error);
+    res.status(500).json({
+      error: 'redeliver_failed',
+      message: error.message
+    });
+  }
+}
+
+// Publisher API key
+router.post('/webhooks', authenticatePublisher, requireScope('webhooks:manage'), requireLiveKey, publisherRateLimit, createSubscription);
+router.get('/webhooks', authenticatePublisher, requireScope('webhooks:manage'), publisherRateLimit, listSubscriptions);
+router.patch('/webhooks/:subscriptionId', authenticatePublisher, requireScope('webhooks:manage'), requireLiveKey, publisherRateLimit, updateSubscription);
+router.delete('/webhooks/:subscriptionId', authenticatePublisher, requireScope('webhooks:manage'), requireLiveKey, publisherRateLimit, deleteSubscription);
+router.get('/webhooks/:subscriptionId/deliveries', authenticatePublisher, requireScope('webhooks:manage'), publisherRateLimit, listDeliveries);
+router.post('/webhooks/:subscriptionId/deliveries/:deliveryId/redeliver', authenticatePublisher, requireScope('webhooks:manage'), requireLiveKey, publisherRateLimit, redeliver);
+
+// Publisher portal login token (read-only)
+router.get('/portal/webhooks', authenticatePublisherUser, publisherRateLimit, listSubscriptions);
+router.get('/portal/webhooks/:subscriptionId/deliveries', authenticatePublisherUser, publisherRateLimit, listDeliveries);
+
+// Advertiser login token
+router.post('/advertiser/webhooks', auth, createSubscription);
+router.get('/advertiser/webhooks', auth, listSubscriptions);
+router.patch('/advertiser/webhooks/:subscriptionId', auth, updateSubscription);
+router.delete('/advertiser/webhooks/:subscriptionId', auth, deleteSubscription);
+router.get('/advertiser/webhooks/:subscriptionId/deliveries', auth, listDeliveries);
+router.post('/advertiser/webhooks/:subscriptionId/deliveries/:deliveryId/redeliver', auth, redeliver);
+
+module.exports = router;
@@ -0,0 +1,191 @@
+// src/schemas/v1/events.js
+// JSON Schemas (draft-07) for v1 publisher event payloads, keyed by event_type + event_version.
+// To add a version, register a new schema here; older versions must stay unchanged.
+
+const SCHEMA_BASE_URL = (process.env.API_BASE_URL || 'https://api.ipauseads.com').replace(/\/$/, '') + '/v1/schemas';
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+const dateTime = { type: 'string', format: 'date-time' };
+
+const publisherSchema = {
+  type: 'object',
+  required: ['publisher_id'],
+  properties: {
+    publisher_id: nonEmptyString,
+    publisher_name: { type: 'string' },
+    app_id: { type: 'string' },
+    supply_type: { type: 'string' }
+  }
+};
+
+const sessionSchema = {
+  type: 'object',
+  required: ['ipause_opportunity_id'],
+  properties: {
+    session_id: { type: 'string' },
+    content_session_id: { type: 'string' },
+    ipause_opportunity_id: nonEmptyString
+  }
+};
+
+const geoSchema = {
+  type: 'object',
+  properties: {
+    country: { type: 'string' },
+    region: { type: 'string' }
+  }
+};
+
+const pauseImpressionProperties = {
+  event_type: { const: 'pause_impression' },
+  event_version: { type: 'string' },
+  event_id: nonEmptyString,
+  event_time_utc: dateTime,
+  qr_appeared_at: dateTime,
+  publisher: publisherSchema,
+  session: sessionSchema,
+  content: {
+    type: 'object',
+    properties: {
+      content_id: { type: 'string' },
+      title: { type: 'string' },
+      series: { type: 'string' },
+      season: { type: ['string', 'number'] },
+      episode: { type: ['string', 'number'] },
+      genre: { type: 'array', items: { type: 'string' } },
+      rating: { type: 'string' }
+    }
+  },
+  playback: {
+    type: 'object',
+    properties: {
+      pause_timestamp_ms: { type: 'number', minimum: 0 },
+      is_live: { type: 'boolean' }
+    }
+  },
+  ad: {
+    type: 'object',
+    properties: {
+      ipause_ad_id: { type: 'string' },
+      campaign_id: { type: 'string' },
+      brand: { type: 'string' },
+      creative_id: { type: 'string' },
+      qr_enabled: { type: 'boolean' }
+    }
+  },
+  device: {
+    type: 'object',
+    properties: {
+      device_type: { type: 'string' },
+      os: { type: 'string' }
+    }
+  },
+  geo: geoSchema
+};
+
+const qrConversionProperties = {
+  event_type: { const: 'qr_conversion' },
+  event_version: { type: 'string' },
+  event_id: nonEmptyString,
+  event_time_utc: dateTime,
+  publisher: publisherSchema,
+  session: sessionSchema,
+  conversion: {
+    type: 'object',
+    properties: {
+      conversion_type: { type: 'string' },
+      result: { type: 'string', enum: ['success', 'failed', 'timeout'] },
+      qr_destination_id: { type: 'string' }
+    }
+  }
+};
+
+const lifecycleProperties = (eventType) => ({
+  event_type: { const: eventType },
+  event_version: { type: 'string' },
+  event_id: nonEmptyString,
+  event_time_utc: dateTime,
+  publisher: publisherSchema,
+  session: sessionSchema,
+  playback: {
+    type: 'object',
+    properties: {
+      position_ms: { type: 'number', minimum: 0 }
+    }
+  }
+});
+
+const lifecycleRequired = ['event_type', 'event_id', 'event_time_utc', 'publisher', 'session'];
+
+/**
+ * Build a schema document with a stable $id
+ */
+function defineSchema(eventType, version, { description, required, properties }) {
+  return {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: `${SCHEMA_BASE_URL}/${eventType}/${version}`,
+    title: `${eventType} v${version}`,
+    description,
+    type: 'object',
+    required,
+    properties
+  };
+}
+
+const registry = {
+  pause_impression: {
+    '1.0': defineSchema('pause_impression', '1.0', {
+      description: 'Pause ad displayed on screen',
+      required: ['event_type', 'event_id', 'event_time_utc', 'publisher', 'session', 'content', 'ad'],
+      properties: pauseImpressionProperties
+    }),
+    '1.1': defineSchema('pause_impression', '1.1', {
+      description: 'Pause ad displayed on screen, with QR display time for ASV',
+      required: ['event_type', 'event_id', 'event_time_utc', 'qr_appeared_at', 'publisher', 'session', 'content', 'ad'],
+      properties: pauseImpressionProperties
+    })
+  },
+  qr_conversion: {
+    '1.0': defineSchema('qr_conversion', '1.0', {
+      description: 'Viewer scanned the pause ad QR code',
+      required: ['event_type', 'event_id', 'event_time_utc', 'publisher', 'session', 'conversion'],
+      properties: qrConversionProperties
+    }),
+    '1.1': defineSchema('qr_conversion', '1.1', {
+      description: 'Viewer scanned the pause ad QR code',
+      required: ['event_type', 'event_id', 'event_time_utc', 'publisher', 'session', 'conversion'],
+      properties: qrConversionProperties
+    }),
+    '1.2': defineSchema('qr_conversion', '1.2', {
+      description: 'Viewer scanned the pause ad QR code, with the scanning device location for fraud checks',
+      required: ['event_type', 'event_id', 'event_time_utc', 'publisher', 'session', 'conversion'],
+      properties: { ...qrConversionProperties, geo: geoSchema }
+    })
+  },
+  qr_displayed: {
+    '1.0': defineSchema('qr_displayed', '1.0', {
+      description: 'QR code actually rendered on screen; event_time_utc is the display time',
+      required: lifecycleRequired,
+      properties: lifecycleProperties('qr_displayed')
+    })
+  },
+  pause_resumed: {
+    '1.0': defineSchema('pause_resumed', '1.0', {
+      description: 'Viewer resumed playback, ending the pause ad',
+      required: lifecycleRequired,
+      properties: lifecycleProperties('pause_resumed')
+    })
+  },
+  pause_abandoned: {
+    '1.0': defineSchema('pause_abandoned', '1.0', {
+      description: 'Viewer left the paused content without resuming (app exit, back, timeout)',
+      required: lifecycleRequired,
+      properties: lifecycleProperties('pause_abandoned')
+    })
+  }
+};
+
+module.exports = {
+  DEFAULT_EVENT_VERSION: '1.0',
+  registry
+};
@@ -0,0 +1,70 @@
+// src/utils/campaignAuthorization.js
+// Which campaigns a publisher may send pause impressions for (PublisherApiKey.activeCampaigns),
+// and what ingestion does with impressions for any other campaign
+const CAMPAIGN_AUTHORIZATION_MODES = ['off', 'quarantine', 'reject'];
+
+// Used when the publisher record does not set campaignAuthorization:
+// off - accept every campaign (no check)
+// quarantine - store the impression but never count it in A2AR or bill its conversions
+// reject - refuse the impression with 403 campaign_not_authorized
+const DEFAULT_CAMPAIGN_AUTHORIZATION_MODE = CAMPAIGN_AUTHORIZATION_MODES.includes(process.env.CAMPAIGN_AUTHORIZATION_MODE)
+  ? process.env.CAMPAIGN_AUTHORIZATION_MODE
+  : 'quarantine';
+
+/**
+ * Effective enforcement mode for a publisher
+ */
+function getAuthorizationMode(publisher) {
+  return publisher.campaignAuthorization || DEFAULT_CAMPAIGN_AUTHORIZATION_MODE;
+}
+
+/**
+ * Check a campaign against the publisher's authorizations at the event's time
+ * @returns {Object} { authorized, mode, reason } - reason is null, 'not_authorized', 'paused' or 'outside_flight'
+ */
+function checkCampaignAuthorization(publisher, campaignId, at = new Date()) {
+  const mode = getAuthorizationMode(publisher);
+  if (mode === 'off') return { authorized: true, mode, reason: null };
+
+  const entry = (publisher.activeCampaigns || []).find(campaign => campaign.campaignId === campaignId);
+
+  if (!entry) return { authorized: false, mode, reason: 'not_authorized' };
+  if (entry.status && entry.status !== 'active') return { authorized: false, mode, reason: 'paused' };
+  if ((entry.startsAt && at < entry.startsAt) || (entry.endsAt && at >= entry.endsAt)) {
+    return { authorized: false, mode, reason: 'outside_flight' };
+  }
+
+  return { authorized: true, mode, reason: null };
+}
+
+/**
+ * Human-readable explanation of a failed check
+ */
+function describeAuthorizationFailure(campaignId, reason) {
+  if (reason === 'paused') return `Campaign ${campaignId} is paused for this publisher`;
+  if (reason === 'outside_flight') return `event_time_utc is outside the flight dates of campaign ${campaignId} for this publisher`;
+  return `This publisher is not authorized for campaign ${campaignId}`;
+}
+
+/**
+ * Campaign authorization in API shape
+ */
+function formatCampaignAuthorization(campaign) {
+  return {
+    campaign_id: campaign.campaignId,
+    campaign_name: campaign.campaignName || null,
+    status: campaign.status || 'active',
+    starts_at: campaign.startsAt || null,
+    ends_at: campaign.endsAt || null,
+    added_at: campaign.addedAt || null
+  };
+}
+
+module.exports = {
+  CAMPAIGN_AUTHORIZATION_MODES,
+  DEFAULT_CAMPAIGN_AUTHORIZATION_MODE,
+  getAuthorizationMode,
+  checkCampaignAuthorization,
+  describeAuthorizationFailure,
+  formatCampaignAuthorization
+};
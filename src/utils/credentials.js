@@ -0,0 +1,91 @@
+// src/utils/credentials.js
+// Publisher credentials at rest. API keys are stored as a salted SHA-256 hash plus a short
+// visible prefix used for lookup. Webhook secrets are needed in clear to compute HMACs,
+// so they are encrypted (AES-256-GCM with CREDENTIALS_ENCRYPTION_KEY) instead of hashed.
+const crypto = require('crypto');
+
+// Hex characters kept visible after pk_ / pk_test_ / whsec_ (e.g. "pk_1a2b3c4d")
+const CREDENTIAL_PREFIX_HEX_CHARS = 8;
+
+const HASH_SCHEME = 'sha256';
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+/**
+ * Visible start of a credential, safe to store, list and log
+ */
+function credentialPrefix(credential) {
+  if (!credential) return null;
+  return credential.substring(0, credential.lastIndexOf('_') + 1 + CREDENTIAL_PREFIX_HEX_CHARS);
+}
+
+/**
+ * Salted hash of an API key: "sha256$<salt>$<hex>"
+ */
+function hashApiKey(apiKey, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.createHash(HASH_SCHEME).update(`${salt}.${apiKey}`).digest('hex');
+  return `${HASH_SCHEME}$${salt}$${hash}`;
+}
+
+/**
+ * Constant-time check of an API key against a stored hash
+ */
+function verifyApiKey(apiKey, storedHash) {
+  const [scheme, salt] = String(storedHash || '').split('$');
+  if (scheme !== HASH_SCHEME || !salt || typeof apiKey !== 'string') return false;
+
+  const expected = Buffer.from(hashApiKey(apiKey, salt));
+  const stored = Buffer.from(storedHash);
+  return expected.length === stored.length && crypto.timingSafeEqual(expected, stored);
+}
+
+function encryptionKey() {
+  const secret = process.env.CREDENTIALS_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error('CREDENTIALS_ENCRYPTION_KEY must be set to store or read webhook secrets');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+/**
+ * Encrypt a webhook secret: "enc:v1:<iv>:<auth tag>:<ciphertext>" (base64 parts)
+ * Already-encrypted values are returned unchanged.
+ */
+function encryptSecret(secret) {
+  if (!secret || isEncrypted(secret)) return secret;
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return ENCRYPTED_PREFIX + [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * Decrypt a stored webhook secret
+ * Plaintext values (not yet converted by migrate-hash-credentials.js) are returned unchanged.
+ */
+function decryptSecret(value) {
+  if (!isEncrypted(value)) return value;
+
+  const [iv, tag, ciphertext] = value
+    .substring(ENCRYPTED_PREFIX.length)
+    .split(':')
+    .map(part => Buffer.from(part, 'base64'));
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  credentialPrefix,
+  hashApiKey,
+  verifyApiKey,
+  isEncrypted,
+  encryptSecret,
+  decryptSecret
+};
@@ -0,0 +1,110 @@
+// src/utils/eventMapping.js
+// Maps v1 event payloads onto EventReceipt fields.
+// Shared by ingestion and admin reprocessing so both derive receipts the same way.
+const QrCode = require('../models/QrCode');
+
+// Platform default for how long after a pause a conversion can still bill (QrCode.attributionWindowMinutes overrides)
+const DEFAULT_ATTRIBUTION_WINDOW_MINUTES = parseInt(process.env.ATTRIBUTION_WINDOW_MINUTES || '60');
+
+/**
+ * Fields common to every event type
+ */
+function mapBaseFields(payload) {
+  const { event_id, event_type, event_version = '1.0', event_time_utc, publisher, session } = payload;
+
+  return {
+    eventId: event_id,
+    eventType: event_type,
+    eventVersion: event_version,
+    eventTimeUtc: new Date(event_time_utc),
+    ipauseOpportunityId: session.ipause_opportunity_id,
+    publisherId: publisher.publisher_id
+  };
+}
+
+function mapPauseImpression(payload) {
+  const { event_time_utc, publisher, session, content, playback, ad, device, geo, qr_appeared_at } = payload;
+
+  return {
+    ...mapBaseFields(payload),
+    publisherName: publisher.publisher_name,
+    appId: publisher.app_id,
+    supplyType: publisher.supply_type,
+    sessionId: session.session_id,
+    contentSessionId: session.content_session_id,
+    contentId: content.content_id,
+    contentTitle: content.title,
+    series: content.series,
+    season: content.season,
+    episode: content.episode,
+    genre: content.genre || [],
+    rating: content.rating,
+    pauseTimestampMs: playback?.pause_timestamp_ms,
+    isLive: playback?.is_live || false,
+    ipauseAdId: ad.ipause_ad_id,
+    campaignId: ad.campaign_id,
+    brand: ad.brand,
+    creativeId: ad.creative_id,
+    qrEnabled: ad.qr_enabled || false,
+    deviceType: device?.device_type,
+    os: device?.os,
+    country: geo?.country,
+    region: geo?.region,
+    // When the QR code appeared on screen (defaults to the pause time)
+    qrAppearedAt: qr_appeared_at ? new Date(qr_appeared_at) : new Date(event_time_utc)
+  };
+}
+
+function mapQRConversion(payload) {
+  const { event_time_utc, session, conversion, geo } = payload;
+
+  return {
+    ...mapBaseFields(payload),
+    sessionId: session.session_id,
+    // Where the QR code was scanned (qr_conversion 1.2+)
+    country: geo?.country,
+    region: geo?.region,
+    conversionType: conversion.conversion_type,
+    conversionResult: conversion.result,
+    qrDestinationId: conversion.qr_destination_id,
+    qrScannedAt: new Date(event_time_utc)
+  };
+}
+
+function mapLifecycleEvent(payload) {
+  return {
+    ...mapBaseFields(payload),
+    playbackPositionMs: payload.playback?.position_ms
+  };
+}
+
+/**
+ * Map any supported payload by its event_type
+ */
+function mapEventPayload(payload) {
+  switch (payload.event_type) {
+    case 'pause_impression':
+      return mapPauseImpression(payload);
+    case 'qr_conversion':
+      return mapQRConversion(payload);
+    default:
+      return mapLifecycleEvent(payload);
+  }
+}
+
+/**
+ * Attribution window for a campaign, falling back to the platform default
+ */
+async function getAttributionWindow(campaignId) {
+  const qrCode = campaignId ? await QrCode.findOne({ id: campaignId }).select('attributionWindowMinutes').lean() : null;
+  return qrCode?.attributionWindowMinutes || DEFAULT_ATTRIBUTION_WINDOW_MINUTES;
+}
+
+module.exports = {
+  DEFAULT_ATTRIBUTION_WINDOW_MINUTES,
+  mapPauseImpression,
+  mapQRConversion,
+  mapLifecycleEvent,
+  mapEventPayload,
+  getAttributionWindow
+};
@@ -0,0 +1,486 @@
+// src/utils/eventReprocess.js
+// Re-derive EventReceipt fields, ASV, match links and billing status from the stored rawPayload.
+// Used by POST /v1/admin/events/reprocess and reprocess-events.js after fixing a mapping bug.
+const mongoose = require('mongoose');
+
+const EventReceipt = require('../models/EventReceipt');
+const A2ARMetric = require('../models/A2ARMetric');
+const QrCode = require('../models/QrCode');
+const { mapEventPayload, getAttributionWindow } = require('./eventMapping');
+const { scoreConversion, getFraudRules } = require('./fraudScoring');
+const { reverseConversionMetrics, reversePauseMetrics } = require('./eventVoid');
+const { enqueueBilling, enqueueA2ARUpdate } = require('../jobs/eventJobs');
+
+// Largest number of opportunities one run will touch
+const MAX_OPPORTUNITIES = parseInt(process.env.REPROCESS_MAX_OPPORTUNITIES || '5000');
+
+// Opportunities loaded from MongoDB at a time
+const CHUNK_SIZE = 100;
+
+// Never rewritten: they identify the receipt
+const IDENTITY_FIELDS = ['eventId', 'eventType', 'publisherId', 'ipauseOpportunityId'];
+
+// Fields that only change together with billing and match links
+const LINK_FIELDS = ['matchedPauseId', 'matchedConversionId', 'matchStatus', 'billingStatus', 'billingReason', 'fraudScore', 'fraudReasons'];
+
+/**
+ * Normalise a value so stored and derived values compare equal
+ */
+function comparable(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  if (Array.isArray(value)) return JSON.stringify(value.map(comparable));
+  return value;
+}
+
+/**
+ * Fields mapped straight from a receipt's rawPayload
+ */
+function mapReceipt(receipt) {
+  const fields = mapEventPayload(receipt.rawPayload);
+  IDENTITY_FIELDS.forEach(field => delete fields[field]);
+  return fields;
+}
+
+/**
+ * Re-derive every receipt of one opportunity the way ingestion would have
+ * @param {Array} receipts - All receipts sharing an ipauseOpportunityId
+ * @param {Object} lookups - { windowFor: campaignId => minutes, rulesFor: publisherId => fraudRules }
+ * @returns {Object} { derived: Map(receiptId => fields), billable: [{ pause, conversionId }],
+ *   a2ar: { count, reverse } (lists of { type: 'pause_opportunity' | 'dwell' | 'conversion', pause, conversion }),
+ *   conflicts, skipped }
+ */
+async function deriveOpportunity(receipts, { windowFor, rulesFor }) {
+  const derived = new Map();
+  const conflicts = [];
+  const skipped = [];
+  const active = [];
+  const a2ar = { count: [], reverse: [] };
+
+  for (const receipt of receipts) {
+    if (receipt.billingStatus === 'voided') continue;
+
+    if (!receipt.rawPayload) {
+      skipped.push({ receipt_id: `rct_${receipt._id}`, reason: 'missing_raw_payload' });
+      continue;
+    }
+
+    try {
+      derived.set(String(receipt._id), mapReceipt(receipt));
+      active.push(receipt);
+    } catch (error) {
+      skipped.push({ receipt_id: `rct_${receipt._id}`, reason: 'unmappable_raw_payload', message: error.message });
+    }
+  }
+
+  const byTime = (a, b) => derived.get(String(a._id)).eventTimeUtc - derived.get(String(b._id)).eventTimeUtc;
+
+  // Latest pause wins, as in EventReceipt.findMatchingPause
+  const pause = active
+    .filter(r => r.eventType === 'pause_impression')
+    .sort((a, b) => b.processedAt - a.processedAt)[0];
+
+  // Without a pause there is nothing to link; only the mapped fields are refreshed
+  if (!pause) {
+    return { derived, billable: [], a2ar, conflicts, skipped };
+  }
+
+  const p = derived.get(String(pause._id));
+  Object.assign(p, {
+    qrDisplayedEventId: null,
+    pauseEndedAt: null,
+    pauseEndReason: null,
+    dwellSeconds: null
+  });
+
+  // Lifecycle events: qr_displayed sets when the QR appeared, the first resume/abandon ends the pause
+  const lifecycleEvents = active
+    .filter(r => EventReceipt.LIFECYCLE_EVENT_TYPES.includes(r.eventType))
+    .sort(byTime);
+
+  for (const lifecycle of lifecycleEvents) {
+    const l = derived.get(String(lifecycle._id));
+    l.matchedPauseId = pause._id;
+    l.matchStatus = 'matched';
+    l.dwellSeconds = null;
+
+    if (lifecycle.eventType === 'qr_displayed') {
+      p.qrAppearedAt = l.eventTimeUtc;
+      p.qrDisplayedEventId = lifecycle._id;
+    } else if (!p.pauseEndedAt) {
+      const elapsedMs = l.eventTimeUtc.getTime() - p.eventTimeUtc.getTime();
+      p.dwellSeconds = Math.round(Math.max(0, elapsedMs) / 10) / 100;
+      p.pauseEndedAt = l.eventTimeUtc;
+      p.pauseEndReason = lifecycle.eventType === 'pause_resumed' ? 'resumed' : 'abandoned';
+      l.dwellSeconds = p.dwellSeconds;
+    }
+  }
+
+  // Conversions: reject scans before the pause, apply the attribution window, recompute ASV and fraud score
+  const attributionWindowMinutes = await windowFor(p.campaignId);
+  const conversions = active.filter(r => r.eventType === 'qr_conversion').sort(byTime);
+  const sessionIds = active
+    .filter(r => r.eventType === 'pause_impression' || r.eventType === 'qr_conversion')
+    .map(r => derived.get(String(r._id)).sessionId);
+  const inWindow = [];
+
+  for (const conversion of conversions) {
+    const c = derived.get(String(conversion._id));
+    const elapsedMs = c.eventTimeUtc - p.eventTimeUtc;
+    const noAsv = { asvSeconds: null, asvTier: null, asvLabel: null };
+
+    if (elapsedMs < 0) {
+      Object.assign(c, noAsv, {
+        matchedPauseId: null,
+        matchStatus: 'rejected',
+        billingStatus: 'non_billable',
+        billingReason: 'conversion_before_pause'
+      });
+      continue;
+    }
+
+    c.matchedPauseId = pause._id;
+    c.matchStatus = 'matched';
+    c.attributionWindowMinutes = attributionWindowMinutes;
+
+    if (elapsedMs > attributionWindowMinutes * 60 * 1000) {
+      Object.assign(c, noAsv, { billingStatus: 'non_billable', billingReason: 'outside_attribution_window' });
+      continue;
+    }
+
+    Object.assign(c, A2ARMetric.calculateASV(p.qrAppearedAt, c.eventTimeUtc));
+    c.billingStatus = c.conversionResult === 'success' ? 'billable' : 'non_billable';
+    c.billingReason = null;
+
+    if (c.conversionResult === 'success') {
+      const fraud = scoreConversion({
+        asvSeconds: c.asvSeconds,
+        pauseCountry: p.country,
+        conversionCountry: c.country,
+        sessionIds
+      }, await rulesFor(conversion.publisherId));
+
+      c.fraudScore = fraud.score;
+      c.fraudReasons = fraud.reasons;
+
+      // An admin's review decision stands; otherwise the score decides
+      const decision = conversion.fraudReview?.decision;
+      if (decision === 'rejected') {
+        c.billingStatus = 'non_billable';
+        c.billingReason = 'fraud_rejected';
+      } else if (!decision && fraud.hold) {
+        c.billingStatus = 'held';
+      }
+    }
+
+    inWindow.push(conversion);
+  }
+
+  // Quarantined pause (campaign not authorized at ingestion): its conversions never bill
+  if (pause.campaignAuthorized === false) {
+    for (const conversion of inWindow) {
+      Object.assign(derived.get(String(conversion._id)), {
+        asvSeconds: null,
+        asvTier: null,
+        asvLabel: null,
+        billingStatus: 'non_billable',
+        billingReason: 'campaign_not_authorized'
+      });
+    }
+  }
+
+  // The pause links to the earliest successful in-window conversion
+  const linked = inWindow.find(r => derived.get(String(r._id)).conversionResult === 'success') || inWindow[0];
+  const linkedFields = linked ? derived.get(String(linked._id)) : null;
+
+  p.matchedConversionId = linked?._id || null;
+  p.qrScannedAt = linkedFields?.eventTimeUtc || null;
+  p.asvSeconds = linkedFields?.asvSeconds ?? null;
+  p.asvTier = linkedFields?.asvTier ?? null;
+  p.asvLabel = linkedFields?.asvLabel ?? null;
+  p.billingStatus = linkedFields ? linkedFields.billingStatus : 'pending';
+  p.billingReason = linkedFields?.billingReason || null;
+
+  const campaignChanged = comparable(p.campaignId) !== comparable(pause.campaignId);
+
+  // Money already moved: only a void can undo a charge. The charge sits with the stored
+  // campaign's advertiser, so moving a billed pause to another campaign needs a void too.
+  if (pause.billingStatus === 'billed') {
+    if (p.billingStatus === 'billable' && !campaignChanged &&
+        comparable(p.matchedConversionId) === comparable(pause.matchedConversionId)) {
+      p.billingStatus = 'billed';
+    } else {
+      conflicts.push({
+        receipt_id: `rct_${pause._id}`,
+        reason: 'billed_requires_void',
+        message: campaignChanged
+          ? `Pause is already billed to campaign ${pause.campaignId} but re-derivation maps it to ${p.campaignId}; void it to refund instead`
+          : 'Pause is already billed but re-derivation changes its billing; void it to refund instead',
+        derived_billing_status: p.billingStatus,
+        derived_matched_conversion_id: p.matchedConversionId ? `rct_${p.matchedConversionId}` : null,
+        derived_campaign_id: p.campaignId || null
+      });
+
+      // Keep links, billing and the campaign (with its attribution window) as they are for the whole opportunity
+      for (const fields of derived.values()) {
+        LINK_FIELDS.forEach(field => delete fields[field]);
+        delete fields.attributionWindowMinutes;
+      }
+      delete p.campaignId;
+      return { derived, billable: [], a2ar, conflicts, skipped };
+    }
+  }
+
+  // A failed charge is not retried by reprocessing
+  if (pause.billingReason === 'insufficient_balance' && p.billingStatus === 'billable') {
+    p.billingStatus = 'non_billable';
+    p.billingReason = 'insufficient_balance';
+  }
+
+  const billable = p.billingStatus === 'billable' && pause.billingStatus !== 'billable'
+    ? [{ pause, conversionId: linked._id }]
+    : [];
+
+  // A2AR rows belong to the campaign's advertiser: counts made under the stored campaign
+  // are taken back and counted again under the new one
+  if (campaignChanged && pause.a2arCountedAt) {
+    p.a2arCountedAt = null;
+    a2ar.reverse.push({ type: 'pause_opportunity', pause });
+    a2ar.count.push({ type: 'pause_opportunity', pause });
+  }
+  if (campaignChanged && pause.a2arDwellCountedAt) {
+    p.a2arDwellCountedAt = null;
+    if (pause.dwellSeconds != null) a2ar.reverse.push({ type: 'dwell', pause });
+    if (p.dwellSeconds != null) a2ar.count.push({ type: 'dwell', pause });
+  }
+
+  // A2AR counts billable conversions, as at ingestion: count the newly billable ones and
+  // take back the ones that no longer are (only charges need a void; see billed_requires_void)
+  for (const conversion of conversions) {
+    const c = derived.get(String(conversion._id));
+    const counted = !!conversion.a2arCountedAt;
+
+    if (c.billingStatus === 'billable' && (!counted || campaignChanged)) {
+      if (counted) {
+        c.a2arCountedAt = null;
+        a2ar.reverse.push({ type: 'conversion', pause, conversion });
+      }
+      a2ar.count.push({ type: 'conversion', pause, conversion });
+    } else if (c.billingStatus !== 'billable' && counted) {
+      c.a2arCountedAt = null;
+      a2ar.reverse.push({ type: 'conversion', pause, conversion });
+    }
+  }
+
+  return { derived, billable, a2ar, conflicts, skipped };
+}
+
+/**
+ * Field-level differences between a stored receipt and its derived fields
+ */
+function diffReceipt(receipt, fields) {
+  const changes = {};
+
+  for (const [field, value] of Object.entries(fields)) {
+    if (comparable(receipt[field]) !== comparable(value)) {
+      changes[field] = { from: receipt[field] ?? null, to: value ?? null };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Write one opportunity's changes in a transaction, taking back the A2AR counts they undo
+ * (under the campaign the receipts were counted with) in the same transaction
+ */
+async function applyChanges(changed, reverse) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    for (const { receipt, changes } of changed) {
+      const $set = {};
+      for (const [field, { to }] of Object.entries(changes)) {
+        $set[field] = to;
+      }
+      await EventReceipt.updateOne({ _id: receipt._id }, { $set }, { session });
+    }
+
+    for (const { type, pause, conversion } of reverse) {
+      const qrCode = await QrCode.findOne({ id: pause.campaignId }).session(session);
+      if (!qrCode) continue;
+
+      if (type === 'conversion') {
+        await reverseConversionMetrics(conversion, pause, qrCode.advertiser, session);
+      } else {
+        await reversePauseMetrics(pause, qrCode.advertiser, session, {
+          pauseOpportunity: type === 'pause_opportunity',
+          dwell: type === 'dwell'
+        });
+      }
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    session.endSession();
+    throw error;
+  }
+}
+
+/**
+ * A2AR job for a count from deriveOpportunity, built from the re-derived fields
+ */
+function a2arUpdateFor({ type, pause, conversion }, derived) {
+  const p = derived.get(String(pause._id));
+  const base = {
+    receiptId: type === 'conversion' ? conversion._id : pause._id,
+    publisherId: pause.publisherId,
+    programTitle: p.contentTitle || p.series,
+    campaignId: p.campaignId
+  };
+
+  if (type === 'pause_opportunity') {
+    return { ...base, date: p.eventTimeUtc, pauseOpportunity: true, isLive: p.isLive };
+  }
+  if (type === 'dwell') {
+    return { ...base, date: p.eventTimeUtc, dwellSeconds: p.dwellSeconds };
+  }
+
+  const c = derived.get(String(conversion._id));
+  return { ...base, date: c.eventTimeUtc, conversion: true, asvSeconds: c.asvSeconds ?? null, isLive: p.isLive };
+}
+
+/**
+ * Reprocess receipts selected by publisher, campaign and/or event time range
+ *
+ * Every receipt of each selected opportunity is re-derived together, since ASV,
+ * match links and billing depend on the pause, its conversions and lifecycle events.
+ * Voided receipts are left alone and admin fraud review decisions are kept.
+ * Already-billed pauses are never re-billed or un-billed; they are reported as
+ * conflicts instead, as are billed pauses whose campaign changes. Conversions that become
+ * billable are billed and counted in A2AR; counted conversions that stop being billable are
+ * removed from A2AR, and counts of receipts whose campaign changes move to the new campaign.
+ *
+ * @param {Object} filter - { publisherId, campaignId, startDate, endDate }
+ * @param {Object} options - { dryRun = true, maxOpportunities }
+ * @returns {Object} Run summary with per-receipt changes, conflicts and skipped receipts
+ */
+async function reprocessEvents({ publisherId, campaignId, startDate, endDate }, { dryRun = true, maxOpportunities = MAX_OPPORTUNITIES } = {}) {
+  const match = {};
+  if (publisherId) match.publisherId = publisherId;
+  if (campaignId) {
+    // Conversions don't carry the campaign; select through their pause
+    match.campaignId = campaignId;
+    match.eventType = 'pause_impression';
+  }
+  if (startDate || endDate) {
+    match.eventTimeUtc = {};
+    if (startDate) match.eventTimeUtc.$gte = startDate;
+    if (endDate) match.eventTimeUtc.$lte = endDate;
+  }
+
+  const opportunityIds = (await EventReceipt.distinct('ipauseOpportunityId', match)).sort();
+  const selected = opportunityIds.slice(0, maxOpportunities);
+
+  const windows = new Map();
+  const rules = new Map();
+  const lookups = {
+    windowFor: async (campaign) => {
+      if (!windows.has(campaign)) windows.set(campaign, await getAttributionWindow(campaign));
+      return windows.get(campaign);
+    },
+    rulesFor: async (publisher) => {
+      if (!rules.has(publisher)) rules.set(publisher, await getFraudRules(publisher));
+      return rules.get(publisher);
+    }
+  };
+
+  const summary = {
+    dry_run: dryRun,
+    opportunities_matched: opportunityIds.length,
+    opportunities_processed: selected.length,
+    truncated: selected.length < opportunityIds.length,
+    receipts_scanned: 0,
+    receipts_changed: 0,
+    billing_queued: 0,
+    a2ar_queued: 0,
+    a2ar_reversed: 0,
+    changes: [],
+    conflicts: [],
+    skipped: []
+  };
+
+  for (let i = 0; i < selected.length; i += CHUNK_SIZE) {
+    const chunk = selected.slice(i, i + CHUNK_SIZE);
+    const receipts = await EventReceipt.find({ ipauseOpportunityId: { $in: chunk } });
+
+    const groups = new Map();
+    for (const receipt of receipts) {
+      if (!groups.has(receipt.ipauseOpportunityId)) groups.set(receipt.ipauseOpportunityId, []);
+      groups.get(receipt.ipauseOpportunityId).push(receipt);
+    }
+
+    for (const [opportunityId, group] of groups) {
+      const { derived, billable, a2ar, conflicts, skipped } = await deriveOpportunity(group, lookups);
+
+      summary.receipts_scanned += group.length;
+      summary.conflicts.push(...conflicts);
+      summary.skipped.push(...skipped);
+
+      const changed = [];
+      for (const receipt of group) {
+        const fields = derived.get(String(receipt._id));
+        if (!fields) continue;
+
+        const changes = diffReceipt(receipt, fields);
+        if (Object.keys(changes).length > 0) {
+          changed.push({ receipt, changes });
+          summary.changes.push({
+            receipt_id: `rct_${receipt._id}`,
+            event_type: receipt.eventType,
+            ipause_opportunity_id: opportunityId,
+            changes
+          });
+        }
+      }
+
+      summary.receipts_changed += changed.length;
+
+      if (dryRun) {
+        summary.billing_queued += billable.length;
+        summary.a2ar_queued += a2ar.count.length;
+        summary.a2ar_reversed += a2ar.reverse.length;
+        continue;
+      }
+
+      if (changed.length > 0) {
+        await applyChanges(changed, a2ar.reverse);
+        summary.a2ar_reversed += a2ar.reverse.length;
+      }
+
+      for (const { pause, conversionId } of billable) {
+        await enqueueBilling(pause, conversionId);
+        summary.billing_queued += 1;
+      }
+
+      for (const entry of a2ar.count) {
+        await enqueueA2ARUpdate(a2arUpdateFor(entry, derived));
+        summary.a2ar_queued += 1;
+      }
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  MAX_OPPORTUNITIES,
+  reprocessEvents
+};
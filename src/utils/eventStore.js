@@ -0,0 +1,54 @@
+// src/utils/eventStore.js
+// Where v1 events are stored: live collections, or the isolated sandbox ones for pk_test_ keys.
+// Sandbox events are validated, matched and scored like live ones, but never bill,
+// never update A2AR and never send webhooks.
+const EventReceipt = require('../models/EventReceipt');
+const IdempotencyCache = require('../models/IdempotencyCache');
+const EventVoidLog = require('../models/EventVoidLog');
+const SandboxEventReceipt = require('../models/SandboxEventReceipt');
+const SandboxIdempotencyCache = require('../models/SandboxIdempotencyCache');
+
+const LIVE_STORE = Object.freeze({
+  sandbox: false,
+  EventReceipt,
+  IdempotencyCache
+});
+
+const SANDBOX_STORE = Object.freeze({
+  sandbox: true,
+  EventReceipt: SandboxEventReceipt,
+  IdempotencyCache: SandboxIdempotencyCache
+});
+
+/**
+ * Store for a request authenticated by authenticatePublisher
+ * @param {Object} req - The request, or any object with a sandbox flag
+ */
+function getEventStore(req) {
+  return req.sandbox ? SANDBOX_STORE : LIVE_STORE;
+}
+
+/**
+ * Delete all sandbox data for a publisher
+ * @returns {Object} { events, idempotencyKeys, voidLogs } deleted counts
+ */
+async function wipeSandbox(publisherId) {
+  const [events, idempotencyKeys, voidLogs] = await Promise.all([
+    SandboxEventReceipt.deleteMany({ publisherId }),
+    SandboxIdempotencyCache.deleteMany({ publisherId }),
+    EventVoidLog.deleteMany({ publisherId, sandbox: true })
+  ]);
+
+  return {
+    events: events.deletedCount,
+    idempotencyKeys: idempotencyKeys.deletedCount,
+    voidLogs: voidLogs.deletedCount
+  };
+}
+
+module.exports = {
+  LIVE_STORE,
+  SANDBOX_STORE,
+  getEventStore,
+  wipeSandbox
+};
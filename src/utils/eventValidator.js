@@ -0,0 +1,108 @@
+// src/utils/eventValidator.js
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { registry, DEFAULT_EVENT_VERSION } = require('../schemas/v1/events');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+
+// Compile every registered schema once at startup
+// Keyed by Map (event_type -> version -> validator) so request values like "constructor"
+// or "__proto__" can never resolve to Object.prototype members
+const validators = new Map();
+Object.entries(registry).forEach(([eventType, versions]) => {
+  const compiled = new Map();
+  Object.entries(versions).forEach(([version, schema]) => {
+    compiled.set(version, ajv.compile(schema));
+  });
+  validators.set(eventType, compiled);
+});
+
+/**
+ * Convert an Ajv error into a { pointer, reason } violation
+ */
+function toViolation(error) {
+  let pointer = error.instancePath || '';
+
+  if (error.keyword === 'required') {
+    pointer += `/${error.params.missingProperty}`;
+  } else if (error.keyword === 'additionalProperties') {
+    pointer += `/${error.params.additionalProperty}`;
+  }
+
+  let reason = error.message;
+  if (error.keyword === 'enum') {
+    reason += `: ${error.params.allowedValues.join(', ')}`;
+  } else if (error.keyword === 'const') {
+    reason += `: ${error.params.allowedValue}`;
+  }
+
+  return { pointer: pointer || '/', reason };
+}
+
+/**
+ * List the registered event types and their versions
+ */
+function getSupportedVersions() {
+  const supported = {};
+  Object.entries(registry).forEach(([eventType, versions]) => {
+    supported[eventType] = Object.keys(versions);
+  });
+  return supported;
+}
+
+/**
+ * Get a single schema document, or null if not registered
+ */
+function getSchema(eventType, version) {
+  if (!Object.hasOwn(registry, eventType) || !Object.hasOwn(registry[eventType], version)) {
+    return null;
+  }
+  return registry[eventType][version];
+}
+
+/**
+ * Validate an event payload against the schema for its event_type + event_version
+ * @param {Object} payload - Raw event payload
+ * @returns {Object} { valid, error, message, errors }
+ */
+function validateEvent(payload) {
+  const eventType = payload?.event_type;
+  const version = payload?.event_version || DEFAULT_EVENT_VERSION;
+
+  if (!validators.has(eventType)) {
+    return {
+      valid: false,
+      error: 'invalid_event_type',
+      message: `event_type must be one of: ${Object.keys(registry).join(', ')}`
+    };
+  }
+
+  const validate = validators.get(eventType).get(version);
+
+  if (!validate) {
+    return {
+      valid: false,
+      error: 'unsupported_event_version',
+      message: `event_version "${version}" is not supported for ${eventType}`,
+      supported_versions: Object.keys(registry[eventType])
+    };
+  }
+
+  if (validate(payload)) {
+    return { valid: true, eventType, version };
+  }
+
+  return {
+    valid: false,
+    error: 'validation_failed',
+    message: `Payload does not match the ${eventType} v${version} schema`,
+    errors: validate.errors.map(toViolation)
+  };
+}
+
+module.exports = {
+  validateEvent,
+  getSchema,
+  getSupportedVersions
+};
@@ -0,0 +1,312 @@
+// src/utils/eventVoid.js
+// Void a v1 event receipt and reverse its billing and A2AR side effects in one transaction
+const mongoose = require('mongoose');
+
+const EventVoidLog = require('../models/EventVoidLog');
+const A2ARMetric = require('../models/A2ARMetric');
+const A2ARLiveMetric = require('../models/A2ARLiveMetric');
+const QrCode = require('../models/QrCode');
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+const BillingRecord = require('../models/BillingRecord');
+const PublisherLedgerEntry = require('../models/PublisherLedgerEntry');
+const { emitWebhookEvent } = require('../jobs/webhookJobs');
+const { getEventStore } = require('./eventStore');
+
+/**
+ * Mark a receipt voided, unless another request already did
+ * @returns {Object|null} The receipt as it was before the void, or null if already voided
+ */
+async function claimReceipt(EventReceipt, receiptId, { reason, note }, session) {
+  const before = await EventReceipt.findOne({ _id: receiptId, billingStatus: { $ne: 'voided' } }).session(session);
+  if (!before) return null;
+
+  await EventReceipt.updateOne(
+    { _id: before._id },
+    {
+      $set: {
+        billingStatus: 'voided',
+        billingStatusBeforeVoid: before.billingStatus,
+        voidedAt: new Date(),
+        voidReason: reason,
+        voidNote: note || null
+      }
+    },
+    { session }
+  );
+
+  return before;
+}
+
+/**
+ * Refund the conversion fee charged for a conversion, if it was billed,
+ * and debit the publisher's revenue share from its earnings ledger
+ * @returns {Object|null} { billingRecord, refundTransaction, amount }
+ */
+async function refundConversion(conversionId, reason, session) {
+  const billingRecord = await BillingRecord.findOne({ scan: conversionId, reversed: { $ne: true } }).session(session);
+  if (!billingRecord) return null;
+
+  const wallet = await Wallet.findOne({ user: billingRecord.user }).session(session);
+  if (!wallet) {
+    throw new Error(`Wallet not found for advertiser ${billingRecord.user}`);
+  }
+
+  const amount = billingRecord.conversionFee;
+  const balanceBefore = wallet.balance;
+  const balanceAfter = balanceBefore + amount;
+
+  wallet.balance = balanceAfter;
+  await wallet.save({ session });
+
+  const [refundTransaction] = await WalletTransaction.create([{
+    wallet: wallet._id,
+    type: 'refund',
+    amount,
+    balanceBefore,
+    balanceAfter,
+    description: `Refund for voided conversion (${reason})`,
+    referenceId: conversionId,
+    referenceType: 'event_receipt'
+  }], { session });
+
+  billingRecord.reversed = true;
+  billingRecord.reversedAt = new Date();
+  billingRecord.reversalReason = reason;
+  billingRecord.refundTransaction = refundTransaction._id;
+  await billingRecord.save({ session });
+
+  // Take back the publisher's revenue share
+  await PublisherLedgerEntry.reverseConversion(billingRecord, reason, session);
+
+  return { billingRecord, refundTransaction, amount };
+}
+
+/**
+ * Remove a conversion counted by the A2AR job from the daily (and, for live content,
+ * 5-minute and hourly) buckets. Uses the conversion as it was when counted.
+ */
+async function reverseConversionMetrics(conversion, pause, advertiser, session) {
+  const programTitle = pause.contentTitle || pause.series;
+
+  await A2ARMetric.reverseMetrics({
+    advertiser,
+    publisher: conversion.publisherId,
+    programTitle,
+    date: conversion.eventTimeUtc,
+    conversion: true,
+    asvSeconds: conversion.asvSeconds ?? null
+  }, { session });
+
+  if (pause.isLive) {
+    await A2ARLiveMetric.reverseLive({
+      advertiser,
+      publisher: conversion.publisherId,
+      programTitle: programTitle || 'Unknown',
+      campaignId: pause.campaignId,
+      date: conversion.eventTimeUtc,
+      conversion: true,
+      asvSeconds: conversion.asvSeconds ?? null
+    }, { session });
+  }
+}
+
+/**
+ * Remove a pause's counted opportunity and/or dwell sample from A2AR (live buckets only
+ * hold opportunities). Uses the pause as it was when counted.
+ */
+async function reversePauseMetrics(pause, advertiser, session, { pauseOpportunity = false, dwell = false } = {}) {
+  const programTitle = pause.contentTitle || pause.series;
+
+  await A2ARMetric.reverseMetrics({
+    advertiser,
+    publisher: pause.publisherId,
+    programTitle,
+    date: pause.eventTimeUtc,
+    pauseOpportunity,
+    dwellSeconds: dwell ? pause.dwellSeconds : null
+  }, { session });
+
+  if (pause.isLive && pauseOpportunity) {
+    await A2ARLiveMetric.reverseLive({
+      advertiser,
+      publisher: pause.publisherId,
+      programTitle: programTitle || 'Unknown',
+      campaignId: pause.campaignId,
+      date: pause.eventTimeUtc,
+      pauseOpportunity: true
+    }, { session });
+  }
+}
+
+/**
+ * Void an event receipt
+ *
+ * - pause_impression: voids the pause, its matched conversion and its lifecycle events,
+ *   refunds the conversion fee and removes the pause (and conversion) from A2AR.
+ * - qr_conversion: voids the conversion, refunds its fee, marks the pause non-billable
+ *   and removes the conversion from A2AR. The pause opportunity still counts.
+ * - lifecycle events: voids the receipt only; they carry no billing.
+ *
+ * Sandbox receipts are voided the same way, but have no refund, A2AR or webhook side effects.
+ *
+ * @param {Object} receipt - EventReceipt to void
+ * @param {Object} options - { reason, note, requestedBy: 'publisher'|'admin', requestedByUser, sandbox }
+ * @returns {Object|null} { receipt, voidLog } or null if the receipt was already voided
+ */
+async function voidEventReceipt(receipt, { reason, note = null, requestedBy = 'publisher', requestedByUser = null, sandbox = false }) {
+  const { EventReceipt } = getEventStore({ sandbox });
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const target = await claimReceipt(EventReceipt, receipt._id, { reason, note }, session);
+
+    if (!target) {
+      await session.abortTransaction();
+      session.endSession();
+      return null;
+    }
+
+    const voidedReceipts = [{
+      receipt: target._id,
+      eventType: target.eventType,
+      previousBillingStatus: target.billingStatus
+    }];
+
+    let pause = null;
+    let conversion = null;
+
+    if (target.eventType === 'pause_impression') {
+      pause = target;
+
+      if (target.matchedConversionId) {
+        conversion = await claimReceipt(EventReceipt, target.matchedConversionId, { reason, note }, session);
+        if (conversion) {
+          voidedReceipts.push({
+            receipt: conversion._id,
+            eventType: conversion.eventType,
+            previousBillingStatus: conversion.billingStatus
+          });
+        }
+      }
+
+      const lifecycleEvents = await EventReceipt.find({
+        ipauseOpportunityId: target.ipauseOpportunityId,
+        publisherId: target.publisherId,
+        eventType: { $in: EventReceipt.LIFECYCLE_EVENT_TYPES },
+        billingStatus: { $ne: 'voided' }
+      }).session(session);
+
+      for (const lifecycle of lifecycleEvents) {
+        await claimReceipt(EventReceipt, lifecycle._id, { reason, note }, session);
+        voidedReceipts.push({
+          receipt: lifecycle._id,
+          eventType: lifecycle.eventType,
+          previousBillingStatus: lifecycle.billingStatus
+        });
+      }
+
+    } else if (target.eventType === 'qr_conversion') {
+      conversion = target;
+
+      if (target.matchedPauseId) {
+        pause = await EventReceipt.findById(target.matchedPauseId).session(session);
+
+        // Stop pending billing and unlink so a later conversion can still match this pause
+        if (pause && String(pause.matchedConversionId) === String(target._id) && pause.billingStatus !== 'voided') {
+          await EventReceipt.updateOne(
+            { _id: pause._id },
+            { $set: { billingStatus: 'non_billable', matchedConversionId: null } },
+            { session }
+          );
+        }
+      }
+    }
+
+    // Refund the advertiser if the conversion was billed
+    const refund = conversion && !sandbox ? await refundConversion(conversion._id, reason, session) : null;
+
+    // Remove the voided events from A2AR
+    let metricAdjustments = null;
+    const campaignId = pause?.campaignId || conversion?.campaignId;
+    const qrCode = campaignId ? await QrCode.findOne({ id: campaignId }) : null;
+
+    // Only what the A2AR job marked as counted is reversed: a job still queued finds the
+    // receipt voided and skips it, and quarantined pauses were never counted
+    if (qrCode && pause && !sandbox) {
+      metricAdjustments = {};
+
+      if (conversion && conversion.a2arCountedAt) {
+        await reverseConversionMetrics(conversion, pause, qrCode.advertiser, session);
+        metricAdjustments.verified_conversions = -1;
+      }
+
+      if (target.eventType === 'pause_impression' && (pause.a2arCountedAt || pause.a2arDwellCountedAt)) {
+        const dwellCounted = !!pause.a2arDwellCountedAt && pause.dwellSeconds != null;
+
+        await reversePauseMetrics(pause, qrCode.advertiser, session, {
+          pauseOpportunity: !!pause.a2arCountedAt,
+          dwell: dwellCounted
+        });
+        if (pause.a2arCountedAt) metricAdjustments.pause_opportunities = -1;
+        if (dwellCounted) metricAdjustments.dwell_samples = -1;
+      }
+    }
+
+    const [voidLog] = await EventVoidLog.create([{
+      receipt: target._id,
+      publisherId: target.publisherId,
+      reason,
+      note,
+      requestedBy,
+      requestedByUser,
+      sandbox,
+      voidedReceipts,
+      billingRecord: refund?.billingRecord._id || null,
+      refundTransaction: refund?.refundTransaction._id || null,
+      refundAmount: refund?.amount || 0,
+      metricAdjustments
+    }], { session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    console.log(`Event voided: ${target.eventType} ${target._id} (${reason}), ${voidedReceipts.length} receipt(s), refund $${refund?.amount || 0}`);
+
+    if (!sandbox) {
+      await emitWebhookEvent('event.voided', {
+        receipt_id: `rct_${target._id}`,
+        event_type: target.eventType,
+        publisher_id: target.publisherId,
+        ipause_opportunity_id: target.ipauseOpportunityId,
+        campaign_id: campaignId || null,
+        reason,
+        requested_by: requestedBy,
+        voided_receipts: voidedReceipts.map(v => ({
+          receipt_id: `rct_${v.receipt}`,
+          event_type: v.eventType,
+          previous_billing_status: v.previousBillingStatus
+        })),
+        refund_amount: refund?.amount || 0
+      }, {
+        publisherId: target.publisherId,
+        advertiserId: qrCode?.advertiser || null
+      });
+    }
+
+    return {
+      receipt: await EventReceipt.findById(target._id),
+      voidLog
+    };
+
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    session.endSession();
+    throw error;
+  }
+}
+
+module.exports = { voidEventReceipt, reverseConversionMetrics, reversePauseMetrics };
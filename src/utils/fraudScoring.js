@@ -0,0 +1,91 @@
+// src/utils/fraudScoring.js
+// Rule-based fraud scoring for matched qr_conversions, run before billing.
+// Conversions at or above the publisher's hold threshold are held for admin review.
+const EventReceipt = require('../models/EventReceipt');
+const PublisherApiKey = require('../models/PublisherApiKey');
+
+// Reason codes and the score each adds when its rule fires
+const FRAUD_RULE_WEIGHTS = {
+  asv_too_fast: 60,
+  country_mismatch: 50,
+  opportunity_reused: 70
+};
+
+// Used when a publisher record has no fraudRules (or no longer exists)
+const DEFAULT_FRAUD_RULES = {
+  enabled: true,
+  minAsvSeconds: 0.5,
+  checkCountryMismatch: true,
+  checkOpportunityReuse: true,
+  holdThreshold: 50
+};
+
+/**
+ * Score one conversion against a set of rules
+ * @param {Object} signals - { asvSeconds, pauseCountry, conversionCountry, sessionIds }
+ * @param {Object} rules - Publisher fraudRules
+ * @returns {Object} { score, reasons, hold }
+ */
+function scoreConversion({ asvSeconds, pauseCountry, conversionCountry, sessionIds = [] }, rules = DEFAULT_FRAUD_RULES) {
+  const settings = { ...DEFAULT_FRAUD_RULES, ...rules };
+  const reasons = [];
+
+  if (!settings.enabled) {
+    return { score: 0, reasons, hold: false };
+  }
+
+  if (asvSeconds !== null && asvSeconds !== undefined && asvSeconds < settings.minAsvSeconds) {
+    reasons.push('asv_too_fast');
+  }
+
+  if (settings.checkCountryMismatch && pauseCountry && conversionCountry &&
+      pauseCountry.toUpperCase() !== conversionCountry.toUpperCase()) {
+    reasons.push('country_mismatch');
+  }
+
+  if (settings.checkOpportunityReuse && new Set(sessionIds.filter(Boolean)).size > 1) {
+    reasons.push('opportunity_reused');
+  }
+
+  const score = Math.min(100, reasons.reduce((sum, reason) => sum + FRAUD_RULE_WEIGHTS[reason], 0));
+
+  return { score, reasons, hold: score >= settings.holdThreshold };
+}
+
+/**
+ * Fraud rules configured for a publisher
+ */
+async function getFraudRules(publisherId) {
+  const publisher = await PublisherApiKey.findOne({ publisherId }).select('fraudRules').lean();
+  return { ...DEFAULT_FRAUD_RULES, ...publisher?.fraudRules };
+}
+
+/**
+ * Score a conversion being matched to its pause at ingestion
+ * @param {Object} receipts - Model the receipts live in (EventReceipt, or its sandbox copy)
+ */
+async function evaluateConversion(conversionReceipt, pauseEvent, asvSeconds, receipts = EventReceipt) {
+  const [rules, sessionIds] = await Promise.all([
+    getFraudRules(conversionReceipt.publisherId),
+    receipts.distinct('sessionId', {
+      ipauseOpportunityId: pauseEvent.ipauseOpportunityId,
+      eventType: { $in: ['pause_impression', 'qr_conversion'] },
+      billingStatus: { $ne: 'voided' }
+    })
+  ]);
+
+  return scoreConversion({
+    asvSeconds,
+    pauseCountry: pauseEvent.country,
+    conversionCountry: conversionReceipt.country,
+    sessionIds: [...sessionIds, conversionReceipt.sessionId]
+  }, rules);
+}
+
+module.exports = {
+  FRAUD_RULE_WEIGHTS,
+  DEFAULT_FRAUD_RULES,
+  scoreConversion,
+  getFraudRules,
+  evaluateConversion
+};
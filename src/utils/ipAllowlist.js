@@ -0,0 +1,76 @@
+// src/utils/ipAllowlist.js
+// CIDR allowlists for publisher credentials (IPv4 and IPv6; a bare address means that address only)
+const net = require('net');
+
+// Ranges one credential may carry
+const MAX_ALLOWED_CIDRS = 50;
+
+/**
+ * Canonical "address/prefix" form of a CIDR range or single address
+ * @returns {string|null} null if it is not a valid range
+ */
+function normalizeCidr(value) {
+  if (typeof value !== 'string') return null;
+
+  const [address, prefix, extra] = value.trim().split('/');
+  const version = net.isIP(address);
+  if (!version || extra !== undefined) return null;
+
+  const maxBits = version === 4 ? 32 : 128;
+  if (prefix === undefined) return `${address}/${maxBits}`;
+
+  if (!/^\d{1,3}$/.test(prefix) || parseInt(prefix) > maxBits) return null;
+  return `${address}/${parseInt(prefix)}`;
+}
+
+/**
+ * Validate an allowed_cidrs request value (an array, or null / [] to allow every address)
+ * @returns {Object} { cidrs } or { error: { error, message } }
+ */
+function parseAllowedCidrs(value) {
+  if (value === null) return { cidrs: [] };
+
+  const invalid = (message) => ({ error: { error: 'invalid_allowed_cidrs', message } });
+
+  if (!Array.isArray(value)) {
+    return invalid('allowed_cidrs must be an array of CIDR ranges (e.g. "203.0.113.0/24"), or null to allow any address');
+  }
+  if (value.length > MAX_ALLOWED_CIDRS) {
+    return invalid(`allowed_cidrs can hold at most ${MAX_ALLOWED_CIDRS} ranges`);
+  }
+
+  const cidrs = [];
+  for (const entry of value) {
+    const cidr = normalizeCidr(entry);
+    if (!cidr) return invalid(`Invalid CIDR range: ${entry}`);
+    if (!cidrs.includes(cidr)) cidrs.push(cidr);
+  }
+
+  return { cidrs };
+}
+
+/**
+ * Whether an address falls in one of the ranges (an empty list allows every address)
+ * IPv4-mapped IPv6 addresses (::ffff:203.0.113.5) match IPv4 ranges.
+ */
+function isIpAllowed(ip, cidrs) {
+  if (!cidrs || cidrs.length === 0) return true;
+
+  const version = net.isIP(ip || '');
+  if (!version) return false;
+
+  const blockList = new net.BlockList();
+  for (const cidr of cidrs) {
+    const [address, prefix] = cidr.split('/');
+    blockList.addSubnet(address, parseInt(prefix), net.isIP(address) === 4 ? 'ipv4' : 'ipv6');
+  }
+
+  return blockList.check(ip, version === 4 ? 'ipv4' : 'ipv6');
+}
+
+module.exports = {
+  MAX_ALLOWED_CIDRS,
+  normalizeCidr,
+  parseAllowedCidrs,
+  isIpAllowed
+};
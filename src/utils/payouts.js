@@ -0,0 +1,290 @@
+// src/utils/payouts.js
+// Monthly publisher payout statements built from the PublisherLedgerEntry earnings ledger,
+// and their pending -> approved -> paid lifecycle
+const mongoose = require('mongoose');
+
+const PayoutStatement = require('../models/PayoutStatement');
+const PublisherLedgerEntry = require('../models/PublisherLedgerEntry');
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+
+function round(value, places = 2) {
+  const factor = Math.pow(10, places);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Parse a "YYYY-MM" period into its UTC bounds
+ * @returns {Object|null} { period, periodStart, periodEnd } (periodEnd exclusive), null if invalid
+ */
+function parsePeriod(period) {
+  const match = /^(\d{4})-(\d{2})$/.exec(String(period || ''));
+  if (!match) return null;
+
+  const year = parseInt(match[1]);
+  const month = parseInt(match[2]);
+  if (month < 1 || month > 12) return null;
+
+  return {
+    period,
+    periodStart: new Date(Date.UTC(year, month - 1, 1)),
+    periodEnd: new Date(Date.UTC(year, month, 1))
+  };
+}
+
+/**
+ * The calendar month (UTC) before the one containing `date`, as "YYYY-MM"
+ */
+function previousPeriod(date = new Date()) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - 1, 1));
+  return `${start.getUTCFullYear()}-${String(start.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Build one publisher's statement from its unsettled earnings up to the end of the period
+ * @returns {Object|null} The statement, or null if one exists already or nothing is owed
+ */
+async function generateStatement(publisherId, { period, periodStart, periodEnd }, { generatedBy = null } = {}) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    if (await PayoutStatement.exists({ publisherId, period }).session(session)) {
+      await session.abortTransaction();
+      session.endSession();
+      return null;
+    }
+
+    const entries = await PublisherLedgerEntry.find({
+      publisherId,
+      statement: null,
+      entryType: { $in: ['conversion_share', 'reversal'] },
+      occurredAt: { $lt: periodEnd }
+    }).session(session);
+
+    const credits = entries.filter(entry => entry.entryType === 'conversion_share');
+    const reversals = entries.filter(entry => entry.entryType === 'reversal');
+    const netAmount = round(entries.reduce((sum, entry) => sum + entry.amount, 0));
+
+    // Nothing owed (or reversals exceed credits): the entries roll into next month's statement
+    if (netAmount <= 0) {
+      await session.abortTransaction();
+      session.endSession();
+      return null;
+    }
+
+    const [statement] = await PayoutStatement.create([{
+      publisherId,
+      period,
+      periodStart,
+      periodEnd,
+      currency: entries[0].currency,
+      conversions: credits.length,
+      credits: round(credits.reduce((sum, entry) => sum + entry.amount, 0)),
+      reversedConversions: reversals.length,
+      reversals: round(reversals.reduce((sum, entry) => sum + entry.amount, 0)),
+      netAmount,
+      entryCount: entries.length,
+      generatedBy
+    }], { session });
+
+    await PublisherLedgerEntry.updateMany(
+      { _id: { $in: entries.map(entry => entry._id) }, statement: null },
+      { $set: { statement: statement._id } },
+      { session }
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+    return statement;
+
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    session.endSession();
+
+    // Another run created the same statement first
+    if (error.code === 11000) return null;
+    throw error;
+  }
+}
+
+/**
+ * Generate statements for a period (every publisher with unsettled earnings, or just one)
+ * Safe to re-run: publishers that already have a statement for the period are skipped.
+ * @param {string} period - "YYYY-MM"
+ * @param {Object} options - { publisherId, generatedBy }
+ * @returns {Array} Statements created by this run
+ */
+async function generateStatements(period, { publisherId = null, generatedBy = null } = {}) {
+  const bounds = parsePeriod(period);
+  if (!bounds) {
+    throw new Error(`Invalid payout period: ${period}`);
+  }
+
+  const publisherIds = publisherId
+    ? [publisherId]
+    : await PublisherLedgerEntry.distinct('publisherId', {
+      statement: null,
+      entryType: { $in: ['conversion_share', 'reversal'] },
+      occurredAt: { $lt: bounds.periodEnd }
+    });
+
+  const statements = [];
+  for (const id of publisherIds) {
+    const statement = await generateStatement(id, bounds, { generatedBy });
+    if (statement) statements.push(statement);
+  }
+
+  if (statements.length > 0) {
+    console.log(`Payout statements generated for ${period}: ${statements.length}`);
+  }
+
+  return statements;
+}
+
+/**
+ * Approve a pending statement
+ * @returns {Object|null} The updated statement, or null if it is no longer pending
+ */
+async function approveStatement(statementId, { approvedBy, notes }) {
+  const update = { status: 'approved', approvedAt: new Date(), approvedBy };
+  if (notes !== undefined) update.notes = notes;
+
+  return PayoutStatement.findOneAndUpdate(
+    { _id: statementId, status: 'pending' },
+    { $set: update },
+    { new: true }
+  );
+}
+
+/**
+ * Mark an approved statement paid: debits the publisher wallet with a payout
+ * WalletTransaction and a matching payout ledger entry
+ * @returns {Object|null} { statement, walletTransaction }, or null if it is no longer approved
+ */
+async function markStatementPaid(statementId, { paidBy, paymentReference, notes }) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const update = { status: 'paid', paidAt: new Date(), paidBy, paymentReference };
+    if (notes !== undefined) update.notes = notes;
+
+    const statement = await PayoutStatement.findOneAndUpdate(
+      { _id: statementId, status: 'approved' },
+      { $set: update },
+      { new: true, session }
+    );
+
+    if (!statement) {
+      await session.abortTransaction();
+      session.endSession();
+      return null;
+    }
+
+    const { wallet } = await PublisherLedgerEntry.recordEntry({
+      publisherId: statement.publisherId,
+      entryType: 'payout',
+      amount: -statement.netAmount,
+      currency: statement.currency,
+      statement: statement._id,
+      description: `Payout for ${statement.period}`
+    }, session);
+
+    const balanceAfter = wallet.balance;
+    const [walletTransaction] = await WalletTransaction.create([{
+      wallet: wallet._id,
+      type: 'payout',
+      amount: -statement.netAmount,
+      balanceBefore: round(balanceAfter + statement.netAmount),
+      balanceAfter,
+      description: `Publisher payout for ${statement.period}${paymentReference ? ` (ref ${paymentReference})` : ''}`,
+      referenceId: statement._id,
+      referenceType: 'payout_statement'
+    }], { session });
+
+    statement.walletTransaction = walletTransaction._id;
+    await statement.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    console.log(`Payout statement ${statement._id} paid: ${statement.netAmount} ${statement.currency} to ${statement.publisherId}`);
+
+    return { statement, walletTransaction };
+
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    session.endSession();
+    throw error;
+  }
+}
+
+/**
+ * A publisher's current unpaid balance (0 before their first credit)
+ */
+async function getPublisherBalance(publisherId) {
+  const wallet = await Wallet.findOne({ ownerType: 'publisher', publisherId });
+  return {
+    balance: wallet ? round(wallet.balance) : 0,
+    currency: wallet ? wallet.currency : 'USD'
+  };
+}
+
+/**
+ * Statement in API shape
+ */
+function formatStatement(statement) {
+  return {
+    id: statement._id,
+    publisher_id: statement.publisherId,
+    period: statement.period,
+    period_start: statement.periodStart,
+    period_end: statement.periodEnd,
+    currency: statement.currency,
+    conversions: statement.conversions,
+    credits: statement.credits,
+    reversed_conversions: statement.reversedConversions,
+    reversals: statement.reversals,
+    net_amount: statement.netAmount,
+    entry_count: statement.entryCount,
+    status: statement.status,
+    approved_at: statement.approvedAt,
+    paid_at: statement.paidAt,
+    payment_reference: statement.paymentReference,
+    wallet_transaction_id: statement.walletTransaction,
+    notes: statement.notes || null,
+    created_at: statement.createdAt
+  };
+}
+
+/**
+ * Ledger entry in API shape
+ */
+function formatLedgerEntry(entry) {
+  return {
+    id: entry._id,
+    entry_type: entry.entryType,
+    amount: entry.amount,
+    currency: entry.currency,
+    billing_record_id: entry.billingRecord || null,
+    conversion_receipt_id: entry.conversionReceipt || null,
+    description: entry.description,
+    occurred_at: entry.occurredAt
+  };
+}
+
+module.exports = {
+  parsePeriod,
+  previousPeriod,
+  generateStatements,
+  approveStatement,
+  markStatementPaid,
+  getPublisherBalance,
+  formatStatement,
+  formatLedgerEntry
+};
@@ -0,0 +1,122 @@
+// src/utils/pixel.js
+// Tracking-pixel ingestion: decode the compact query string of GET /v1/px/pause.gif
+// into a v1 pause_impression payload, and answer with a 1x1 GIF.
+
+// Longest lifetime a pixel token may have
+const PIXEL_TOKEN_MAX_TTL_SECONDS = parseInt(process.env.PIXEL_TOKEN_MAX_TTL_SECONDS || '3600');
+
+// Transparent 1x1 GIF
+const PIXEL_GIF = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+// Query parameter -> where it goes in the pause_impression payload
+// p (publisher_id), o (ipause_opportunity_id) and tk (token) are read separately.
+const PIXEL_FIELDS = {
+  e: 'event_id',
+  t: 'event_time_utc',
+  qa: 'qr_appeared_at',
+  s: 'session.session_id',
+  cs: 'session.content_session_id',
+  ci: 'content.content_id',
+  ct: 'content.title',
+  sr: 'content.series',
+  sn: 'content.season',
+  ep: 'content.episode',
+  g: 'content.genre',
+  rt: 'content.rating',
+  pt: 'playback.pause_timestamp_ms',
+  lv: 'playback.is_live',
+  ad: 'ad.ipause_ad_id',
+  ca: 'ad.campaign_id',
+  b: 'ad.brand',
+  cr: 'ad.creative_id',
+  q: 'ad.qr_enabled',
+  dt: 'device.device_type',
+  os: 'device.os',
+  gc: 'geo.country',
+  gr: 'geo.region',
+  an: 'publisher.app_id'
+};
+
+const BOOLEAN_FIELDS = ['playback.is_live', 'ad.qr_enabled'];
+const TIME_FIELDS = ['event_time_utc', 'qr_appeared_at'];
+
+/**
+ * Accept ISO 8601, unix seconds or unix milliseconds
+ * @returns {string} ISO string, or the value unchanged so schema validation reports it
+ */
+function parsePixelTime(value) {
+  if (/^\d{9,10}$/.test(value)) return new Date(parseInt(value) * 1000).toISOString();
+  if (/^\d{12,13}$/.test(value)) return new Date(parseInt(value)).toISOString();
+  return value;
+}
+
+function parsePixelValue(path, value) {
+  if (BOOLEAN_FIELDS.includes(path)) return value === '1' || value === 'true';
+  if (TIME_FIELDS.includes(path)) return parsePixelTime(value);
+  if (path === 'playback.pause_timestamp_ms') return /^\d+$/.test(value) ? parseInt(value) : value;
+  if (path === 'content.genre') return value.split(',').map(g => g.trim()).filter(Boolean);
+  return value;
+}
+
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  let node = target;
+  keys.slice(0, -1).forEach(key => {
+    node[key] = node[key] || {};
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Build a pause_impression payload from pixel query parameters
+ * event_id defaults to px_<opportunity id> (one pause per opportunity) and
+ * event_time_utc to the time the pixel was received.
+ * @param {Object} query - req.query
+ * @param {Object} publisher - Authenticated PublisherApiKey
+ */
+function decodePixelQuery(query, publisher) {
+  const payload = {
+    event_type: 'pause_impression',
+    event_version: '1.0',
+    publisher: {
+      publisher_id: publisher.publisherId,
+      publisher_name: publisher.publisherName
+    },
+    session: { ipause_opportunity_id: String(query.o) },
+    content: {},
+    ad: {}
+  };
+
+  for (const [param, path] of Object.entries(PIXEL_FIELDS)) {
+    const value = query[param];
+    if (typeof value !== 'string' || value === '') continue;
+    setPath(payload, path, parsePixelValue(path, value));
+  }
+
+  payload.event_id = payload.event_id || `px_${payload.session.ipause_opportunity_id}`;
+  payload.event_time_utc = payload.event_time_utc || new Date().toISOString();
+
+  return payload;
+}
+
+/**
+ * Answer a pixel request with the GIF; outcome details go in X-iPause-* headers
+ */
+function sendPixel(res, statusCode, headers = {}) {
+  res.set({
+    'Content-Type': 'image/gif',
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+    // Players load the beacon from their own origin
+    'Cross-Origin-Resource-Policy': 'cross-origin',
+    ...headers
+  });
+  res.status(statusCode).send(PIXEL_GIF);
+}
+
+module.exports = {
+  PIXEL_TOKEN_MAX_TTL_SECONDS,
+  PIXEL_FIELDS,
+  decodePixelQuery,
+  sendPixel
+};
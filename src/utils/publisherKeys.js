@@ -0,0 +1,97 @@
+// src/utils/publisherKeys.js
+// Publisher API key rotation and formatting, shared by the admin routes and the publisher portal.
+const PublisherApiKey = require('../models/PublisherApiKey');
+const PublisherKey = require('../models/PublisherKey');
+const PublisherKeyHistory = require('../models/PublisherKeyHistory');
+const { credentialPrefix } = require('./credentials');
+
+/**
+ * Replace a publisher's primary (or pk_test_ sandbox) key and log it
+ * The old key stops working immediately.
+ * @returns {string} The new key (only available now)
+ */
+async function rotatePrimaryKey(publisher, { sandbox = false, performedBy, reason }) {
+  const oldKeyPrefix = sandbox
+    ? publisher.sandboxApiKeyPrefix || credentialPrefix(publisher.sandboxApiKey)
+    : publisher.apiKeyPrefix || credentialPrefix(publisher.apiKey);
+
+  const apiKey = PublisherApiKey.generateApiKey({ sandbox });
+  if (sandbox) {
+    publisher.setSandboxApiKey(apiKey);
+  } else {
+    publisher.setApiKey(apiKey);
+  }
+  await publisher.save();
+
+  await PublisherKeyHistory.logAction({
+    publisherId: publisher.publisherId,
+    action: sandbox ? 'sandbox_key_regenerated' : 'regenerated',
+    oldKeyPrefix,
+    newKeyPrefix: credentialPrefix(apiKey),
+    performedBy,
+    reason: reason || (oldKeyPrefix ? 'Manual regeneration' : 'Sandbox key issued')
+  });
+
+  return apiKey;
+}
+
+/**
+ * Replace a named key with a new one (same label, scopes, expiry and allowed CIDR ranges) and revoke the old one
+ * @returns {Object} { key: the new PublisherKey, apiKey: its value (only available now) }
+ */
+async function rotateNamedKey(oldKey, { performedBy, reason }) {
+  const { key, apiKey } = await PublisherKey.createKey({
+    publisherId: oldKey.publisherId,
+    label: oldKey.label,
+    scopes: oldKey.scopes,
+    expiresAt: oldKey.expiresAt,
+    sandbox: oldKey.sandbox,
+    allowedCidrs: oldKey.allowedCidrs,
+    createdBy: performedBy
+  });
+
+  oldKey.status = 'revoked';
+  oldKey.revokedAt = new Date();
+  await oldKey.save();
+
+  await PublisherKeyHistory.logAction({
+    publisherId: key.publisherId,
+    action: 'key_rotated',
+    oldKeyPrefix: oldKey.keyPrefix,
+    newKeyPrefix: key.keyPrefix,
+    keyId: key._id,
+    keyLabel: key.label,
+    performedBy,
+    reason: reason || `Replaces key ${oldKey._id}`
+  });
+
+  return { key, apiKey };
+}
+
+/**
+ * Named key in API shape (never includes the key itself)
+ */
+function formatKey(key) {
+  return {
+    id: key._id,
+    label: key.label,
+    key_prefix: key.keyPrefix,
+    sandbox: key.sandbox,
+    scopes: key.scopes,
+    status: key.status,
+    expired: key.status === 'active' && !!key.expiresAt && key.expiresAt <= new Date(),
+    expires_at: key.expiresAt,
+    allowed_cidrs: key.allowedCidrs || [],
+    last_used_at: key.lastUsedAt,
+    last_used_ip: key.lastUsedIp,
+    requests_count: key.requestsCount,
+    revoked_at: key.revokedAt,
+    created_at: key.createdAt
+  };
+}
+
+module.exports = {
+  rotatePrimaryKey,
+  rotateNamedKey,
+  formatKey
+};
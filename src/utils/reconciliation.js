@@ -0,0 +1,378 @@
+// src/utils/reconciliation.js
+// Compare publisher-reported daily pause / scan counts against our receipts and store the discrepancy report
+const createCsvStringifier = require('csv-writer').createObjectCsvStringifier;
+
+const ReconciliationReport = require('../models/ReconciliationReport');
+const { getEventStore } = require('./eventStore');
+
+// Used when neither the upload nor the publisher record sets a tolerance
+const DEFAULT_TOLERANCE_PERCENT = parseFloat(process.env.RECONCILIATION_TOLERANCE_PERCENT || '5');
+
+// Rows accepted in one upload
+const MAX_RECONCILIATION_ROWS = parseInt(process.env.RECONCILIATION_MAX_ROWS || '5000');
+
+// Longest span of days one upload may cover
+const MAX_RECONCILIATION_DAYS = 366;
+
+// Row validation errors returned before giving up
+const MAX_REPORTED_ERRORS = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse CSV text into records keyed by the (lower-cased) header row
+ * Handles quoted fields, doubled quotes, CRLF line endings and a UTF-8 BOM.
+ * @returns {Array} [{ header: value }]
+ */
+function parseCsv(text) {
+  const lines = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      lines.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    lines.push(row);
+  }
+
+  const nonEmpty = lines.filter(line => line.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const headers = nonEmpty[0].map(h => h.trim().toLowerCase());
+
+  return nonEmpty.slice(1).map(values =>
+    Object.fromEntries(headers.map((header, i) => [header, values[i] !== undefined ? values[i].trim() : '']))
+  );
+}
+
+/**
+ * Read an optional non-negative integer count ('' / null / undefined = not reported)
+ * @returns {number|null|undefined} undefined if the value is invalid
+ */
+function parseCount(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = typeof value === 'number' ? value : Number(String(value).replace(/,/g, ''));
+  return Number.isInteger(number) && number >= 0 ? number : undefined;
+}
+
+function optionalId(value) {
+  if (value === undefined || value === null) return null;
+  const id = String(value).trim();
+  return id === '' ? null : id;
+}
+
+/**
+ * Validate uploaded records (parsed CSV or JSON objects)
+ * Each record: date (YYYY-MM-DD), optional campaign_id / content_id, pauses and/or scans.
+ * @returns {Object} { rows, errors } with rows in model field names
+ */
+function parseReconciliationRows(records) {
+  const rows = [];
+  const errors = [];
+  const seen = new Set();
+
+  if (!Array.isArray(records) || records.length === 0) {
+    return { rows, errors: [{ row: null, message: 'Upload contains no rows' }] };
+  }
+
+  if (records.length > MAX_RECONCILIATION_ROWS) {
+    return { rows, errors: [{ row: null, message: `Upload cannot exceed ${MAX_RECONCILIATION_ROWS} rows` }] };
+  }
+
+  records.forEach((record, index) => {
+    if (errors.length >= MAX_REPORTED_ERRORS) return;
+
+    const rowNumber = index + 1;
+    const fail = (field, message) => errors.push({ row: rowNumber, field, message });
+
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return fail(null, 'Row must be an object');
+    }
+
+    const date = String(record.date ?? '').trim();
+    const parsedDate = new Date(`${date}T00:00:00Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(parsedDate.getTime()) || parsedDate.toISOString().slice(0, 10) !== date) {
+      return fail('date', 'date must be YYYY-MM-DD');
+    }
+
+    const pauses = parseCount(record.pauses);
+    const scans = parseCount(record.scans);
+    if (pauses === undefined) return fail('pauses', 'pauses must be a non-negative integer');
+    if (scans === undefined) return fail('scans', 'scans must be a non-negative integer');
+    if (pauses === null && scans === null) return fail(null, 'Row must report pauses, scans or both');
+
+    const campaignId = optionalId(record.campaign_id);
+    const contentId = optionalId(record.content_id);
+
+    const key = `${date}|${campaignId ?? ''}|${contentId ?? ''}`;
+    if (seen.has(key)) {
+      return fail(null, 'Duplicate row for this date, campaign_id and content_id');
+    }
+    seen.add(key);
+
+    rows.push({ date, campaignId, contentId, reportedPauses: pauses, reportedScans: scans });
+  });
+
+  if (errors.length === 0) {
+    const dates = rows.map(r => r.date).sort();
+    const spanDays = (new Date(dates[dates.length - 1]) - new Date(dates[0])) / DAY_MS + 1;
+    if (spanDays > MAX_RECONCILIATION_DAYS) {
+      errors.push({ row: null, message: `Upload cannot span more than ${MAX_RECONCILIATION_DAYS} days` });
+    }
+  }
+
+  return { rows, errors };
+}
+
+/**
+ * Difference between a reported and an observed count
+ * @returns {Object} { diff, percent, exceeds }
+ */
+function compareCount(reported, ours, tolerancePercent) {
+  if (reported === null) {
+    return { diff: null, percent: null, exceeds: false };
+  }
+
+  const diff = reported - ours;
+
+  if (ours === 0) {
+    return { diff, percent: null, exceeds: reported > 0 };
+  }
+
+  const percent = Math.round((diff / ours) * 10000) / 100;
+  return { diff, percent, exceeds: Math.abs(percent) > tolerancePercent };
+}
+
+/**
+ * Fill in our counts and discrepancies for each reported row
+ * A row without campaign_id / content_id is compared against all of that day's campaigns / content.
+ * @param {Array} rows - From parseReconciliationRows
+ * @param {Array} counts - From EventReceipt.getReconciliationCounts
+ */
+function compareRows(rows, counts, tolerancePercent) {
+  const countsByDate = new Map();
+  for (const count of counts) {
+    if (!countsByDate.has(count.date)) countsByDate.set(count.date, []);
+    countsByDate.get(count.date).push(count);
+  }
+
+  return rows.map(row => {
+    const matching = (countsByDate.get(row.date) || []).filter(c =>
+      (row.campaignId === null || c.campaignId === row.campaignId) &&
+      (row.contentId === null || c.contentId === row.contentId)
+    );
+
+    const ourPauses = matching.reduce((sum, c) => sum + c.pauses, 0);
+    const ourScans = matching.reduce((sum, c) => sum + c.scans, 0);
+    const pause = compareCount(row.reportedPauses, ourPauses, tolerancePercent);
+    const scan = compareCount(row.reportedScans, ourScans, tolerancePercent);
+
+    return {
+      ...row,
+      ourPauses,
+      ourScans,
+      pauseDiff: pause.diff,
+      pauseDiffPercent: pause.percent,
+      scanDiff: scan.diff,
+      scanDiffPercent: scan.percent,
+      flagged: pause.exceeds || scan.exceeds
+    };
+  });
+}
+
+/**
+ * Tolerance for an upload: explicit value, else the publisher's setting, else the default
+ * @returns {number|null} null if the explicit value is invalid
+ */
+function resolveTolerance(value, publisher) {
+  if (value !== undefined && value !== null && value !== '') {
+    const tolerance = Number(value);
+    return Number.isFinite(tolerance) && tolerance >= 0 && tolerance <= 100 ? tolerance : null;
+  }
+  return publisher?.reconciliationTolerancePercent ?? DEFAULT_TOLERANCE_PERCENT;
+}
+
+/**
+ * Validate an upload, compare it against our receipts and store the report
+ * @param {Object} options - { publisherId, records, format, tolerancePercent, label, sandbox, uploadedBy, uploadedByUser }
+ * @returns {Object} { report } or { errors } if the upload is invalid
+ */
+async function createReconciliationReport({
+  publisherId,
+  records,
+  format,
+  tolerancePercent,
+  label = null,
+  sandbox = false,
+  uploadedBy,
+  uploadedByUser = null
+}) {
+  const { rows, errors } = parseReconciliationRows(records);
+  if (errors.length > 0) return { errors };
+
+  const dates = rows.map(r => r.date).sort();
+  const startDate = dates[0];
+  const endDate = dates[dates.length - 1];
+
+  const counts = await getEventStore({ sandbox }).EventReceipt.getReconciliationCounts(publisherId, {
+    startDate: new Date(`${startDate}T00:00:00.000Z`),
+    endDate: new Date(`${endDate}T23:59:59.999Z`)
+  });
+
+  const compared = compareRows(rows, counts, tolerancePercent)
+    .sort((a, b) =>
+      a.date.localeCompare(b.date) ||
+      String(a.campaignId ?? '').localeCompare(String(b.campaignId ?? '')) ||
+      String(a.contentId ?? '').localeCompare(String(b.contentId ?? ''))
+    );
+
+  const sum = (field) => compared.reduce((total, row) => total + (row[field] || 0), 0);
+
+  const report = await ReconciliationReport.create({
+    publisherId,
+    label,
+    format,
+    sandbox,
+    uploadedBy,
+    uploadedByUser,
+    startDate,
+    endDate,
+    tolerancePercent,
+    rows: compared,
+    summary: {
+      rows: compared.length,
+      flaggedRows: compared.filter(r => r.flagged).length,
+      reportedPauses: sum('reportedPauses'),
+      reportedScans: sum('reportedScans'),
+      ourPauses: sum('ourPauses'),
+      ourScans: sum('ourScans')
+    }
+  });
+
+  return { report };
+}
+
+/**
+ * Shape a report for JSON responses (rows only when requested)
+ */
+function formatReport(report, { includeRows = false } = {}) {
+  return {
+    id: report._id,
+    publisher_id: report.publisherId,
+    label: report.label,
+    format: report.format,
+    sandbox: report.sandbox,
+    uploaded_by: report.uploadedBy,
+    start_date: report.startDate,
+    end_date: report.endDate,
+    tolerance_percent: report.tolerancePercent,
+    summary: {
+      rows: report.summary.rows,
+      flagged_rows: report.summary.flaggedRows,
+      reported_pauses: report.summary.reportedPauses,
+      reported_scans: report.summary.reportedScans,
+      our_pauses: report.summary.ourPauses,
+      our_scans: report.summary.ourScans
+    },
+    created_at: report.createdAt,
+    ...(includeRows && {
+      rows: report.rows.map(row => ({
+        date: row.date,
+        campaign_id: row.campaignId,
+        content_id: row.contentId,
+        reported_pauses: row.reportedPauses,
+        our_pauses: row.ourPauses,
+        pause_diff: row.pauseDiff,
+        pause_diff_percent: row.pauseDiffPercent,
+        reported_scans: row.reportedScans,
+        our_scans: row.ourScans,
+        scan_diff: row.scanDiff,
+        scan_diff_percent: row.scanDiffPercent,
+        flagged: row.flagged
+      }))
+    })
+  };
+}
+
+/**
+ * Send a report's rows as a CSV download
+ */
+function sendReportCsv(res, report) {
+  const csvStringifier = createCsvStringifier({
+    header: [
+      { id: 'date', title: 'date' },
+      { id: 'campaignId', title: 'campaign_id' },
+      { id: 'contentId', title: 'content_id' },
+      { id: 'reportedPauses', title: 'reported_pauses' },
+      { id: 'ourPauses', title: 'our_pauses' },
+      { id: 'pauseDiff', title: 'pause_diff' },
+      { id: 'pauseDiffPercent', title: 'pause_diff_percent' },
+      { id: 'reportedScans', title: 'reported_scans' },
+      { id: 'ourScans', title: 'our_scans' },
+      { id: 'scanDiff', title: 'scan_diff' },
+      { id: 'scanDiffPercent', title: 'scan_diff_percent' },
+      { id: 'flagged', title: 'flagged' }
+    ]
+  });
+
+  const records = report.rows.map(row => ({
+    date: row.date,
+    campaignId: row.campaignId ?? '',
+    contentId: row.contentId ?? '',
+    reportedPauses: row.reportedPauses ?? '',
+    ourPauses: row.ourPauses,
+    pauseDiff: row.pauseDiff ?? '',
+    pauseDiffPercent: row.pauseDiffPercent ?? '',
+    reportedScans: row.reportedScans ?? '',
+    ourScans: row.ourScans,
+    scanDiff: row.scanDiff ?? '',
+    scanDiffPercent: row.scanDiffPercent ?? '',
+    flagged: row.flagged ? 'yes' : 'no'
+  }));
+
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename="reconciliation_${report.publisherId}_${report.startDate}_${report.endDate}.csv"`);
+  res.send(csvStringifier.getHeaderString() + csvStringifier.stringifyRecords(records));
+}
+
+module.exports = {
+  DEFAULT_TOLERANCE_PERCENT,
+  MAX_RECONCILIATION_ROWS,
+  parseCsv,
+  parseReconciliationRows,
+  compareRows,
+  resolveTolerance,
+  createReconciliationReport,
+  formatReport,
+  sendReportCsv
+};
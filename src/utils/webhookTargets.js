@@ -0,0 +1,84 @@
+// src/utils/webhookTargets.js
+// Where outbound webhooks may be sent: hostnames must resolve to public addresses only,
+// so a subscription cannot point deliveries at our own network or the cloud metadata service
+const dns = require('dns');
+const net = require('net');
+
+// Private, loopback, link-local (incl. 169.254.169.254), CGNAT, multicast and reserved ranges
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const blockList = new net.BlockList();
+for (const [address, prefix, type] of BLOCKED_RANGES) {
+  blockList.addSubnet(address, prefix, type);
+}
+
+// Local stand-in receivers (http://localhost:...) can be allowed outside production only
+const ALLOW_PRIVATE_WEBHOOK_HOSTS = process.env.NODE_ENV !== 'production' &&
+  process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+
+/**
+ * Whether an IP address is publicly routable (IPv4-mapped IPv6 addresses are checked as IPv4)
+ */
+function isPublicAddress(ip) {
+  const version = net.isIP(ip || '');
+  if (!version) return false;
+
+  return !blockList.check(ip, version === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Resolve a webhook URL's hostname and check every address it resolves to
+ * Run when a subscription is saved and again before each delivery (DNS can change in between).
+ * @returns {Object} {} if deliveries may be sent there, or { error, message }
+ */
+async function checkWebhookTarget(url) {
+  if (ALLOW_PRIVATE_WEBHOOK_HOSTS) return {};
+
+  // URL keeps IPv6 literals in brackets
+  const hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname }]
+      : await dns.promises.lookup(hostname, { all: true, verbatim: true });
+  } catch (err) {
+    return {
+      error: 'unresolvable_host',
+      message: `Could not resolve ${hostname}`
+    };
+  }
+
+  const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+  if (addresses.length === 0 || blocked) {
+    return {
+      error: 'private_address',
+      message: `${hostname} resolves to a private or reserved address; webhook URLs must be publicly reachable`
+    };
+  }
+
+  return {};
+}
+
+module.exports = {
+  isPublicAddress,
+  checkWebhookTarget
+};